@@ -0,0 +1,71 @@
+// /api/_lib/body.js — request body reading shared by the /api functions
+// (underscore paths are not deployed as functions of their own)
+
+const { parse: parseQS } = require("querystring");
+
+class BodyTooLargeError extends Error {
+  constructor(limit) {
+    super(`Request body larger than ${limit} bytes`);
+    this.name = "BodyTooLargeError";
+    this.status = 413;
+  }
+}
+
+// Whole body as a Buffer; stops reading as soon as it passes `limit`
+async function readRaw(req, { limit = Infinity } = {}) {
+  if (Number(req.headers["content-length"]) > limit) throw new BodyTooLargeError(limit);
+  const chunks = [];
+  let size = 0;
+  for await (const ch of req) {
+    size += ch.length;
+    if (size > limit) throw new BodyTooLargeError(limit);
+    chunks.push(ch);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Robust multipart parser (handles boundaries + extra headers in parts).
+// Split on the raw bytes as latin1, which maps them 1:1, so file parts come
+// back intact; text fields are decoded as UTF-8.
+function parseMultipart(buf, boundary) {
+  const parts = buf.toString("latin1").split(`--${boundary}`);
+  const fields = {}, files = {};
+  for (const part of parts) {
+    if (!part || part === '--\r\n' || part === '--') continue;
+    const idx = part.indexOf('\r\n\r\n');
+    if (idx === -1) continue;
+    const headers = part.slice(0, idx);
+    // Trim trailing CRLF and boundary dashes
+    const value = part.slice(idx + 4).replace(/\r\n--\s*$/, '').replace(/\r\n$/, '');
+
+    const nameMatch = headers.match(/name="([^"]+)"/i);
+    if (!nameMatch) continue;
+    const filename = headers.match(/filename="([^"]*)"/i);
+    if (filename) {
+      const type = headers.match(/content-type:\s*([^\r\n;]+)/i);
+      files[nameMatch[1]] = { filename: filename[1], contentType: type ? type[1].trim() : "", data: Buffer.from(value, "latin1") };
+    }
+    fields[nameMatch[1]] = Buffer.from(value, "latin1").toString("utf8");
+  }
+  return { fields, files };
+}
+
+// Read any body type: JSON, x-www-form-urlencoded, or multipart/form-data ({ fields, files })
+async function readBody(req, { limit } = {}) {
+  const buf = await readRaw(req, { limit });
+  const raw = buf.toString("utf8");
+  const ct = String(req.headers["content-type"] || "");
+
+  if (ct.includes("application/json")) return raw ? JSON.parse(raw) : {};
+  if (ct.includes("application/x-www-form-urlencoded")) return parseQS(raw);
+  if (ct.includes("multipart/form-data")) {
+    const m = ct.match(/boundary="?([^";]+)"?/i);
+    if (!m) return { _multipart: raw }; // no boundary? return raw for debugging
+    return parseMultipart(buf, m[1]);
+  }
+
+  // Fallback attempts
+  try { return JSON.parse(raw); } catch { return parseQS(raw); }
+}
+
+module.exports = { readBody, readRaw, parseMultipart, BodyTooLargeError };
@@ -0,0 +1,35 @@
+// node --test api/  (CRA's jest only runs src/)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable } = require("stream");
+const { readBody, BodyTooLargeError } = require("./body");
+
+const request = (body, headers = {}) => Object.assign(Readable.from([Buffer.from(body)]), { headers });
+
+test("reads JSON, urlencoded and untyped bodies", async () => {
+  assert.deepEqual(await readBody(request('{"a":1}', { "content-type": "application/json" })), { a: 1 });
+  assert.deepEqual(await readBody(request("", { "content-type": "application/json" })), {});
+  assert.deepEqual({ ...await readBody(request("a=1&b=x%20y", { "content-type": "application/x-www-form-urlencoded" })) }, { a: "1", b: "x y" });
+  assert.deepEqual(await readBody(request('{"a":2}')), { a: 2 });
+});
+
+test("splits multipart into text fields and byte-exact files", async () => {
+  const bytes = Buffer.from([0x25, 0x50, 0x44, 0x46, 0x00, 0xff, 0x0d, 0x0a, 0x80]);
+  const body = Buffer.concat([
+    Buffer.from('--XyZ\r\nContent-Disposition: form-data; name="recipient"\r\n\r\nJosé\r\n'),
+    Buffer.from('--XyZ\r\nContent-Disposition: form-data; name="file"; filename="a.pdf"\r\nContent-Type: application/pdf\r\n\r\n'),
+    bytes,
+    Buffer.from("\r\n--XyZ--\r\n"),
+  ]);
+  const { fields, files } = await readBody(request(body, { "content-type": 'multipart/form-data; boundary="XyZ"' }));
+  assert.equal(fields.recipient, "José");
+  assert.equal(files.file.filename, "a.pdf");
+  assert.equal(files.file.contentType, "application/pdf");
+  assert.ok(files.file.data.equals(bytes));
+});
+
+test("rejects bodies over the limit, by header or by bytes read", async () => {
+  await assert.rejects(readBody(request("x".repeat(10), { "content-length": "10" }), { limit: 5 }), BodyTooLargeError);
+  await assert.rejects(readBody(request("x".repeat(10)), { limit: 5 }), { status: 413 });
+  assert.deepEqual(await readBody(request('{"a":1}'), { limit: 7 }), { a: 1 });
+});
@@ -0,0 +1,22 @@
+// /api/_lib/pipeline.js — the app's watermark pipeline (src/, ES modules with
+// bundler-style imports) loaded into a CommonJS function the way bin/wm.mjs
+// loads it. Cached for the life of a warm instance.
+
+const path = require("path");
+const { register } = require("module");
+const { pathToFileURL } = require("url");
+
+const ROOT = path.join(__dirname, "..", "..");
+const MODULES = ["watermarkJob", "profiles", "watermark", "signingKey", "pdfSecurity", "nodePdfjsSource"];
+let loading;
+
+function loadPipeline() {
+  if (!loading) {
+    register(pathToFileURL(path.join(ROOT, "bin", "loader.mjs")));
+    loading = Promise.all(MODULES.map(m => import(pathToFileURL(path.join(ROOT, "src", `${m}.js`)).href)))
+      .then(mods => Object.assign({}, ...mods));
+  }
+  return loading;
+}
+
+module.exports = { loadPipeline };
@@ -2,7 +2,7 @@
 // Jotform Smart PDF webhook -> Meta CAPI "Submit Application"
 
 const crypto = require("crypto");
-const { parse: parseQS } = require("querystring");
+const { readBody: readRequestBody } = require("./_lib/body");
 
 function sha256(v) {
   if (!v) return undefined;
@@ -31,37 +31,13 @@ function normalizeDOB(v) {
 
 // Read body (JSON, urlencoded, multipart)
 async function readBody(req) {
-  const chunks = [];
-  for await (const ch of req) chunks.push(ch);
-  const raw = Buffer.concat(chunks).toString("utf8");
-  const ct = String(req.headers["content-type"] || "");
-
-  if (ct.includes("application/json")) return raw ? JSON.parse(raw) : {};
-  if (ct.includes("application/x-www-form-urlencoded")) return parseQS(raw);
-
-  if (ct.includes("multipart/form-data")) {
-    const m = ct.match(/boundary=([^;]+)/i);
-    if (!m) return { _multipart: raw };
-    const boundary = m[1];
-    const parts = raw.split(`--${boundary}`);
-    const fields = {};
-    for (const part of parts) {
-      if (!part || part === '--\r\n' || part === '--') continue;
-      const idx = part.indexOf('\r\n\r\n');
-      if (idx === -1) continue;
-      const headers = part.slice(0, idx);
-      let value = part.slice(idx + 4).replace(/\r\n--\s*$/, '').replace(/\r\n$/, '');
-      const nameMatch = headers.match(/name="([^"]+)"/i);
-      if (!nameMatch) continue;
-      fields[nameMatch[1]] = value;
-    }
-    let rr = {};
-    try { if (fields.rawRequest) rr = JSON.parse(fields.rawRequest); } catch {}
-    const formID = rr?.slug?.split("/")?.pop() || fields.formID || rr.formID;
-    return { rawRequest: rr, formID, fbp: fields.fbp, fbc: fields.fbc, fields };
-  }
-
-  try { return JSON.parse(raw); } catch { return parseQS(raw); }
+  const body = await readRequestBody(req);
+  if (!body.files) return body;
+  const { fields } = body;
+  let rr = {};
+  try { if (fields.rawRequest) rr = JSON.parse(fields.rawRequest); } catch {}
+  const formID = rr?.slug?.split("/")?.pop() || fields.formID || rr.formID;
+  return { rawRequest: rr, formID, fbp: fields.fbp, fbc: fields.fbc, fields };
 }
 
 // Accept exact key or "..._<key>" suffix
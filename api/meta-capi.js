@@ -3,7 +3,7 @@
 // maps fields, hashes PII, and sends a Meta CAPI "Lead" event.
 
 const crypto = require("crypto");
-const { parse: parseQS } = require("querystring");
+const { readBody: readRequestBody } = require("./_lib/body");
 
 function sha256(v) {
   if (!v) return undefined;
@@ -12,58 +12,27 @@ function sha256(v) {
 }
 const now = () => Math.floor(Date.now() / 1000);
 
-// Read any body type: JSON, x-www-form-urlencoded, or multipart/form-data (Jotform)
+// Jotform posts multipart/form-data with the answers as JSON in `rawRequest`
 async function readBody(req) {
-  const chunks = [];
-  for await (const ch of req) chunks.push(ch);
-  const raw = Buffer.concat(chunks).toString("utf8");
-  const ct = String(req.headers["content-type"] || "");
-
-  if (ct.includes("application/json")) return raw ? JSON.parse(raw) : {};
-  if (ct.includes("application/x-www-form-urlencoded")) return parseQS(raw);
-
-  // Robust multipart parser (handles boundaries + extra headers in parts)
-  if (ct.includes("multipart/form-data")) {
-    const m = ct.match(/boundary=([^;]+)/i);
-    if (!m) return { _multipart: raw }; // no boundary? return raw for debugging
-    const boundary = m[1];
-    const parts = raw.split(`--${boundary}`);
-
-    const fields = {};
-    for (const part of parts) {
-      if (!part || part === '--\r\n' || part === '--') continue;
-      const idx = part.indexOf('\r\n\r\n');
-      if (idx === -1) continue;
-      const headers = part.slice(0, idx);
-      let value = part.slice(idx + 4);
-      // Trim trailing CRLF and boundary dashes
-      value = value.replace(/\r\n--\s*$/, '').replace(/\r\n$/, '');
-
-      const nameMatch = headers.match(/name="([^"]+)"/i);
-      if (!nameMatch) continue;
-      const name = nameMatch[1];
-      fields[name] = value;
-    }
-
-    // Extract rawRequest JSON if present
-    let rr = {};
-    try { if (fields.rawRequest) rr = JSON.parse(fields.rawRequest); } catch {}
-
-    // Try to derive formID from slug `submit/<id>`
-    const formID = rr?.slug?.split("/")?.pop() || fields.formID;
-
-    return {
-      rawRequest: rr,
-      formID,
-      fbp: fields.fbp,
-      fbc: fields.fbc,
-      parentURL: fields.parentURL,
-      fields // expose all (e.g., q31_fbc, q30_fbp, q32_event_id, etc.)
-    };
-  }
-
-  // Fallback attempts
-  try { return JSON.parse(raw); } catch { return parseQS(raw); }
+  const body = await readRequestBody(req);
+  if (!body.files) return body; // JSON / urlencoded / raw
+
+  const { fields } = body;
+  // Extract rawRequest JSON if present
+  let rr = {};
+  try { if (fields.rawRequest) rr = JSON.parse(fields.rawRequest); } catch {}
+
+  // Try to derive formID from slug `submit/<id>`
+  const formID = rr?.slug?.split("/")?.pop() || fields.formID;
+
+  return {
+    rawRequest: rr,
+    formID,
+    fbp: fields.fbp,
+    fbc: fields.fbc,
+    parentURL: fields.parentURL,
+    fields // expose all (e.g., q31_fbc, q30_fbp, q32_event_id, etc.)
+  };
 }
 
 module.exports = async (req, res) => {
@@ -0,0 +1,112 @@
+// /api/watermark.js — Vercel Serverless Function
+// CRM / automation -> one fingerprinted copy. Same pipeline as the app and the
+// `wm` CLI (see src/watermarkJob.js); nothing is stored server-side.
+//
+// POST multipart/form-data, header `x-api-key: <WM_API_KEY>` (or Bearer):
+//   file         the source PDF (required)
+//   profile      profile JSON exported from the app (text field or .json file)
+//   profileName  which profile, when `profile` holds several
+//   recipient, caseId
+//   output       "pdf" | "viewer" (default: the profile's output mode)
+//   logo         optional logo file, instead of the profile's
+//   password     password of an encrypted source
+//   openPassword, viewerPassphrase   secrets for encrypted / locked output (profiles hold none)
+// Returns the PDF or viewer HTML; the RID etc. come back in X-Watermark-* headers.
+//
+// Env: WM_API_KEY (required), WM_SIGNING_KEY (key file JSON from `wm keygen`,
+// for signed manifests), WM_MAX_BYTES (default 4 MB; Vercel caps bodies at 4.5 MB).
+
+const crypto = require("crypto");
+const { readBody } = require("./_lib/body");
+const { loadPipeline } = require("./_lib/pipeline");
+
+const MAX_BYTES = Number(process.env.WM_MAX_BYTES) || 4 * 1024 * 1024;
+
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Constant-time compare against WM_API_KEY
+function authorized(req) {
+  const given = String(req.headers["x-api-key"] || String(req.headers.authorization || "").replace(/^Bearer\s+/i, "")).trim();
+  const a = Buffer.from(given), b = Buffer.from(process.env.WM_API_KEY);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function pickProfile(pipeline, text, name) {
+  if (!text) return null;
+  let profiles;
+  try { profiles = pipeline.parseProfileFile(text); } catch (e) { throw new RequestError(400, `Invalid profile: ${e.message}`); }
+  if (!name) {
+    if (profiles.length > 1) throw new RequestError(400, `Profile file holds ${profiles.length} profiles; set profileName`);
+    return profiles[0];
+  }
+  const p = profiles.find(x => x.name === name);
+  if (!p) throw new RequestError(400, `No profile "${name}"`);
+  return p;
+}
+
+module.exports = async (req, res) => {
+  // Server-to-server only: no CORS, so browsers' preflight OPTIONS gets a 405 too
+  if (req.method !== "POST") return res.status(405).json({ ok: false, error: "Method not allowed" });
+  if (!process.env.WM_API_KEY) return res.status(500).json({ ok: false, error: "Missing WM_API_KEY env var" });
+  if (!authorized(req)) return res.status(401).json({ ok: false, error: "Invalid API key" });
+
+  try {
+    const body = await readBody(req, { limit: MAX_BYTES });
+    const { fields = {}, files = {} } = body;
+    const pdf = files.file;
+    if (!pdf) throw new RequestError(400, "Send the PDF as multipart/form-data field `file`");
+    if (!pdf.data.subarray(0, 1024).includes("%PDF-")) throw new RequestError(415, "`file` is not a PDF");
+
+    const pipeline = await loadPipeline();
+    const profile = pickProfile(pipeline, fields.profile, fields.profileName); // text field or uploaded .json alike
+    const s = pipeline.withDefaults(profile?.settings);
+    if (fields.openPassword) s.protection = { ...s.protection, userPassword: fields.openPassword };
+    if (fields.viewerPassphrase) s.viewerLock = { ...s.viewerLock, passphrase: fields.viewerPassphrase };
+    if (fields.output === "pdf" || fields.output === "viewer") s.outputMode = fields.output === "pdf" ? "download" : "viewer";
+
+    const logoFile = files.logo
+      ? new File([files.logo.data], files.logo.filename || "logo", { type: files.logo.contentType })
+      : pipeline.profileLogoFile(profile);
+    if (!logoFile && s.embedAs === "image") throw new RequestError(400, "Profile uses a logo: include one in the profile or as field `logo`");
+    const perRecipientPw = s.protection.enabled && s.protection.perRecipient;
+    if (perRecipientPw && !s.embedFingerprint) throw new RequestError(400, "Per-recipient passwords need \"Embed metadata + short ID\" in the profile");
+    if (s.outputMode === "viewer" && s.viewerLock?.enabled && !s.viewerLock.passphrase) throw new RequestError(400, "Profile locks the viewer: send the passphrase as `viewerPassphrase`");
+
+    let signingKey = null;
+    if (s.embedFingerprint && s.signManifest && process.env.WM_SIGNING_KEY) {
+      signingKey = await pipeline.importSigningKeyFile(JSON.parse(process.env.WM_SIGNING_KEY));
+    }
+    const openPassword = perRecipientPw ? pipeline.randomPassword(12) : undefined;
+    // One copy per request: the first of a run, as planCopies numbers it in the app and the CLI
+
+    const { file, record, result } = await pipeline.runCopy(s, {
+      bytes: new Uint8Array(pdf.data), fileName: pdf.filename || "document.pdf",
+      recipient: fields.recipient || "", caseId: fields.caseId || "", nonce: "0", openPassword, sourcePassword: fields.password,
+      logo: await pipeline.readLogoFile(logoFile), logoName: logoFile?.name || "", signingKey,
+    }, { pdfjs: pipeline.needsPdfjsSource(s) ? await pipeline.loadPdfjsSource() : null });
+
+    // No server-side ledger: the caller keeps the RID (and password) with the deal.
+    // Only the RID is logged; recipient and case ID stay out of the function logs.
+    if (record) console.log("Issued", record.rid);
+    res.setHeader("Content-Type", file.type);
+    res.setHeader("Content-Disposition", `attachment; filename="${file.name.replace(/[^\w.-]+/g, "_")}"`);
+    if (result.rid) {
+      res.setHeader("X-Watermark-RID", result.rid);
+      res.setHeader("X-Watermark-Issued-At", result.issuedAt);
+      res.setHeader("X-Watermark-Output-Sha256", result.outputSha256);
+    }
+    if (signingKey && result.rid) res.setHeader("X-Watermark-Key-Id", signingKey.keyId);
+    if (openPassword) res.setHeader("X-Watermark-Open-Password", openPassword);
+    return res.status(200).send(Buffer.from(file.bytes));
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+    if (e.name === "PasswordRequiredError") return res.status(422).json({ ok: false, error: `${e.message}: send the source's password as field \`password\`` });
+    console.error(e);
+    return res.status(500).json({ ok: false, error: e?.message || "Unknown error" });
+  }
+};
@@ -0,0 +1,92 @@
+// node --test api/  (CRA's jest only runs src/; the handler loads src/ through bin/loader.mjs)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable } = require("stream");
+const { PDFDocument } = require("@cantoo/pdf-lib");
+
+process.env.WM_API_KEY = "test-key";
+process.env.WM_MAX_BYTES = String(64 * 1024);
+delete process.env.WM_SIGNING_KEY;
+const handler = require("./watermark");
+
+const TEXT_PROFILE = JSON.stringify({ format: "aquamark-profile", version: 1, name: "House", logo: null,
+  settings: { embedAs: "text", textWM: "CONFIDENTIAL {recipient}", signManifest: false, outputMode: "download" } });
+
+// multipart/form-data from { name: string | { filename, type, data } }
+function multipart(parts) {
+  const chunks = [];
+  for (const [name, v] of Object.entries(parts)) {
+    const file = typeof v === "object";
+    chunks.push(Buffer.from(`--B0UND\r\nContent-Disposition: form-data; name="${name}"${file ? `; filename="${v.filename}"\r\nContent-Type: ${v.type}` : ""}\r\n\r\n`));
+    chunks.push(file ? Buffer.from(v.data) : Buffer.from(v));
+    chunks.push(Buffer.from("\r\n"));
+  }
+  chunks.push(Buffer.from("--B0UND--\r\n"));
+  return Buffer.concat(chunks);
+}
+
+function request(body, headers = {}, method = "POST") {
+  return Object.assign(Readable.from([body]), {
+    method,
+    headers: { "content-type": "multipart/form-data; boundary=B0UND", "content-length": String(body.length), ...headers },
+  });
+}
+
+async function call(req) {
+  const res = {
+    statusCode: 0, headers: {}, body: undefined,
+    status(code) { this.statusCode = code; return this; },
+    setHeader(k, v) { this.headers[k.toLowerCase()] = v; },
+    json(v) { this.body = v; return this; },
+    send(v) { this.body = v; return this; },
+    end() { return this; },
+  };
+  await handler(req, res);
+  return res;
+}
+
+let pdf;
+test.before(async () => {
+  const doc = await PDFDocument.create();
+  doc.addPage([300, 300]);
+  pdf = await doc.save();
+});
+
+test("refuses other methods and a wrong or missing API key", async () => {
+  const body = multipart({ file: { filename: "memo.pdf", type: "application/pdf", data: pdf } });
+  assert.equal((await call(request(body, {}, "OPTIONS"))).statusCode, 405);
+  assert.equal((await call(request(body))).statusCode, 401);
+  const res = await call(request(body, { "x-api-key": "wrong-key" }));
+  assert.equal(res.statusCode, 401);
+  assert.deepEqual(res.body, { ok: false, error: "Invalid API key" });
+});
+
+test("413 for a body over WM_MAX_BYTES", async () => {
+  const body = multipart({ file: { filename: "big.pdf", type: "application/pdf", data: Buffer.alloc(65 * 1024, "%PDF-") } });
+  const res = await call(request(body, { authorization: "Bearer test-key" }));
+  assert.equal(res.statusCode, 413);
+  assert.equal(res.body.ok, false);
+});
+
+test("400 when the profile embeds a logo and none is sent", async () => {
+  // No profile: the defaults embed the logo image
+  const res = await call(request(multipart({ file: { filename: "memo.pdf", type: "application/pdf", data: pdf } }), { "x-api-key": "test-key" }));
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.error, /logo/);
+});
+
+test("200 with the watermarked PDF and its RID in X-Watermark-RID", async () => {
+  const body = multipart({
+    file: { filename: "memo.pdf", type: "application/pdf", data: pdf },
+    profile: TEXT_PROFILE, recipient: "Acme <deals@acme.com>", caseId: "DEAL-7",
+  });
+  const res = await call(request(body, { "x-api-key": "test-key" }));
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  assert.equal(res.headers["content-type"], "application/pdf");
+  assert.match(res.headers["x-watermark-rid"], /^[0-9a-f]{16}$/);
+  assert.ok(res.headers["x-watermark-issued-at"]);
+  assert.ok(Buffer.isBuffer(res.body));
+  assert.equal(res.body.subarray(0, 5).toString(), "%PDF-");
+  const doc = await PDFDocument.load(res.body, { updateMetadata: false });
+  assert.ok(doc.getKeywords().includes(`RID:${res.headers["x-watermark-rid"]}`));
+});
@@ -0,0 +1,15 @@
+// Module hooks that let Node run src/ as the app's bundler sees it: ES
+// modules (the package has no "type": "module") with extensionless imports.
+const SRC = new URL("../src/", import.meta.url).href;
+
+export async function resolve(specifier, context, next) {
+  if (context.parentURL?.startsWith(SRC) && /^\.\.?\//.test(specifier) && !/\.[cm]?js$/.test(specifier)) {
+    return next(`${specifier}.js`, context);
+  }
+  return next(specifier, context);
+}
+
+export async function load(url, context, next) {
+  if (url.startsWith(SRC) && url.endsWith(".js")) return next(url, { ...context, format: "module" });
+  return next(url, context);
+}
@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+import { register } from "node:module";
+
+register("./loader.mjs", import.meta.url);
+const { main } = await import("../src/cli.js");
+process.exitCode = await main(process.argv.slice(2));
@@ -1,88 +1,123 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
-import { Download, Settings, Upload, Files, X, Loader2, Link as LinkIcon, Eye, ShieldAlert, FileCode2, Fingerprint, Hash } from "lucide-react";
-import { PDFDocument, degrees } from "pdf-lib";
+import { Download, Settings, Upload, Files, X, Loader2, Link as LinkIcon, Eye, ShieldAlert, FileCode2, Fingerprint, Hash, Users, Lock, QrCode } from "lucide-react";
+import IdentifyPanel from "./IdentifyPanel";
+import LedgerPanel from "./LedgerPanel";
+import { fileToArrayBuffer, downloadBlob } from "./utils";
+import { addLedgerRecord } from "./ledger";
+import { parseRecipientList } from "./recipients";
+import { zipSync } from "fflate";
+import { TEMPLATE_VARS } from "./template";
+import { readLogoFile, POSITION_PRESETS } from "./watermark";
+import PreviewPanel from "./PreviewPanel";
+import ProgressPanel from "./ProgressPanel";
+import ProfilesCard from "./ProfilesCard";
+import PageRulesEditor from "./PageRulesEditor";
+import { randomPassword, PasswordRequiredError } from "./pdfSecurity";
+import { createWorkerPool, JobCancelledError } from "./workerPool";
+import { buildJob, ledgerRecord, needsPdfjsSource, packageOutput, planCopies } from "./watermarkJob";
+import { getSigningKey } from "./signingKey";
+import { profileLogoFile, loadProfiles, getActiveProfileName, withDefaults, DEFAULT_SETTINGS } from "./profiles";
+import { PDFJS_VERSION } from "./viewerHtml";
 
 /**
  * AQUAMARK RIVAL – ULTRA-LEAN MVP
  * -----------------------------------------------------------
  * What this single-file React app does (client-side only):
  * 1) Upload one or more PDFs
- * 2) Add **OCR-safe** watermarks (logo and/or text) without rasterizing pages
- * 3) Optionally embed a unique fingerprint + custom metadata in the PDF
+ * 2) Add **OCR-safe** watermarks (logo, text and/or a QR code) without rasterizing pages
+ * 3) Optionally embed a unique fingerprint + custom metadata in the PDF, also hidden
+ *    in the watermark's glyph positions so it survives metadata stripping
  * 4) Either:
  *    - Download the watermarked PDF(s), OR
  *    - Generate a **single-file view-only HTML** (no-download viewer) that streams
  *      the PDF with PDF.js and calls your tracking endpoint on open
  *      (so your server can log IP/device headers). You host/share that HTML.
+ * 5) Identify: drop a leaked copy to recover its RID and see which layers survived;
+ *    Verify checks its signed manifest and reports pages modified since issue
+ * 6) Ledger: every issued RID is recorded locally (IndexedDB) with recipient, case and hashes
  *
  * NOTES:
  * - This is a prototype: view-only is best-effort. A determined actor can still screen-capture.
  * - For true IP logging you need a server endpoint (sample code included below in comments).
- * - All watermarking happens locally in the browser. Files are never uploaded by this app.
+ * - All watermarking happens locally in the browser (in Web Workers, a few files in parallel).
+ *   Files are never uploaded by this app.
  */
 
-// ---------- Helpers ----------
-async function fileToArrayBuffer(file) { return await file.arrayBuffer(); }
-
-function downloadBlob(blob, filename) {
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url; a.download = filename; document.body.appendChild(a); a.click(); a.remove();
-  URL.revokeObjectURL(url);
-}
-
-function uint8ToBase64(u8) {
-  let s = ""; for (let i = 0; i < u8.length; i++) s += String.fromCharCode(u8[i]);
-  return btoa(s);
-}
-
-// Simple, readable hash (not crypto-secure) for per-recipient fingerprint strings
-async function simpleHash(text) {
-  const enc = new TextEncoder().encode(text);
-  const buf = await crypto.subtle.digest("SHA-256", enc);
-  const b = Array.from(new Uint8Array(buf)).map(x=>x.toString(16).padStart(2,"0")).join("");
-  return b.slice(0, 16); // short id
-}
-
-const POSITION_PRESETS = [
-  { key: "diagonal", label: "Diagonal Center" },
-  { key: "bottomRight", label: "Bottom Right" },
-  { key: "topLeft", label: "Top Left" },
-  { key: "center", label: "Center" },
-  { key: "tiled", label: "Tiled Grid" },
-  { key: "footer", label: "Footer" },
-];
 
 export default function App() {
+  const [view, setView] = useState("watermark"); // watermark | identify | ledger
+
   // Files & inputs
   const [files, setFiles] = useState([]);
+  const [previewIndex, setPreviewIndex] = useState(0); // queued file shown in the preview pane
   const [logoFile, setLogoFile] = useState(null);
-  const [textWM, setTextWM] = useState("");
-  const [opacity, setOpacity] = useState(0.22);
-  const [scale, setScale] = useState(0.5);
-  const [angle, setAngle] = useState(45);
-  const [position, setPosition] = useState("diagonal");
-  const [margin, setMargin] = useState(24);
-  const [gap, setGap] = useState(180);
-  const [embedAs, setEmbedAs] = useState("image"); // image | text | both
+  const [textWM, setTextWM] = useState(DEFAULT_SETTINGS.textWM);
+  const [opacity, setOpacity] = useState(DEFAULT_SETTINGS.opacity);
+  const [scale, setScale] = useState(DEFAULT_SETTINGS.scale);
+  const [angle, setAngle] = useState(DEFAULT_SETTINGS.angle);
+  const [position, setPosition] = useState(DEFAULT_SETTINGS.position);
+  const [margin, setMargin] = useState(DEFAULT_SETTINGS.margin);
+  const [gap, setGap] = useState(DEFAULT_SETTINGS.gap);
+  const [embedAs, setEmbedAs] = useState(DEFAULT_SETTINGS.embedAs); // image | text | both
+  const [pageRules, setPageRules] = useState(DEFAULT_SETTINGS.pageRules); // [{ pages, skip, embedAs, position }] – see pageRules.js
+  const [qr, setQr] = useState(DEFAULT_SETTINGS.qr); // size in pt
 
   // Fingerprint + metadata
   const [recipient, setRecipient] = useState(""); // email or name
   const [caseId, setCaseId] = useState("");
-  const [embedFingerprint, setEmbedFingerprint] = useState(true);
-  const [tinyForensicText, setTinyForensicText] = useState(true); // puts a 0.1 opacity tiny line in margin
+  const [embedFingerprint, setEmbedFingerprint] = useState(DEFAULT_SETTINGS.embedFingerprint);
+  const [tinyForensicText, setTinyForensicText] = useState(DEFAULT_SETTINGS.tinyForensicText); // puts a 0.1 opacity tiny line in margin
+  const [dotPattern, setDotPattern] = useState(DEFAULT_SETTINGS.dotPattern); // faint micro-dot RID that survives print/scan
+  const [signManifest, setSignManifest] = useState(DEFAULT_SETTINGS.signManifest); // signed per-page hashes as a PDF attachment
+  const [issuer, setIssuer] = useState(DEFAULT_SETTINGS.issuer); // organisation recorded in the XMP / Info fingerprint
+  const [docInfo, setDocInfo] = useState(DEFAULT_SETTINGS.docInfo); // else the source's are kept
+  const [recipientListText, setRecipientListText] = useState(""); // batch: pasted or loaded CSV
+  const batchRecipients = useMemo(() => parseRecipientList(recipientListText), [recipientListText]);
 
   // Output
-  const [outputMode, setOutputMode] = useState("download"); // download | viewer
-  const [viewerTitle, setViewerTitle] = useState("Confidential Document Viewer");
-  const [trackingURL, setTrackingURL] = useState(""); // optional; if set, viewer POSTs here on open
+  const [outputMode, setOutputMode] = useState(DEFAULT_SETTINGS.outputMode); // download | viewer
+  const [viewerTitle, setViewerTitle] = useState(DEFAULT_SETTINGS.viewerTitle);
+  const [trackingURL, setTrackingURL] = useState(DEFAULT_SETTINGS.trackingURL); // optional; if set, viewer POSTs here on open
+  const [viewerPdfjs, setViewerPdfjs] = useState(DEFAULT_SETTINGS.viewerPdfjs); // inline | cdn
+  const [viewerOverlay, setViewerOverlay] = useState(DEFAULT_SETTINGS.viewerOverlay); // drawn live over the viewer's pages
+  const [viewerLock, setViewerLock] = useState(DEFAULT_SETTINGS.viewerLock); // passphrase-encrypted PDF inside the viewer
+  const [viewerNotice, setViewerNotice] = useState(DEFAULT_SETTINGS.viewerNotice); // access-log notice + consent before tracking
+  const [protection, setProtection] = useState(DEFAULT_SETTINGS.protection);
+  const passwordsRef = useRef(new WeakMap()); // File -> password entered for encrypted sources
+  const getSourcePassword = useCallback((f) => passwordsRef.current.get(f), []);
 
   const [processing, setProcessing] = useState(false);
+  const [concurrency, setConcurrency] = useState(() => Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1))); // parallel workers
+  const [jobs, setJobs] = useState([]); // one row per copy: { key, name, recipient, status, stage, page, pages, error }
+  const poolRef = useRef(null);
+  const cancelledRef = useRef(false);
   const [logs, setLogs] = useState([]);
   const dropRef = useRef(null);
 
   const log = (m) => setLogs(prev => [m, ...prev].slice(0, 400));
 
+  // Everything a profile captures (the logo travels separately as bytes; passwords are stripped on save)
+  const profileSettings = { embedAs, textWM, opacity, scale, angle, position, margin, gap, pageRules, qr, embedFingerprint, tinyForensicText, dotPattern, signManifest, issuer, docInfo, outputMode, viewerTitle, trackingURL, viewerPdfjs, viewerOverlay, viewerLock, viewerNotice, protection };
+
+  const applyProfile = useCallback((p) => {
+    const s = withDefaults(p.settings); // nested settings get defaults for fields the profile predates
+    const set = (key, setter) => { if (p.settings?.[key] !== undefined) setter(s[key]); };
+    set("embedAs", setEmbedAs); set("textWM", setTextWM); set("opacity", setOpacity); set("scale", setScale);
+    set("angle", setAngle); set("position", setPosition); set("margin", setMargin); set("gap", setGap);
+    set("pageRules", setPageRules); set("qr", setQr);
+    set("embedFingerprint", setEmbedFingerprint); set("tinyForensicText", setTinyForensicText); set("dotPattern", setDotPattern);
+    set("signManifest", setSignManifest); set("issuer", setIssuer); set("docInfo", setDocInfo);
+    set("outputMode", setOutputMode); set("viewerTitle", setViewerTitle); set("trackingURL", setTrackingURL); set("viewerPdfjs", setViewerPdfjs); set("viewerOverlay", setViewerOverlay); set("viewerLock", (v) => setViewerLock(prev => ({ ...v, passphrase: prev.passphrase }))); set("viewerNotice", setViewerNotice);
+    set("protection", (v) => setProtection(prev => ({ ...v, userPassword: prev.userPassword, ownerPassword: prev.ownerPassword })));
+    setLogoFile(profileLogoFile(p));
+  }, []);
+
+  // Restore the last used profile on reload
+  useEffect(() => {
+    const p = loadProfiles().find(x => x.name === getActiveProfileName());
+    if (p) applyProfile(p);
+  }, [applyProfile]);
+
   const onDrop = useCallback((e) => {
     e.preventDefault(); e.stopPropagation();
     const dropped = Array.from(e.dataTransfer.files || []).filter(f => /\.pdf$/i.test(f.name));
@@ -95,139 +130,136 @@ export default function App() {
     el.addEventListener("dragover", prevent);
     el.addEventListener("drop", onDrop);
     return () => { el.removeEventListener("dragover", prevent); el.removeEventListener("drop", onDrop); };
-  }, [onDrop]);
-
-  async function processOne(file) {
-    log(`Processing: ${file.name}`);
-    const pdfBytes = await fileToArrayBuffer(file);
-    const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
-
-    // Optional: embed metadata/fingerprint
-    let fpStr = "";
-    if (embedFingerprint) {
-      const ts = new Date().toISOString();
-      const ident = `${recipient || "unknown"}|${caseId || "n/a"}|${ts}`;
-      const shortId = await simpleHash(ident);
-      fpStr = `RID:${shortId}`;
-      try {
-        pdfDoc.setTitle(file.name.replace(/\.pdf$/i, ""));
-        pdfDoc.setSubject("Confidential – Watermarked");
-        pdfDoc.setAuthor(recipient || "ISO");
-        pdfDoc.setKeywords(["watermarked", fpStr, recipient || "", caseId || ""]);
-        pdfDoc.setProducer("AquaMark Rival MVP");
-        pdfDoc.setCreationDate(new Date());
-        pdfDoc.setModificationDate(new Date());
-      } catch {}
-    }
-
-    // Embed image logo if provided
-    let embeddedImg = null, imgDims = null;
-    if (logoFile) {
-      const bytes = await fileToArrayBuffer(logoFile);
-      const isPng = /\.png$/i.test(logoFile.name);
-      embeddedImg = isPng ? await pdfDoc.embedPng(bytes) : await pdfDoc.embedJpg(bytes);
-      imgDims = embeddedImg.scale(1);
-    }
-
-    // Fonts
-    const font = await pdfDoc.embedFont("Helvetica-Bold");
-
-    const pages = pdfDoc.getPages();
-    for (let page of pages) {
-      const { width, height } = page.getSize();
-      const minDim = Math.min(width, height);
-
-      // ---- image watermark ----
-      const drawImageWM = () => {
-        if (!embeddedImg) return;
-        let imgW = imgDims.width, imgH = imgDims.height;
-        const target = minDim * scale; const ratio = imgW / imgH;
-        if (imgW >= imgH) { imgW = target; imgH = target / ratio; } else { imgH = target; imgW = target * ratio; }
-        const drawAt = (x, y, rot=null) => page.drawImage(embeddedImg, { x, y, width: imgW, height: imgH, opacity, rotate: rot?degrees(rot):undefined });
-        if (position === "diagonal") drawAt((width - imgW)/2, (height - imgH)/2, angle);
-        else if (position === "bottomRight") drawAt(width - imgW - margin, margin, 0);
-        else if (position === "topLeft") drawAt(margin, height - imgH - margin, 0);
-        else if (position === "center") drawAt((width - imgW)/2, (height - imgH)/2, 0);
-        else if (position === "footer") drawAt((width - imgW)/2, margin, 0);
-        else if (position === "tiled") {
-          const xCount = Math.ceil(width / gap) + 1; const yCount = Math.ceil(height / gap) + 1;
-          for (let i=0;i<xCount;i++){ for (let j=0;j<yCount;j++){ const x=i*gap - imgW/2; const y=j*gap - imgH/2; page.drawImage(embeddedImg,{x,y,width:imgW,height:imgH,opacity,rotate:degrees(angle)}); }}
-        }
-      };
-
-      // ---- text watermark ----
-      const drawTextWM = () => {
-        const content = textWM || (embedFingerprint ? fpStr : "");
-        if (!content) return;
-        const fontSize = Math.max(10, minDim * scale * 0.25);
-        const tw = font.widthOfTextAtSize(content, fontSize);
-        const th = fontSize;
-        const drawAt = (x,y,rot=null) => page.drawText(content, { x,y,size:fontSize,font,opacity,rotate:rot?degrees(rot):undefined });
-        if (position === "diagonal") drawAt((width - tw)/2, (height - th)/2, angle);
-        else if (position === "bottomRight") drawAt(width - tw - margin, margin, 0);
-        else if (position === "topLeft") drawAt(margin, height - th - margin, 0);
-        else if (position === "center") drawAt((width - tw)/2, (height - th)/2, 0);
-        else if (position === "footer") drawAt((width - tw)/2, margin, 0);
-        else if (position === "tiled") {
-          const xCount = Math.ceil(width / gap) + 1; const yCount = Math.ceil(height / gap) + 1;
-          for (let i=0;i<xCount;i++){ for (let j=0;j<yCount;j++){ const x=i*gap - tw/2; const y=j*gap - th/2; page.drawText(content,{x,y,size:fontSize,font,opacity,rotate:degrees(angle)}); }}
-        }
-      };
+  }, [onDrop, view]); // drop zone remounts when switching back from Identify
+
+  const wmSettings = useMemo(() => ({ embedAs, textWM, opacity, scale, angle, position, margin, gap, embedFingerprint, tinyForensicText, dotPattern, pageRules, qr }),
+    [embedAs, textWM, opacity, scale, angle, position, margin, gap, embedFingerprint, tinyForensicText, dotPattern, pageRules, qr]);
+
+  // Asks for an encrypted source's password (prompts need the page, so not in the worker).
+  // `tried` is what the failed attempt used: another copy of the same file may already have asked.
+  function askSourcePassword(file, tried, wrongPassword) {
+    if (passwordsRef.current.get(file) !== tried) return;
+    const pw = window.prompt(`${wrongPassword ? "Wrong password. " : ""}“${file.name}” is password-protected. Enter its password:`);
+    if (pw === null) throw new Error(`Skipped ${file.name}: password not provided`);
+    passwordsRef.current.set(file, pw);
+  }
 
-      if (embedAs === "image" || embedAs === "both") drawImageWM();
-      if (embedAs === "text" || embedAs === "both" || (!textWM && embedFingerprint)) drawTextWM();
-
-      // Optional tiny forensic line near margin (ultra low opacity)
-      if (tinyForensicText && embedFingerprint && fpStr) {
-        try {
-          page.drawText(`${fpStr} | ${recipient || ""} | ${caseId || ""}`.trim(), {
-            x: margin, y: margin/2,
-            size: 6, opacity: 0.1, font
-          });
-        } catch {}
+  // One copy: `task` is a planCopies copy (the single recipient from the form, or one row of the
+  // batch list, with its generated open password and the `nonce` that keeps copies stamped in the
+  // same millisecond apart). It goes into the job as is, the way the CLI's runCopy passes it.
+  // The PDF work runs in the pool (see watermarkJob.js); the ledger write happens here.
+  async function processOne(pool, task, shared, onProgress) {
+    const { file, recipient, caseId, slug, saveAs } = task;
+    log(`Processing: ${file.name}${slug ? ` → ${recipient}` : ""}`);
+    let job, result;
+    for (;;) {
+      const sourcePassword = passwordsRef.current.get(file);
+      // eslint-disable-next-line no-await-in-loop
+      const bytes = await fileToArrayBuffer(file);
+      job = buildJob(profileSettings, { ...task, bytes, fileName: file.name, sourcePassword, logoName: logoFile?.name, ...shared });
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        result = await pool.run(job, { transfer: [bytes], onProgress, onLog: log });
+        break;
+      } catch (e) {
+        if (!(e instanceof PasswordRequiredError)) throw e;
+        askSourcePassword(file, sourcePassword, e.wrongPassword);
       }
     }
 
-    const newPdfBytes = await pdfDoc.save({ useObjectStreams: false, addDefaultPage: false });
-    const outName = file.name.replace(/\.pdf$/i, "") + "_wm.pdf";
-
-    if (outputMode === "download") {
-      downloadBlob(new Blob([newPdfBytes], { type: "application/pdf" }), outName);
-      log(`Done: ${outName}`);
-      return null;
+    // Ledger: record who got this copy so the RID can be resolved later
+    const record = ledgerRecord(job, result);
+    if (record) {
+      try { await addLedgerRecord(record); } catch (e) { log(`Ledger write failed for ${record.rid}: ${e.message || e}`); }
     }
 
-    // Generate single-file viewer HTML that fetches the PDF (embedded as base64) via PDF.js
-    const base64 = uint8ToBase64(new Uint8Array(newPdfBytes));
-    const viewerHTML = buildViewerHTML({
-      title: viewerTitle || "Confidential Document Viewer",
-      base64PDF: base64,
-      trackingURL: trackingURL || "",
-      recipient, caseId
-    });
-    const htmlBlob = new Blob([viewerHTML], { type: "text/html;charset=utf-8" });
-    const htmlName = outName.replace(/\.pdf$/i, "").replace(/\.pdf$/i, "") + "_viewer.html";
-    downloadBlob(htmlBlob, htmlName);
-    log(`Viewer generated: ${htmlName}`);
-    return null;
+    const out = await packageOutput(profileSettings, { fileName: file.name, saveAs, slug, recipient, caseId, rid: result.rid }, result.bytes, { pdfjs: shared.pdfjs });
+    log(outputMode === "viewer" ? `Viewer generated: ${out.name}` : `Done: ${out.name}`);
+    return out;
   }
 
   async function handleProcessAll() {
     if (!files.length) return;
     if (!logoFile && embedAs === "image") { alert("Upload a logo or switch to Text/Both."); return; }
+    if (batchRecipients.length && !embedFingerprint) { alert("Batch copies need a fingerprint: enable \"Embed metadata + short ID\"."); return; }
+    const perRecipientPw = protection.enabled && protection.perRecipient;
+    if (perRecipientPw && !embedFingerprint) { alert("Per-recipient passwords are recorded in the ledger: enable \"Embed metadata + short ID\"."); return; }
+    if (outputMode === "viewer" && viewerLock.enabled && !viewerLock.passphrase) { alert("Set a passphrase for the locked viewer, or turn the lock off."); return; }
+    // One password per recipient, shared by all of their files
+    const passwordFor = (who) => {
+      if (!perRecipientPw) return undefined;
+      const pw = randomPassword(12);
+      log(`Open password generated for ${who || "recipient"}; see the Ledger tab`);
+      return pw;
+    };
+
+    // Single recipient: each file downloads as it finishes. Batch: every queued
+    // file × every recipient, each with its own RID, in one ZIP.
+    const batch = batchRecipients.length > 0;
+    const tasks = planCopies(files, batchRecipients, { recipient, caseId, passwordFor });
+
+    const update = (i, patch) => setJobs(prev => prev.map(j => (j.key === i ? { ...j, ...patch } : j)));
+    setJobs(tasks.map((t, i) => ({ key: i, name: t.file.name, recipient: t.slug ? t.recipient : "", status: "queued", page: 0, pages: 0 })));
     setProcessing(true);
+    cancelledRef.current = false;
+    const outputs = [];
+    let failed = 0, finished = 0, pool = null;
     try {
-      for (const f of files) { // sequential to keep memory low
-        // eslint-disable-next-line no-await-in-loop
-        await processOne(f);
+      const { default: spawn } = await import("./spawnWatermarkWorker");
+      pool = createWorkerPool({ size: concurrency, spawn });
+      poolRef.current = pool;
+      const shared = { logo: await readLogoFile(logoFile), signingKey: null, pdfjs: null }; // the same for every copy
+      if (needsPdfjsSource(profileSettings)) shared.pdfjs = await (await import("./pdfjsAssets")).loadPdfjsSource();
+      if (embedFingerprint && signManifest) {
+        try { shared.signingKey = await getSigningKey(); } catch (e) { log(`Manifests not signed: ${e.message || e}`); }
       }
+
+      // `concurrency` lanes pull the next copy, so only that many sources are read into memory at once
+      let next = 0;
+      const lane = async () => {
+        while (next < tasks.length && !cancelledRef.current) {
+          const i = next++, t = tasks[i];
+          try {
+            // eslint-disable-next-line no-await-in-loop
+            const out = await processOne(pool, t, shared, ({ stage, page, pages }) => update(i, { status: "running", stage, page: page ?? 0, pages: pages ?? 0 }));
+            update(i, { status: "done" }); finished++;
+            if (batch) outputs[i] = { path: `${t.slug}/${out.name}`, bytes: new Uint8Array(out.bytes) };
+            else downloadBlob(new Blob([out.bytes], { type: out.type }), out.name);
+          } catch (e) {
+            if (e instanceof JobCancelledError) { update(i, { status: "cancelled" }); continue; }
+            failed++;
+            update(i, { status: "failed", error: e.message || String(e) });
+            console.error(e); log(`Failed: ${t.file.name}${t.slug ? ` → ${t.recipient}` : ""}: ${e.message || String(e)}`);
+          }
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(concurrency, tasks.length) }, lane));
+
+      if (cancelledRef.current) {
+        setJobs(prev => prev.map(j => (j.status === "queued" ? { ...j, status: "cancelled" } : j)));
+        log(`Cancelled after ${finished} of ${tasks.length} copies${batch ? "; no ZIP written" : ""}`);
+        return;
+      }
+      if (failed) log(`${failed} of ${tasks.length} failed; see the progress list`);
+      const done = outputs.filter(Boolean);
+      if (!batch || !done.length) return;
+      const zipEntries = Object.fromEntries(done.map(o => [o.path, o.bytes]));
+      const zipName = `${(caseId || files[0].name.replace(/\.pdf$/i, "")).replace(/[^\w-]+/g, "_")}_distribution.zip`;
+      downloadBlob(new Blob([zipSync(zipEntries, { level: 0 })], { type: "application/zip" }), zipName);
+      log(`ZIP ready: ${zipName} (${done.length} files for ${batchRecipients.length} recipients)`);
     } catch (e) {
-      console.error(e); log(`Error: ${e.message || String(e)}`); alert("Processing error. See logs.");
-    } finally { setProcessing(false); }
+      console.error(e); log(`Error: ${e.message || String(e)}`);
+    } finally {
+      pool?.close(); poolRef.current = null;
+      setProcessing(false);
+    }
   }
 
+  const cancelProcessing = () => { cancelledRef.current = true; poolRef.current?.cancel(); log("Cancelling…"); };
+
   const onFilesPicked = (e) => { const picked = Array.from(e.target.files || []); if (picked.length) setFiles(prev => [...prev, ...picked]); };
   const onLogoPicked = (e) => { const f = e.target.files?.[0]; if (f) setLogoFile(f); };
+  const onRecipientCSVPicked = async (e) => { const f = e.target.files?.[0]; e.target.value = ""; if (f) setRecipientListText(await f.text()); };
 
   return (
     <div className="min-h-screen bg-slate-50 text-slate-900">
@@ -238,16 +270,24 @@ export default function App() {
             <h1 className="text-xl font-semibold">AquaMark‑Rival – MVP (Client‑Side + Viewer Generator)</h1>
             <p className="text-sm text-slate-600">OCR‑safe overlays · per‑recipient fingerprint · optional no‑download viewer with tracking hook.</p>
           </div>
-          <button disabled={processing || !files.length} onClick={handleProcessAll} className="px-4 py-2 rounded-2xl bg-slate-900 text-white disabled:opacity-40 flex items-center gap-2 shadow">
+          <div className="flex gap-1 rounded-2xl border border-slate-300 p-1">
+            {[['watermark','Watermark'],['identify','Identify'],['ledger','Ledger']].map(([k,l]) => (
+              <button key={k} onClick={()=>setView(k)} className={`px-3 py-1.5 rounded-xl text-sm ${view===k?"bg-slate-900 text-white":"text-slate-700"}`}>{l}</button>
+            ))}
+          </div>
+          {view === "watermark" && <button disabled={processing || !files.length} onClick={handleProcessAll} className="px-4 py-2 rounded-2xl bg-slate-900 text-white disabled:opacity-40 flex items-center gap-2 shadow">
             {processing ? <Loader2 className="w-4 h-4 animate-spin"/> : outputMode === 'download' ? <Download className="w-4 h-4"/> : <Eye className="w-4 h-4"/>}
-            {processing ? "Processing…" : outputMode === 'download' ? `Process ${files.length}` : `Build Viewer for ${files.length}`}
-          </button>
+            {processing ? "Processing…" : batchRecipients.length ? `ZIP ${files.length * batchRecipients.length} copies` : outputMode === 'download' ? `Process ${files.length}` : `Build Viewer for ${files.length}`}
+          </button>}
+          {view === "watermark" && processing && <button onClick={cancelProcessing} className="px-3 py-2 rounded-2xl border border-slate-300 text-slate-700 flex items-center gap-2"><X className="w-4 h-4"/> Cancel</button>}
         </div>
       </header>
 
       <main className="max-w-6xl mx-auto px-4 py-6 grid lg:grid-cols-3 gap-6">
+        {view === "identify" ? <IdentifyPanel/> : view === "ledger" ? <LedgerPanel/> : <>
         {/* Controls */}
         <section className="lg:col-span-1">
+          <ProfilesCard settings={profileSettings} logoFile={logoFile} onApply={applyProfile}/>
           <div className="bg-white rounded-2xl shadow p-4 space-y-4">
             <div className="flex items-center gap-2"><Settings className="w-4 h-4"/><h2 className="font-semibold">Watermark Settings</h2></div>
             <div>
@@ -259,15 +299,18 @@ export default function App() {
               </div>
             </div>
             <div>
-              <label className="block text-sm font-medium mb-1">Logo (PNG/JPG)</label>
+              <label className="block text-sm font-medium mb-1">Logo (SVG/PNG/JPG)</label>
               <div className="flex items-center gap-2">
-                <input type="file" accept="image/png,image/jpeg" onChange={onLogoPicked} />
+                <input type="file" accept="image/png,image/jpeg,image/svg+xml,.svg" onChange={onLogoPicked} />
                 {logoFile ? <span className="text-xs text-slate-600 truncate max-w-[10rem]">{logoFile.name}</span> : <span className="text-xs text-slate-400">No file chosen</span>}
               </div>
             </div>
             <div>
               <label className="block text-sm font-medium mb-1">Text Watermark</label>
-              <input type="text" value={textWM} onChange={e=>setTextWM(e.target.value)} placeholder="e.g., CONFIDENTIAL – BrokerCo" className="w-full border border-slate-300 rounded-xl px-3 py-2"/>
+              <input type="text" value={textWM} onChange={e=>setTextWM(e.target.value)} placeholder="e.g., Prepared for {recipient} – {date} – p.{page}/{pages}" className="w-full border border-slate-300 rounded-xl px-3 py-2"/>
+              <p className="text-xs text-slate-500 mt-1">
+                Placeholders: {TEMPLATE_VARS.map(([k, d]) => <span key={k} title={d} className="font-mono mr-1">{`{${k}}`}</span>)}
+              </p>
             </div>
             <div className="grid grid-cols-2 gap-3">
               <div>
@@ -304,6 +347,29 @@ export default function App() {
               )}
             </div>
 
+            <PageRulesEditor rules={pageRules} onChange={setPageRules} defaults={{ embedAs, position }}/>
+
+            <div className="pt-2 border-t border-slate-100 space-y-2">
+              <label className="inline-flex items-center gap-2 text-sm font-medium"><input type="checkbox" checked={qr.enabled} onChange={e=>setQr(q=>({ ...q, enabled: e.target.checked }))} /> <QrCode className="w-4 h-4"/> QR code</label>
+              {qr.enabled && <>
+                <input type="text" value={qr.template} onChange={e=>setQr(q=>({ ...q, template: e.target.value }))} placeholder="https://verify.example.com/{rid} or just {rid}" className="w-full border border-slate-300 rounded-xl px-3 py-2 text-sm font-mono"/>
+                <div className="grid grid-cols-3 gap-3 items-end">
+                  <select value={qr.position} onChange={e=>setQr(q=>({ ...q, position: e.target.value }))} className="border border-slate-300 rounded-xl px-2 py-2 text-sm">
+                    {POSITION_PRESETS.map(p => <option key={p.key} value={p.key}>{p.label}</option>)}
+                  </select>
+                  <div>
+                    <label className="block text-xs mb-1">Size: {qr.size}pt</label>
+                    <input type="range" min={36} max={200} step={4} value={qr.size} onChange={e=>setQr(q=>({ ...q, size: parseInt(e.target.value) }))} className="w-full"/>
+                  </div>
+                  <div>
+                    <label className="block text-xs mb-1">Opacity: {Math.round(qr.opacity*100)}%</label>
+                    <input type="range" min={0.3} max={1} step={0.05} value={qr.opacity} onChange={e=>setQr(q=>({ ...q, opacity: parseFloat(e.target.value) }))} className="w-full"/>
+                  </div>
+                </div>
+                <p className="text-xs text-slate-500">Generated locally as vector paths. Same placeholders as the text watermark, except that {"{rid}"} is the bare ID without "RID:"; keep opacity high enough for phones to scan.</p>
+              </>}
+            </div>
+
             <div className="rounded-xl bg-sky-50 border border-sky-200 p-3 text-sky-900 text-sm flex gap-2">
               <ShieldAlert className="w-4 h-4 mt-0.5"/>
               <div>
@@ -324,6 +390,39 @@ export default function App() {
             <div className="flex items-center gap-2 text-sm">
               <label className="inline-flex items-center gap-2"><input type="checkbox" checked={tinyForensicText} onChange={e=>setTinyForensicText(e.target.checked)} /> Tiny forensic line in margin</label>
             </div>
+            <div className="flex items-center gap-2 text-sm">
+              <label className="inline-flex items-center gap-2"><input type="checkbox" checked={dotPattern} onChange={e=>setDotPattern(e.target.checked)} /> Micro-dot pattern (survives print, scan, photo)</label>
+            </div>
+            <div className="flex items-center gap-2 text-sm">
+              <label className="inline-flex items-center gap-2"><input type="checkbox" checked={signManifest} onChange={e=>setSignManifest(e.target.checked)} /> Signed manifest (tamper-evident page hashes)</label>
+            </div>
+            <input className="w-full border border-slate-300 rounded-xl px-3 py-2 text-sm" placeholder="Issuer recorded in XMP (optional, e.g. Acme Legal)" value={issuer} onChange={e=>setIssuer(e.target.value)} />
+            <div className="space-y-2 text-sm">
+              <label className="inline-flex items-center gap-2"><input type="checkbox" checked={docInfo.override} onChange={e=>setDocInfo(d=>({ ...d, override: e.target.checked }))} /> Override Title / Author / Creator</label>
+              {docInfo.override && (
+                <div className="grid grid-cols-3 gap-2">
+                  {[["title","Title"],["author","Author"],["creator","Creator"]].map(([k, label]) => (
+                    <input key={k} className="border border-slate-300 rounded-xl px-2 py-1 text-xs" placeholder={`${label} (kept if empty)`} value={docInfo[k]} onChange={e=>setDocInfo(d=>({ ...d, [k]: e.target.value }))} />
+                  ))}
+                </div>
+              )}
+              <p className="text-xs text-slate-500">Without override the source's own Title / Author / Creator are kept. Placeholders: {"{recipient}"}, {"{caseId}"}, {"{rid}"}, {"{date}"}.</p>
+            </div>
+            <div className="pt-2 border-t border-slate-100 space-y-2">
+              <div className="flex items-center gap-2">
+                <Users className="w-4 h-4"/><label className="text-sm font-medium flex-1">Batch recipients</label>
+                <label className="text-xs px-2 py-1 rounded-lg border border-slate-300 cursor-pointer">
+                  Load CSV<input type="file" className="hidden" accept=".csv,text/csv,text/plain" onChange={onRecipientCSVPicked}/>
+                </label>
+                {recipientListText && <button className="text-xs text-slate-600 hover:text-slate-900" onClick={()=>setRecipientListText("")}>Clear</button>}
+              </div>
+              <textarea rows={4} value={recipientListText} onChange={e=>setRecipientListText(e.target.value)} placeholder={"name,email,case\nAcme Funding,deals@acme.com,DEAL-7"} className="w-full border border-slate-300 rounded-xl px-3 py-2 text-xs font-mono"/>
+              <p className="text-xs text-slate-600">
+                {batchRecipients.length
+                  ? `${batchRecipients.length} recipient${batchRecipients.length === 1 ? "" : "s"} × ${files.length} file${files.length === 1 ? "" : "s"} → one ZIP. Empty case column falls back to the Case ID above.`
+                  : "Leave empty to use the single recipient above. Each listed recipient gets a separately fingerprinted copy."}
+              </p>
+            </div>
           </div>
 
           {/* Output */}
@@ -334,11 +433,70 @@ export default function App() {
                 <button key={k} onClick={()=>setOutputMode(k)} className={`px-3 py-1.5 rounded-xl border ${outputMode===k?"bg-slate-900 text-white border-slate-900":"border-slate-300"}`}>{l}</button>
               ))}
             </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Parallel workers: {concurrency}</label>
+              <input type="range" min={1} max={8} step={1} value={concurrency} disabled={processing} onChange={e=>setConcurrency(parseInt(e.target.value))} className="w-full"/>
+              <p className="text-xs text-slate-500">Files processed at once. Each holds its PDF in memory; lower this for very large files.</p>
+            </div>
+            <div className="pt-2 border-t border-slate-100 space-y-2 text-sm">
+              <label className="inline-flex items-center gap-2"><input type="checkbox" checked={protection.enabled} onChange={e=>setProtection({ ...protection, enabled: e.target.checked })} /> <Lock className="w-4 h-4"/> Encrypt output PDF (AES-256)</label>
+              {protection.enabled && (
+                <div className="space-y-2">
+                  <label className="inline-flex items-center gap-2"><input type="checkbox" checked={!!protection.perRecipient} onChange={e=>setProtection({ ...protection, perRecipient: e.target.checked })} /> Generate an open password per recipient</label>
+                  {protection.perRecipient
+                    ? <p className="text-xs text-slate-600">Each recipient gets a random password, kept only in the ledger next to their RID (Ledger tab).</p>
+                    : <input type="password" autoComplete="new-password" className="w-full border border-slate-300 rounded-xl px-3 py-2" placeholder="Open password (optional)" value={protection.userPassword} onChange={e=>setProtection({ ...protection, userPassword: e.target.value })} />}
+                  <input type="password" autoComplete="new-password" className="w-full border border-slate-300 rounded-xl px-3 py-2" placeholder="Owner password (random if blank)" value={protection.ownerPassword} onChange={e=>setProtection({ ...protection, ownerPassword: e.target.value })} />
+                  <div className="flex gap-3 flex-wrap text-xs">
+                    {[['noPrint','No print'],['noCopy','No copy'],['noModify','No editing'],['noAnnotate','No annotations']].map(([k,l]) => (
+                      <label key={k} className="inline-flex items-center gap-1"><input type="checkbox" checked={protection[k]} onChange={e=>setProtection({ ...protection, [k]: e.target.checked })} /> {l}</label>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
             {outputMode === 'viewer' && (
               <div className="space-y-2">
                 <input className="w-full border border-slate-300 rounded-xl px-3 py-2" placeholder="Viewer Title" value={viewerTitle} onChange={e=>setViewerTitle(e.target.value)} />
                 <input className="w-full border border-slate-300 rounded-xl px-3 py-2" placeholder="Tracking Endpoint URL (optional)" value={trackingURL} onChange={e=>setTrackingURL(e.target.value)} />
                 <p className="text-xs text-slate-600">If set, the generated HTML will POST to this URL on open with headers. Your server can log IP/device. Sample Express endpoint included in comments below.</p>
+                {trackingURL && <>
+                  <label className="inline-flex items-center gap-2 text-sm"><input type="checkbox" checked={viewerNotice.enabled} onChange={e=>setViewerNotice(n=>({ ...n, enabled: e.target.checked }))} /> Show an access-log notice and ask for consent first</label>
+                  {viewerNotice.enabled && <>
+                    <textarea rows={3} className="w-full border border-slate-300 rounded-xl px-3 py-2 text-sm" placeholder="What is recorded" value={viewerNotice.recorded} onChange={e=>setViewerNotice(n=>({ ...n, recorded: e.target.value }))} />
+                    <input className="w-full border border-slate-300 rounded-xl px-3 py-2" placeholder="Privacy policy URL (https://…)" value={viewerNotice.privacyURL} onChange={e=>setViewerNotice(n=>({ ...n, privacyURL: e.target.value }))} />
+                    <p className="text-xs text-slate-600">Shown with your issuer name{issuer ? ` (${issuer})` : ""} before the document renders. The open event is sent only after the reader acknowledges, with the time of acknowledgement; import the events your endpoint saved in the Ledger tab (Opens) to record consent per copy.</p>
+                  </>}
+                </>}
+                <div className="flex gap-2 flex-wrap text-sm">
+                  {[['inline','Offline (PDF.js inlined)'],['cdn','PDF.js from CDN']].map(([k,l]) => (
+                    <button key={k} onClick={()=>setViewerPdfjs(k)} className={`px-3 py-1.5 rounded-xl border ${viewerPdfjs===k?"bg-slate-900 text-white border-slate-900":"border-slate-300"}`}>{l}</button>
+                  ))}
+                </div>
+                <p className="text-xs text-slate-600">{viewerPdfjs === 'cdn'
+                  ? `Loads PDF.js ${PDFJS_VERSION} from jsDelivr, hash-checked (SRI). Smaller files, but the viewer needs a connection to open.`
+                  : `Opens with no network at all. Adds about 1.4 MB of PDF.js ${PDFJS_VERSION} to each file.`}</p>
+                <label className="inline-flex items-center gap-2 text-sm"><input type="checkbox" checked={viewerOverlay.enabled} onChange={e=>setViewerOverlay(o=>({ ...o, enabled: e.target.checked }))} /> Live overlay on every page</label>
+                {viewerOverlay.enabled && <>
+                  <input type="text" value={viewerOverlay.text} onChange={e=>setViewerOverlay(o=>({ ...o, text: e.target.value }))} className="w-full border border-slate-300 rounded-xl px-3 py-2 text-sm font-mono"/>
+                  <p className="text-xs text-slate-500">
+                    Placeholders: {["recipient", "caseId", "rid", "opened", "page", "pages"].map(k => <span key={k} className="font-mono mr-1">{`{${k}}`}</span>)} · {"{opened}"} is the date and time the viewer was opened, in the reader's time zone.
+                  </p>
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Overlay opacity: {Math.round(viewerOverlay.opacity*100)}%</label>
+                    <input type="range" min={0.05} max={0.6} step={0.01} value={viewerOverlay.opacity} onChange={e=>setViewerOverlay(o=>({ ...o, opacity: parseFloat(e.target.value) }))} className="w-full"/>
+                  </div>
+                </>}
+                <label className="inline-flex items-center gap-2 text-sm"><input type="checkbox" checked={viewerLock.enabled} onChange={e=>setViewerLock(l=>({ ...l, enabled: e.target.checked }))} /> <Lock className="w-4 h-4"/> Lock with a passphrase (AES-GCM)</label>
+                {viewerLock.enabled && <>
+                  <input type="password" autoComplete="new-password" className="w-full border border-slate-300 rounded-xl px-3 py-2" placeholder="Passphrase" value={viewerLock.passphrase} onChange={e=>setViewerLock(l=>({ ...l, passphrase: e.target.value }))} />
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Expires (optional)</label>
+                    <input type="date" className="w-full border border-slate-300 rounded-xl px-3 py-2" value={viewerLock.expires} onChange={e=>setViewerLock(l=>({ ...l, expires: e.target.value }))} />
+                  </div>
+                  <textarea rows={2} className="w-full border border-slate-300 rounded-xl px-3 py-2 text-sm" placeholder="Message shown with the passphrase prompt (e.g. “Passphrase sent by SMS”)" value={viewerLock.message} onChange={e=>setViewerLock(l=>({ ...l, message: e.target.value }))} />
+                  <p className="text-xs text-slate-600">The PDF is stored encrypted and only decrypted in the viewer after the passphrase is entered. After the expiry date (end of day, your time) the viewer refuses to decrypt; it reads the reader's clock, so treat expiry as a deterrent.</p>
+                </>}
               </div>
             )}
           </div>
@@ -363,19 +521,23 @@ export default function App() {
             <div className="mt-4 bg-white rounded-2xl shadow">
               <div className="p-4 border-b border-slate-200 flex items-center justify-between">
                 <h4 className="font-semibold">Queue ({files.length})</h4>
-                <button className="text-sm text-slate-600 hover:text-slate-900" onClick={()=>setFiles([])}>Clear</button>
+                <button className="text-sm text-slate-600 hover:text-slate-900" onClick={()=>{ setFiles([]); setPreviewIndex(0); }}>Clear</button>
               </div>
               <ul className="divide-y divide-slate-100 max-h-64 overflow-auto">
                 {files.map((f, i) => (
-                  <li key={i} className="px-4 py-3 text-sm flex items-center justify-between">
-                    <span className="truncate mr-2">{f.name}</span>
-                    <button onClick={()=>setFiles(files.filter((_,idx)=>idx!==i))} className="text-slate-400 hover:text-slate-900" title="Remove"><X className="w-4 h-4"/></button>
+                  <li key={i} className={`px-4 py-3 text-sm flex items-center justify-between ${i===previewIndex?"bg-slate-50":""}`}>
+                    <button onClick={()=>setPreviewIndex(i)} className={`truncate mr-2 text-left flex-1 ${i===previewIndex?"font-medium":""}`} title="Preview this file">{f.name}</button>
+                    <button onClick={()=>{ setFiles(files.filter((_,idx)=>idx!==i)); if (i <= previewIndex) setPreviewIndex(Math.max(0, previewIndex - 1)); }} className="text-slate-400 hover:text-slate-900" title="Remove"><X className="w-4 h-4"/></button>
                   </li>
                 ))}
               </ul>
             </div>
           )}
 
+          <ProgressPanel jobs={jobs} onClear={processing ? null : ()=>setJobs([])}/>
+
+          <PreviewPanel file={files[previewIndex] || null} getPassword={getSourcePassword} logoFile={logoFile} settings={wmSettings} recipient={recipient} caseId={caseId}/>
+
           <div className="mt-4 bg-white rounded-2xl shadow">
             <div className="p-4 border-b border-slate-200 flex items-center gap-2"><h4 className="font-semibold">Logs</h4></div>
             <div className="p-3 text-xs text-slate-700 max-h-56 overflow-auto font-mono whitespace-pre-wrap">
@@ -384,108 +546,15 @@ export default function App() {
           </div>
 
           <div className="mt-4 text-xs text-slate-500">
-            <p>Limitations: Password‑protected PDFs not supported; very large PDFs may be memory‑heavy. For high‑volume server pipelines, port this logic to Node.js using pdf-lib.</p>
+            <p>Limitations: very large PDFs may be memory‑heavy; encrypted PDFs are decrypted in memory only. For high‑volume server pipelines use the <span className="font-mono">wm</span> command line tool, which runs the same code in Node.js.</p>
           </div>
         </section>
+        </>}
       </main>
-
-      {/* ----
-        SINGLE‑FILE VIEWER BUILDER
-        We inline a tiny HTML shell that loads PDF.js from a CDN, disables default
-        download/print UI, blocks right‑click + common hotkeys, and optionally POSTs
-        to your tracking endpoint so your server captures IP + headers.
-      ---- */}
     </div>
   );
 }
 
-function buildViewerHTML({ title, base64PDF, trackingURL, recipient, caseId }) {
-  const safeTitle = (title || "Viewer").replace(/</g, "&lt;").replace(/>/g, "&gt;");
-  const payloadJS = trackingURL ? `
-    try {
-      fetch('${trackingURL}', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          event: 'open',
-          ts: new Date().toISOString(),
-          recipient: ${JSON.stringify(recipient || '')},
-          caseId: ${JSON.stringify(caseId || '')},
-          timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-          language: navigator.language,
-          userAgent: navigator.userAgent,
-          screen: { w: window.screen.width, h: window.screen.height, dpr: window.devicePixelRatio }
-        })
-      }).catch(()=>{});
-    } catch(e) {}
-  ` : "";
-
-  // Minimal PDF.js embed (no toolbar). We rely on CDN; host this HTML anywhere.
-  return `<!doctype html>
-<html lang="en">
-  <head>
-    <meta charset="utf-8"/>
-    <meta name="viewport" content="width=device-width, initial-scale=1"/>
-    <title>${safeTitle}</title>
-    <style>
-      html,body,#app{height:100%;margin:0;background:#0b1220;color:#e5e7eb;font-family:Inter,system-ui,Segoe UI,Roboto,Arial,sans-serif}
-      header{position:sticky;top:0;background:rgba(11,18,32,.8);backdrop-filter:saturate(1.2) blur(8px);border-bottom:1px solid #1f2937;padding:10px 14px;display:flex;align-items:center;gap:10px}
-      .badge{font-size:12px;opacity:.7}
-      canvas{display:block;margin:0 auto;max-width:100%}
-      .page{margin:16px auto;box-shadow:0 8px 24px rgba(0,0,0,.4);border-radius:8px;overflow:hidden}
-      .hint{position:fixed;bottom:10px;left:50%;transform:translateX(-50%);font-size:12px;opacity:.6}
-      /* Best‑effort disable text selection and context menu */
-      *{user-select:none;-webkit-user-select:none}
-    </style>
-    <script src="https://cdn.jsdelivr.net/npm/pdfjs-dist@4.4.168/build/pdf.min.js"></script>
-  </head>
-  <body>
-    <header>
-      <div style="width:28px;height:28px;border-radius:10px;background:#111827;color:white;display:grid;place-items:center;font-weight:700">WM</div>
-      <div style="flex:1">
-        <div style="font-weight:600">${safeTitle}</div>
-        <div class="badge">View‑only · Download/Print disabled</div>
-      </div>
-    </header>
-    <div id="app"></div>
-    <div class="hint">Screenshots can still happen. Your IP and headers may be logged.</div>
-    <script>
-      ${payloadJS}
-      // PDF.js config
-      pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@4.4.168/build/pdf.worker.min.js';
-
-      // Block right‑click and common save/print keys
-      window.addEventListener('contextmenu', e=>e.preventDefault());
-      window.addEventListener('keydown', (e)=>{
-        const k = e.key.toLowerCase();
-        if ((e.ctrlKey||e.metaKey) && (k==='s'||k==='p'||k==='o')) e.preventDefault();
-        if (k==='printscreen') e.preventDefault();
-      });
-
-      const base64 = '${base64PDF}';
-      const raw = atob(base64);
-      const len = raw.length; const bytes = new Uint8Array(len);
-      for (let i=0;i<len;i++) bytes[i] = raw.charCodeAt(i);
-
-      (async () => {
-        const doc = await pdfjsLib.getDocument({data: bytes}).promise;
-        const app = document.getElementById('app');
-        for (let p=1; p<=doc.numPages; p++) {
-          const page = await doc.getPage(p);
-          const viewport = page.getViewport({ scale: 1.2 });
-          const canvas = document.createElement('canvas');
-          canvas.className = 'page';
-          canvas.width = viewport.width; canvas.height = viewport.height;
-          const ctx = canvas.getContext('2d', { alpha: false });
-          await page.render({ canvasContext: ctx, viewport }).promise;
-          app.appendChild(canvas);
-        }
-      })();
-    </script>
-  </body>
-</html>`;
-}
-
 /*
 ============================================================
 OPTIONAL: SUPER‑SIMPLE TRACKING ENDPOINT (Node/Express)
@@ -494,6 +563,7 @@ This lets you log IP + headers whenever a viewer HTML posts to it.
 Deploy on Render, Fly, Railway, Vercel functions, or any Node host.
 
 // server/index.js
+import fs from 'node:fs';
 import express from 'express';
 import cors from 'cors';
 
@@ -505,9 +575,10 @@ app.post('/track', (req, res) => {
   const ip = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.socket.remoteAddress;
   const ua = req.headers['user-agent'];
   const now = new Date().toISOString();
-  const payload = req.body || {};
-  console.log(`[${now}]`, { ip, ua, ...payload });
-  // TODO: persist to a DB (Supabase/Postgres). For MVP, console logs are fine.
+  const payload = req.body || {}; // { event, ts, rid, recipient, caseId, consent: { given, at } | null, ... }
+  // One JSON event per line: the app's Ledger tab (Opens) imports this file to record consent per RID.
+  // For more than an MVP, persist to a DB (Supabase/Postgres) and export the same shape.
+  fs.appendFileSync('opens.jsonl', JSON.stringify({ ...payload, ip, ua, receivedAt: now }) + '\n');
   res.json({ ok: true });
 });
 
@@ -516,7 +587,9 @@ app.listen(process.env.PORT || 3000, () => console.log('tracker up'));
 USAGE:
 1) Deploy this server and get a public URL, e.g., https://your-app.onrender.com
 2) In the React app above, set Tracking Endpoint URL to https://your-app.onrender.com/track
-3) Generate the Viewer HTML and share/upload it. Each open triggers a POST with headers.
+3) Generate the Viewer HTML and share/upload it. Each open triggers a POST with headers,
+   sent only after the reader acknowledges the access-log notice when that is enabled.
+4) Import opens.jsonl in the Ledger tab (Opens): each acknowledged notice sets that copy's consent time.
 
 SECURITY NOTES:
 - View-only is deterrence, not a silver bullet. Combine with per-recipient fingerprinting + logs.
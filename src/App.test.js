@@ -1,8 +1,9 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('renders the Watermark, Identify and Ledger tabs', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  for (const name of ['Watermark', 'Identify', 'Ledger']) {
+    expect(screen.getByRole('button', { name })).toBeInTheDocument();
+  }
 });
@@ -0,0 +1,206 @@
+import React, { useRef, useState } from "react";
+import { Search, Loader2, CheckCircle2, XCircle, ShieldCheck } from "lucide-react";
+import { identifyPdf } from "./identify";
+import { getLedgerRecord } from "./ledger";
+import { PasswordRequiredError } from "./pdfSecurity";
+import { decodeDotPattern } from "./dotPattern";
+import { verifyPdf } from "./manifest";
+import { getSigningKey } from "./signingKey";
+
+const LAYERS = [
+  ["info", "Info dictionary (Keywords)"],
+  ["xmp", "XMP metadata"],
+  ["content", "Page content (visible / forensic text)"],
+  ["mark", "Glyph-position mark (invisible)"],
+  ["dots", "Micro-dot pattern (print / photo)"],
+];
+
+const IMAGE_RE = /\.(png|jpe?g)$/i;
+const MAX_SCAN_SIDE = 2400; // px; ~280 dpi for a Letter page, plenty for the dots
+
+// Ledger is the source of truth for who got an RID; embedded names can be forged or stripped
+async function resolveInLedger(rids) {
+  for (const rid of rids) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const rec = await getLedgerRecord(rid);
+      if (rec) return rec;
+    } catch { return null; }
+  }
+  return null;
+}
+
+// Asks for the open password if the suspect copy has one; it is kept for Verify
+async function identifyWithPrompt(file) {
+  const bytes = await file.arrayBuffer();
+  let password;
+  for (;;) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      return { ...(await identifyPdf(bytes, { password })), password };
+    } catch (e) {
+      if (!(e instanceof PasswordRequiredError)) throw e;
+      password = window.prompt(`${e.wrongPassword ? "Wrong password. " : ""}“${file.name}” is password-protected. Enter its password:`);
+      if (password === null) throw new Error("password-protected (no password given)");
+    }
+  }
+}
+
+// Photo or scan of a printed page: only the micro-dot pattern can survive that
+async function identifyImage(file) {
+  const bmp = await createImageBitmap(file);
+  const k = Math.min(1, MAX_SCAN_SIDE / Math.max(bmp.width, bmp.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(bmp.width * k); canvas.height = Math.round(bmp.height * k);
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(bmp, 0, 0, canvas.width, canvas.height);
+  bmp.close();
+  const hit = decodeDotPattern(ctx.getImageData(0, 0, canvas.width, canvas.height));
+  const rids = hit ? [hit.rid] : [];
+  return { rids, recipient: "", caseId: "", image: true, layers: { dots: { present: !!hit, rids } } };
+}
+
+export default function IdentifyPanel() {
+  const [results, setResults] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const nextId = useRef(0);
+
+  const update = (id, patch) => setResults(prev => prev.map(r => (r.id === id ? { ...r, ...patch } : r)));
+
+  // Compares against this browser's signing key when it has one; never creates one here
+  async function verify(entry) {
+    update(entry.id, { verifying: true });
+    let result;
+    try {
+      const local = await getSigningKey({ create: false }).catch(() => null);
+      result = await verifyPdf(await entry.file.arrayBuffer(), { password: entry.password, trustedKeyId: local?.keyId });
+    } catch (e) {
+      result = { error: e.message || String(e) };
+    }
+    update(entry.id, { verifying: false, verify: result });
+  }
+
+  async function identifyFiles(list) {
+    const picked = Array.from(list || []).filter(f => /\.pdf$/i.test(f.name) || IMAGE_RE.test(f.name));
+    if (!picked.length) return;
+    setBusy(true);
+    try {
+      for (const f of picked) {
+        let entry;
+        const id = nextId.current++;
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          entry = { id, file: f, name: f.name, ...(await (IMAGE_RE.test(f.name) ? identifyImage(f) : identifyWithPrompt(f))) };
+          // eslint-disable-next-line no-await-in-loop
+          entry.ledger = await resolveInLedger(entry.rids);
+        } catch (e) {
+          entry = { id, name: f.name, error: e.message || String(e) };
+        }
+        setResults(prev => [entry, ...prev]);
+      }
+    } finally { setBusy(false); }
+  }
+
+  const onDrop = (e) => { e.preventDefault(); e.stopPropagation(); identifyFiles(e.dataTransfer.files); };
+
+  return (
+    <section className="lg:col-span-3 space-y-4">
+      <div onDragOver={e=>{ e.preventDefault(); e.stopPropagation(); }} onDrop={onDrop} className="bg-white rounded-2xl border-2 border-dashed border-slate-300 p-6 grid place-items-center text-center min-h-[200px]">
+        <div className="max-w-md">
+          <div className="mx-auto w-12 h-12 rounded-2xl bg-slate-100 grid place-items-center mb-3">{busy ? <Loader2 className="w-6 h-6 animate-spin"/> : <Search className="w-6 h-6"/>}</div>
+          <h3 className="text-lg font-semibold mb-1">Identify Recipient</h3>
+          <p className="text-sm text-slate-600 mb-3">Drop a suspect (leaked) PDF — or a PNG/JPG photo or scan of a printed page — to recover its RID fingerprint. Verify checks a PDF's signed manifest for pages changed since issue.</p>
+          <label className="inline-flex items-center gap-2 px-4 py-2 rounded-xl bg-slate-900 text-white cursor-pointer">
+            <Search className="w-4 h-4"/> Choose PDF or image
+            <input type="file" className="hidden" multiple accept="application/pdf,image/png,image/jpeg" onChange={e=>{ identifyFiles(e.target.files); e.target.value = ""; }} />
+          </label>
+          <p className="text-xs text-slate-500 mt-3">Read locally. The file is never uploaded.</p>
+        </div>
+      </div>
+
+      {results.map((r) => (
+        <div key={r.id} className="bg-white rounded-2xl shadow">
+          <div className="p-4 border-b border-slate-200 flex items-center justify-between gap-2">
+            <h4 className="font-semibold truncate">{r.name}</h4>
+            {!r.error && <span className="text-xs text-slate-500 flex-1 text-right">{r.image ? "image scan" : `${r.pageCount} page${r.pageCount === 1 ? "" : "s"}${r.encrypted ? " · encrypted" : ""}`}</span>}
+            {!r.error && !r.image && (
+              <button disabled={r.verifying} onClick={()=>verify(r)} className="text-xs px-2 py-1 rounded-lg border border-slate-300 inline-flex items-center gap-1 disabled:opacity-40">
+                {r.verifying ? <Loader2 className="w-3 h-3 animate-spin"/> : <ShieldCheck className="w-3 h-3"/>} Verify
+              </button>
+            )}
+          </div>
+          {r.error ? (
+            <p className="p-4 text-sm text-red-700">Could not read file: {r.error}</p>
+          ) : (
+            <div className="p-4 space-y-3 text-sm">
+              {r.rids.length ? (
+                <div className="grid sm:grid-cols-3 gap-3">
+                  <div><p className="text-xs text-slate-500">RID</p><p className="font-mono">{r.rids.join(", ")}</p></div>
+                  <div><p className="text-xs text-slate-500">Recipient</p><p>{(r.ledger ? r.ledger.recipient : r.recipient) || "—"}</p></div>
+                  <div><p className="text-xs text-slate-500">Case</p><p>{(r.ledger ? r.ledger.caseId : r.caseId) || "—"}</p></div>
+                </div>
+              ) : (
+                <p className="text-amber-700">No fingerprint found in any layer.</p>
+              )}
+              {!!r.rids.length && (r.ledger ? (
+                <p className="text-xs text-emerald-700">Ledger match: {r.ledger.fileName} issued {new Date(r.ledger.issuedAt).toLocaleString()}.</p>
+              ) : (
+                <p className="text-xs text-slate-500">RID not in this device's ledger — recipient/case shown are read from the file itself.</p>
+              ))}
+              {(r.issuer || r.issuedAt || r.recipientHash) && (
+                <p className="text-xs text-slate-500">
+                  Embedded record:{r.issuer && ` issued by ${r.issuer}`}{r.issuedAt && ` on ${new Date(r.issuedAt).toLocaleString()}`}
+                  {r.recipientHash && <> · recipient hash <span className="font-mono">{r.recipientHash.slice(0, 16)}…</span></>}
+                </p>
+              )}
+              {r.rids.length > 1 &&<p className="text-xs text-amber-700">Multiple RIDs found — the file may have been re-watermarked or merged.</p>}
+              {r.verify && <VerifyResult v={r.verify}/>}
+              <ul className="divide-y divide-slate-100 border border-slate-100 rounded-xl">
+                {LAYERS.filter(([k]) => r.layers[k]).map(([k, label]) => {
+                  const layer = r.layers[k];
+                  return (
+                    <li key={k} className="px-3 py-2 flex items-center gap-2">
+                      {layer.present ? <CheckCircle2 className="w-4 h-4 text-emerald-600"/> : <XCircle className="w-4 h-4 text-slate-400"/>}
+                      <span className="flex-1">{label}</span>
+                      <span className="text-xs text-slate-500">
+                        {layer.present ? (layer.pages?.length ? `survived on page${layer.pages.length === 1 ? "" : "s"} ${layer.pages.join(", ")}` : "survived") : "stripped / not present"}
+                      </span>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          )}
+        </div>
+      ))}
+    </section>
+  );
+}
+
+const plural = (n, word) => `${word}${n.length === 1 ? "" : "s"} ${n.join(", ")}`;
+
+function VerifyResult({ v }) {
+  if (v.error) return <p className="text-xs text-red-700">Verify failed: {v.error}</p>;
+  if (!v.present) return <p className="text-xs text-amber-700">No signed manifest attached — issued without one, or it was stripped.</p>;
+  if (!v.signatureValid) return <p className="text-xs text-red-700">Manifest signature is INVALID{v.error ? ` (${v.error})` : ""} — the manifest was altered or forged.</p>;
+  const { modified, missing, added, manifest } = v;
+  const changed = modified.length || missing.length || added.length;
+  return (
+    <div className="text-xs rounded-xl border border-slate-100 p-3 space-y-1">
+      <p className={v.trusted === false ? "text-amber-700" : "text-emerald-700"}>
+        Valid signature by key <span className="font-mono">{v.keyId}</span>
+        {v.trusted === true ? " — this browser's key: issued here." : v.trusted === false ? " — NOT this browser's key: not issued here." : " (no local key to compare)."}
+      </p>
+      <p className="text-slate-600">Issued {new Date(manifest.issuedAt).toLocaleString()} to {manifest.recipient || "—"} as RID <span className="font-mono">{manifest.rid}</span>.</p>
+      {changed ? (
+        <p className="text-red-700">
+          {[modified.length && `Modified since issue: ${plural(modified, "page")}.`,
+            missing.length && `Removed: ${plural(missing, "page")}.`,
+            added.length && `Added: ${plural(added, "page")}.`].filter(Boolean).join(" ")}
+        </p>
+      ) : (
+        <p className="text-emerald-700">All {manifest.pageCount} pages unchanged since issue.</p>
+      )}
+    </div>
+  );
+}
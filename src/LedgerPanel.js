@@ -0,0 +1,94 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Table, FileDown, FileUp, Trash2, Search } from "lucide-react";
+import { listLedger, clearLedger, importLedgerRecords, importOpenEvents, ledgerToJSON, ledgerToCSV, parseLedgerFile, parseOpenEvents, matchesLedgerQuery } from "./ledger";
+import { downloadBlob } from "./utils";
+
+export default function LedgerPanel() {
+  const [records, setRecords] = useState([]);
+  const [query, setQuery] = useState("");
+  const [status, setStatus] = useState("");
+
+  const refresh = useCallback(() => listLedger().then(setRecords).catch(e => setStatus(`Ledger unavailable: ${e.message || e}`)), []);
+  useEffect(() => { refresh(); }, [refresh]);
+
+  const shown = records.filter(r => matchesLedgerQuery(r, query));
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  async function onImport(e) {
+    const f = e.target.files?.[0]; e.target.value = "";
+    if (!f) return;
+    try {
+      const n = await importLedgerRecords(parseLedgerFile(await f.text()));
+      setStatus(`Imported ${n} record${n === 1 ? "" : "s"} from ${f.name}`);
+      refresh();
+    } catch (err) { setStatus(`Import failed: ${err.message || err}`); }
+  }
+
+  // Open events saved by the tracking endpoint: each acknowledged notice is recorded on its RID
+  async function onImportOpens(e) {
+    const f = e.target.files?.[0]; e.target.value = "";
+    if (!f) return;
+    try {
+      const events = parseOpenEvents(await f.text());
+      const n = await importOpenEvents(events);
+      setStatus(`${events.length} open event${events.length === 1 ? "" : "s"} read from ${f.name}; consent recorded for ${n} cop${n === 1 ? "y" : "ies"}`);
+      refresh();
+    } catch (err) { setStatus(`Import failed: ${err.message || err}`); }
+  }
+
+  async function onClear() {
+    if (!window.confirm("Delete every ledger record on this device? Export first if you need a copy.")) return;
+    try {
+      await clearLedger();
+      setStatus("Ledger cleared");
+      refresh();
+    } catch (err) { setStatus(`Clear failed: ${err.message || err}`); }
+  }
+
+  return (
+    <section className="lg:col-span-3 bg-white rounded-2xl shadow">
+      <div className="p-4 border-b border-slate-200 flex items-center gap-2 flex-wrap">
+        <Table className="w-4 h-4"/><h4 className="font-semibold flex-1">Distribution Ledger ({records.length})</h4>
+        <div className="relative">
+          <Search className="w-4 h-4 absolute left-2 top-2.5 text-slate-400"/>
+          <input value={query} onChange={e=>setQuery(e.target.value)} placeholder="Search RID, recipient, case, file, hash" className="border border-slate-300 rounded-xl pl-8 pr-3 py-1.5 text-sm w-72"/>
+        </div>
+        <button onClick={()=>downloadBlob(new Blob([ledgerToJSON(records)], { type: "application/json" }), `ledger_${stamp}.json`)} className="px-3 py-1.5 rounded-xl border border-slate-300 text-sm flex items-center gap-1"><FileDown className="w-4 h-4"/> JSON</button>
+        <button onClick={()=>downloadBlob(new Blob([ledgerToCSV(records)], { type: "text/csv;charset=utf-8" }), `ledger_${stamp}.csv`)} className="px-3 py-1.5 rounded-xl border border-slate-300 text-sm flex items-center gap-1"><FileDown className="w-4 h-4"/> CSV</button>
+        <label className="px-3 py-1.5 rounded-xl border border-slate-300 text-sm flex items-center gap-1 cursor-pointer">
+          <FileUp className="w-4 h-4"/> Import
+          <input type="file" className="hidden" accept=".json,.csv,application/json,text/csv" onChange={onImport}/>
+        </label>
+        <label className="px-3 py-1.5 rounded-xl border border-slate-300 text-sm flex items-center gap-1 cursor-pointer" title="Open events saved by your tracking endpoint (JSON or JSON lines)">
+          <FileUp className="w-4 h-4"/> Opens
+          <input type="file" className="hidden" accept=".json,.jsonl,.ndjson,.log,.txt,application/json" onChange={onImportOpens}/>
+        </label>
+        <button onClick={onClear} className="px-3 py-1.5 rounded-xl border border-slate-300 text-sm text-slate-600 hover:text-red-700" title="Clear ledger"><Trash2 className="w-4 h-4"/></button>
+      </div>
+      {status && <p className="px-4 pt-3 text-xs text-slate-600">{status}</p>}
+      <div className="overflow-auto max-h-[70vh]">
+        <table className="w-full text-sm">
+          <thead className="text-left text-xs text-slate-500 sticky top-0 bg-white">
+            <tr>{["Issued", "RID", "Recipient", "Case", "File", "Open password", "Open log", "Input SHA-256", "Output SHA-256"].map(h => <th key={h} className="px-3 py-2 font-medium">{h}</th>)}</tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {shown.map(r => (
+              <tr key={r.rid}>
+                <td className="px-3 py-2 whitespace-nowrap">{new Date(r.issuedAt).toLocaleString()}</td>
+                <td className="px-3 py-2 font-mono">{r.rid}</td>
+                <td className="px-3 py-2">{r.recipient || "—"}</td>
+                <td className="px-3 py-2">{r.caseId || "—"}</td>
+                <td className="px-3 py-2 truncate max-w-[12rem]" title={r.fileName}>{r.fileName}</td>
+                <td className="px-3 py-2 font-mono text-xs">{r.openPassword || "—"}</td>
+                <td className="px-3 py-2 whitespace-nowrap" title={r.settings?.tracking?.url}>{r.consentAt ? `Consent ${new Date(r.consentAt).toLocaleString()}` : !r.settings?.tracking ? "—" : r.settings.tracking.consentRequired ? "Notice, no consent yet" : "No notice"}</td>
+                <td className="px-3 py-2 font-mono text-xs" title={r.inputSha256}>{r.inputSha256.slice(0, 12)}…</td>
+                <td className="px-3 py-2 font-mono text-xs" title={r.outputSha256}>{r.outputSha256.slice(0, 12)}…</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!shown.length && <p className="p-4 text-sm text-slate-500">{records.length ? "No records match your search." : "No files issued yet. Every fingerprinted file is recorded here."}</p>}
+      </div>
+    </section>
+  );
+}
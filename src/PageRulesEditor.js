@@ -0,0 +1,47 @@
+import React from "react";
+import { Plus, X } from "lucide-react";
+import { POSITION_PRESETS } from "./watermark";
+import { isValidPageSpec } from "./pageRules";
+
+const MODES = [["image", "Logo"], ["text", "Text"], ["both", "Both"]];
+
+export default function PageRulesEditor({ rules, onChange, defaults }) {
+  const update = (i, patch) => onChange(rules.map((r, idx) => (idx === i ? { ...r, ...patch } : r)));
+  const add = () => onChange([...rules, { pages: rules.length ? "2-last" : "1", skip: false, embedAs: defaults.embedAs, position: defaults.position }]);
+
+  return (
+    <div>
+      <div className="flex items-center mb-1">
+        <label className="block text-sm font-medium flex-1">Page Rules</label>
+        <button onClick={add} className="text-xs px-2 py-1 rounded-lg border border-slate-300 flex items-center gap-1"><Plus className="w-3 h-3"/> Rule</button>
+      </div>
+      {!rules.length && <p className="text-xs text-slate-500">All pages use the settings above. Add a rule to stamp, restyle or skip specific pages.</p>}
+      <div className="space-y-2">
+        {rules.map((r, i) => (
+          <div key={i} className="rounded-xl border border-slate-200 p-2 space-y-2">
+            <div className="flex gap-2 items-center">
+              <input value={r.pages} onChange={e=>update(i, { pages: e.target.value })} placeholder="1, 2-last, odd…" title="Pages: 1 · 3,5 · 2-last · last · last-1 · odd · even · all"
+                className={`flex-1 min-w-0 border rounded-lg px-2 py-1 text-sm ${isValidPageSpec(r.pages) ? "border-slate-300" : "border-red-400"}`}/>
+              <select value={r.skip ? "skip" : "stamp"} onChange={e=>update(i, { skip: e.target.value === "skip" })} className="border border-slate-300 rounded-lg px-2 py-1 text-sm">
+                <option value="stamp">Stamp</option>
+                <option value="skip">Skip</option>
+              </select>
+              <button onClick={()=>onChange(rules.filter((_, idx) => idx !== i))} className="text-slate-400 hover:text-slate-900" title="Remove rule"><X className="w-4 h-4"/></button>
+            </div>
+            {!r.skip && (
+              <div className="flex gap-2">
+                <select value={r.embedAs} onChange={e=>update(i, { embedAs: e.target.value })} className="flex-1 border border-slate-300 rounded-lg px-2 py-1 text-sm">
+                  {MODES.map(([k, l]) => <option key={k} value={k}>{l}</option>)}
+                </select>
+                <select value={r.position} onChange={e=>update(i, { position: e.target.value })} className="flex-1 border border-slate-300 rounded-lg px-2 py-1 text-sm">
+                  {POSITION_PRESETS.map(p => <option key={p.key} value={p.key}>{p.label}</option>)}
+                </select>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+      {!!rules.length && <p className="text-xs text-slate-500 mt-1">First matching rule wins. Skipped pages still get the tiny forensic line.</p>}
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Eye, Loader2 } from "lucide-react";
+import { PDFDocument } from "@cantoo/pdf-lib";
+import { applyWatermarks, readLogoFile } from "./watermark";
+import { loadSourcePdf, PasswordRequiredError } from "./pdfSecurity";
+
+// Stand-in fingerprint so placement/size match a real run without issuing an RID
+const PREVIEW_RID = "RID:0000000000000000";
+
+/**
+ * Live preview: copies the chosen page into a one-page document, runs the same
+ * `applyWatermarks` as processing, and renders the result with PDF.js.
+ */
+export default function PreviewPanel({ file, getPassword, logoFile, settings, recipient, caseId }) {
+  const [pageNum, setPageNum] = useState(1);
+  const [pageCount, setPageCount] = useState(0);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const canvasRef = useRef(null);
+  const srcRef = useRef({ file: null, doc: null });
+
+  useEffect(() => { setPageNum(1); }, [file]);
+
+  useEffect(() => {
+    if (!file) return undefined;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setBusy(true);
+      try {
+        if (srcRef.current.file !== file) {
+          const { pdfDoc } = await loadSourcePdf(await file.arrayBuffer(), { password: getPassword(file) });
+          srcRef.current = { file, doc: pdfDoc };
+        }
+        const src = srcRef.current.doc;
+        const total = src.getPageCount();
+        const idx = Math.min(Math.max(pageNum, 1), total) - 1;
+        if (cancelled) return;
+        setPageCount(total);
+
+        const one = await PDFDocument.create();
+        const [copied] = await one.copyPages(src, [idx]);
+        one.addPage(copied);
+        const logo = await readLogoFile(logoFile);
+        await applyWatermarks(one, settings, {
+          logo, fpStr: settings.embedFingerprint ? PREVIEW_RID : "", recipient, caseId,
+          issueDate: new Date().toISOString().slice(0, 10),
+          firstPageNumber: idx + 1, totalPages: total,
+        });
+        const bytes = await one.save();
+
+        const { default: pdfjsLib } = await import("./pdfjs");
+        const doc = await pdfjsLib.getDocument({ data: bytes }).promise;
+        try {
+          const page = await doc.getPage(1);
+          const target = canvasRef.current;
+          if (cancelled || !target) return;
+          const cssWidth = target.parentElement.clientWidth;
+          const dpr = window.devicePixelRatio || 1;
+          const viewport = page.getViewport({ scale: (cssWidth / page.getViewport({ scale: 1 }).width) * dpr });
+          // Render off-screen so overlapping updates never share a canvas mid-render
+          const off = document.createElement("canvas");
+          off.width = Math.floor(viewport.width); off.height = Math.floor(viewport.height);
+          await page.render({ canvasContext: off.getContext("2d"), viewport }).promise;
+          if (cancelled) return;
+          target.width = off.width; target.height = off.height;
+          target.style.width = `${cssWidth}px`;
+          target.getContext("2d").drawImage(off, 0, 0);
+        } finally { doc.destroy(); }
+        setError("");
+      } catch (e) {
+        if (!cancelled) setError(e instanceof PasswordRequiredError ? "password-protected – process it once to enter the password" : (e.message || String(e)));
+      } finally {
+        if (!cancelled) setBusy(false);
+      }
+    }, 200); // debounce slider drags
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [file, getPassword, logoFile, settings, recipient, caseId, pageNum]);
+
+  if (!file) return null;
+
+  return (
+    <div className="mt-4 bg-white rounded-2xl shadow">
+      <div className="p-4 border-b border-slate-200 flex items-center gap-2">
+        <Eye className="w-4 h-4"/><h4 className="font-semibold flex-1 truncate">Preview · {file.name}</h4>
+        {busy && <Loader2 className="w-4 h-4 animate-spin text-slate-500"/>}
+        <label className="text-sm text-slate-600 flex items-center gap-1">
+          Page
+          <input type="number" min={1} max={pageCount || 1} value={pageNum} onChange={e=>setPageNum(Math.max(1, parseInt(e.target.value) || 1))} className="w-16 border border-slate-300 rounded-lg px-2 py-1"/>
+          / {pageCount || "–"}
+        </label>
+      </div>
+      <div className="p-3 bg-slate-100 rounded-b-2xl">
+        {error && <p className="text-sm text-red-700">Preview unavailable: {error}</p>}
+        <canvas ref={canvasRef} className={`w-full bg-white shadow ${error ? "hidden" : "block"}`}/>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+import React, { useState } from "react";
+import { Save, Trash2, FileDown, FileUp, Layers } from "lucide-react";
+import { loadProfiles, saveProfile, deleteProfile, buildProfile, getActiveProfileName, setActiveProfileName, profilesToJSON, parseProfileFile } from "./profiles";
+import { downloadBlob } from "./utils";
+
+/**
+ * Profile switcher. `settings` is the current snapshot from App, `onApply`
+ * pushes a stored profile back into App state.
+ */
+export default function ProfilesCard({ settings, logoFile, onApply }) {
+  const [profiles, setProfiles] = useState(loadProfiles);
+  const [active, setActive] = useState(getActiveProfileName);
+  const [status, setStatus] = useState("");
+
+  function select(name) {
+    setActive(name); setActiveProfileName(name);
+    const p = profiles.find(x => x.name === name);
+    if (p) { onApply(p); setStatus(`Loaded “${name}”`); }
+  }
+
+  async function onSave() {
+    const name = (window.prompt("Profile name", active || "House style") || "").trim();
+    if (!name) return;
+    try {
+      setProfiles(saveProfile(await buildProfile(name, settings, logoFile)));
+      setActive(name); setActiveProfileName(name);
+      setStatus(`Saved “${name}”`);
+    } catch (e) { setStatus(e.message || String(e)); }
+  }
+
+  function onDelete() {
+    if (!active || !window.confirm(`Delete profile “${active}”?`)) return;
+    try { setProfiles(deleteProfile(active)); setActive(""); setStatus("Profile deleted"); }
+    catch (e) { setStatus(e.message || String(e)); }
+  }
+
+  function onExport() {
+    const list = active ? profiles.filter(p => p.name === active) : profiles;
+    if (!list.length) { setStatus("Nothing to export – save a profile first"); return; }
+    const fname = list.length === 1 ? `${list[0].name.replace(/[^\w-]+/g, "_")}.profile.json` : "watermark-profiles.json";
+    downloadBlob(new Blob([profilesToJSON(list)], { type: "application/json" }), fname);
+  }
+
+  async function onImport(e) {
+    const f = e.target.files?.[0]; e.target.value = "";
+    if (!f) return;
+    try {
+      const imported = parseProfileFile(await f.text());
+      let list = profiles;
+      for (const p of imported) list = saveProfile(p);
+      setProfiles(list);
+      setActive(imported[0].name); setActiveProfileName(imported[0].name); onApply(imported[0]);
+      setStatus(`Imported ${imported.length} profile${imported.length === 1 ? "" : "s"}`);
+    } catch (err) { setStatus(`Import failed: ${err.message || err}`); }
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 space-y-3 mb-4">
+      <div className="flex items-center gap-2"><Layers className="w-4 h-4"/><h2 className="font-semibold">Profile</h2></div>
+      <div className="flex gap-2">
+        <select value={active} onChange={e=>select(e.target.value)} className="flex-1 border border-slate-300 rounded-xl px-3 py-2 text-sm">
+          <option value="">— Unsaved settings —</option>
+          {profiles.map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+        </select>
+        <button onClick={onSave} title="Save current settings as profile" className="px-2 rounded-xl border border-slate-300"><Save className="w-4 h-4"/></button>
+        <button onClick={onDelete} disabled={!active} title="Delete profile" className="px-2 rounded-xl border border-slate-300 disabled:opacity-40"><Trash2 className="w-4 h-4"/></button>
+      </div>
+      <div className="flex gap-2 text-sm">
+        <button onClick={onExport} className="px-3 py-1.5 rounded-xl border border-slate-300 flex items-center gap-1"><FileDown className="w-4 h-4"/> Export</button>
+        <label className="px-3 py-1.5 rounded-xl border border-slate-300 flex items-center gap-1 cursor-pointer">
+          <FileUp className="w-4 h-4"/> Import
+          <input type="file" className="hidden" accept=".json,application/json" onChange={onImport}/>
+        </label>
+      </div>
+      {status && <p className="text-xs text-slate-600">{status}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import React from "react";
+import { Activity, CheckCircle2, XCircle, Loader2, Ban } from "lucide-react";
+
+const STAGE_LABELS = { load: "Opening", watermark: "Watermarking", sign: "Signing", save: "Saving" };
+
+function Bar({ value, tone = "bg-slate-900" }) {
+  return (
+    <div className="h-1.5 rounded-full bg-slate-100 overflow-hidden">
+      <div className={`h-full ${tone} transition-[width]`} style={{ width: `${Math.round(Math.min(1, value) * 100)}%` }}/>
+    </div>
+  );
+}
+
+function StatusIcon({ status }) {
+  if (status === "done") return <CheckCircle2 className="w-4 h-4 text-emerald-600"/>;
+  if (status === "failed") return <XCircle className="w-4 h-4 text-red-600"/>;
+  if (status === "cancelled") return <Ban className="w-4 h-4 text-slate-400"/>;
+  if (status === "running") return <Loader2 className="w-4 h-4 animate-spin text-slate-600"/>;
+  return <span className="w-4 h-4 inline-block rounded-full border border-slate-300"/>;
+}
+
+/**
+ * Progress of the current run: one row per copy (file × recipient) with its
+ * page bar, plus an overall bar. `jobs` comes from App's handleProcessAll.
+ */
+export default function ProgressPanel({ jobs, onClear }) {
+  if (!jobs.length) return null;
+  const settled = jobs.filter(j => j.status !== "queued" && j.status !== "running").length;
+  const failed = jobs.filter(j => j.status === "failed").length;
+  return (
+    <div className="mt-4 bg-white rounded-2xl shadow">
+      <div className="p-4 border-b border-slate-200 space-y-2">
+        <div className="flex items-center gap-2">
+          <Activity className="w-4 h-4"/>
+          <h4 className="font-semibold flex-1">Progress ({settled}/{jobs.length}{failed ? `, ${failed} failed` : ""})</h4>
+          {onClear && settled === jobs.length && <button className="text-sm text-slate-600 hover:text-slate-900" onClick={onClear}>Clear</button>}
+        </div>
+        <Bar value={settled / jobs.length} tone={failed ? "bg-amber-500" : "bg-slate-900"}/>
+      </div>
+      <ul className="divide-y divide-slate-100 max-h-64 overflow-auto">
+        {jobs.map(j => (
+          <li key={j.key} className="px-4 py-2 text-sm space-y-1">
+            <div className="flex items-center gap-2">
+              <StatusIcon status={j.status}/>
+              <span className="truncate flex-1">{j.name}{j.recipient && <span className="text-slate-500"> → {j.recipient}</span>}</span>
+              <span className="text-xs text-slate-500 whitespace-nowrap">
+                {j.status === "running"
+                  ? `${STAGE_LABELS[j.stage] || "Working"}${j.pages ? ` · page ${j.page}/${j.pages}` : ""}`
+                  : j.status}
+              </span>
+            </div>
+            {j.status === "running" && <Bar value={j.pages ? j.page / j.pages : 0}/>}
+            {j.status === "failed" && <p className="text-xs text-red-700 break-words">{j.error}</p>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
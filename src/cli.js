@@ -0,0 +1,207 @@
+import { readFile, writeFile, mkdir, chmod } from "node:fs/promises";
+import path from "node:path";
+import { withDefaults, parseProfileFile, profileLogoFile } from "./profiles";
+import { parseRecipientList } from "./recipients";
+import { readLogoFile } from "./watermark";
+import { runCopy, planCopies, needsPdfjsSource } from "./watermarkJob";
+import { identifyPdf } from "./identify";
+import { verifyPdf } from "./manifest";
+import { generateSigningKeyFile, importSigningKeyFile } from "./signingKey";
+import { ledgerToJSON, parseLedgerFile } from "./ledger";
+import { PasswordRequiredError, randomPassword } from "./pdfSecurity";
+
+/**
+ * WM – the same pipeline from the command line (Node.js 20+)
+ * -----------------------------------------------------------
+ *   wm apply --profile house.json --recipients list.csv in/*.pdf -o out/
+ *   wm identify leaked.pdf [--ledger out/ledger.json]
+ *   wm keygen -o signing-key.json
+ * Jobs are built and run by watermarkJob.js exactly as in the browser, so a
+ * profile exported from the app gives the same output here. Run through
+ * bin/wm.mjs, which lets Node load these modules unbundled.
+ */
+
+const USAGE = `Usage:
+  wm apply [options] <file.pdf>... -o <dir>
+      --profile <file>        profile exported from the app (settings + logo)
+      --profile-name <name>   which profile, when the file holds several
+      --recipients <file>     batch CSV (name,email,case); one copy per recipient in <dir>/<slug>/
+      --recipient <text>      single recipient, when there is no list
+      --case <id>             case ID (fallback for list rows without one)
+      --logo <file>           logo instead of the profile's
+      --key <file>            signing key from \`wm keygen\` for the signed manifest
+      --password <pw>         password of encrypted source files
+      --open-password <pw>    open password for encrypted output (profiles never hold passwords)
+      --viewer-passphrase <pw> passphrase for locked viewer output
+      --issued-at <iso>       fixed issue time (reproducible output)
+  wm identify [--password <pw>] [--ledger <file>] [--json] <file.pdf>...
+  wm keygen -o <file>`;
+
+const VALUE_OPTIONS = new Set(["profile", "profile-name", "recipients", "recipient", "case", "logo", "key", "password", "open-password", "viewer-passphrase", "issued-at", "ledger", "out"]);
+const ALIASES = { o: "out" };
+
+// --name value / --name=value / -o value; everything else is positional
+export function parseArgs(argv) {
+  const opts = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--?([\w-]+)(?:=(.*))?$/);
+    if (!m) { opts._.push(argv[i]); continue; }
+    const name = ALIASES[m[1]] || m[1];
+    if (!VALUE_OPTIONS.has(name)) { opts[name] = true; continue; }
+    const value = m[2] ?? argv[++i];
+    if (value === undefined) throw new Error(`--${name} needs a value`);
+    opts[name] = value;
+  }
+  return opts;
+}
+
+const fileFrom = async (p) => new File([await readFile(p)], path.basename(p));
+const toBytes = (buf) => new Uint8Array(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength));
+
+async function loadProfile(opts) {
+  if (!opts.profile) return null;
+  const profiles = parseProfileFile(await readFile(opts.profile, "utf8"));
+  if (!opts["profile-name"]) {
+    if (profiles.length > 1) throw new Error(`${opts.profile} holds ${profiles.length} profiles; pick one with --profile-name`);
+    return profiles[0];
+  }
+  const p = profiles.find(x => x.name === opts["profile-name"]);
+  if (!p) throw new Error(`No profile “${opts["profile-name"]}” in ${opts.profile}`);
+  return p;
+}
+
+async function apply(opts, out, err) {
+  if (!opts._.length) throw new Error("No input PDFs");
+  if (!opts.out) throw new Error("Missing -o <dir>");
+  const profile = await loadProfile(opts);
+  const s = withDefaults(profile?.settings);
+  if (opts["open-password"]) s.protection = { ...s.protection, userPassword: opts["open-password"] };
+  if (opts["viewer-passphrase"]) s.viewerLock = { ...s.viewerLock, passphrase: opts["viewer-passphrase"] };
+  const logoFile = opts.logo ? await fileFrom(opts.logo) : profileLogoFile(profile);
+  const recipients = opts.recipients ? parseRecipientList(await readFile(opts.recipients, "utf8")) : [];
+  if (opts.recipients && !recipients.length) throw new Error(`No recipients in ${opts.recipients}`);
+
+  if (!logoFile && s.embedAs === "image") throw new Error("Profile uses a logo: give one with --logo or use a text profile");
+  if (recipients.length && !s.embedFingerprint) throw new Error("Batch copies need a fingerprint: enable \"Embed metadata + short ID\" in the profile");
+  const perRecipientPw = s.protection.enabled && s.protection.perRecipient;
+  if (perRecipientPw && !s.embedFingerprint) throw new Error("Per-recipient passwords are recorded in the ledger: enable \"Embed metadata + short ID\" in the profile");
+  if (s.outputMode === "viewer" && s.viewerLock?.enabled && !s.viewerLock.passphrase) throw new Error("Profile locks the viewer: give the passphrase with --viewer-passphrase");
+
+  let signingKey = null;
+  if (s.embedFingerprint && s.signManifest) {
+    if (opts.key) signingKey = await importSigningKeyFile(JSON.parse(await readFile(opts.key, "utf8")));
+    else err("Manifests not signed: pass --key (create one with `wm keygen`)");
+  }
+  const shared = { logo: await readLogoFile(logoFile), logoName: logoFile?.name || "", signingKey, issuedAt: opts["issued-at"] };
+  const pdfjs = needsPdfjsSource(s) ? await (await import("./nodePdfjsSource")).loadPdfjsSource() : null;
+  const passwordFor = (who) => {
+    if (!perRecipientPw) return undefined;
+    const pw = randomPassword(12);
+    err(`Open password generated for ${who || "recipient"}; see ${path.join(opts.out, "ledger.json")}`);
+    return pw;
+  };
+  const copies = planCopies(opts._, recipients, { recipient: opts.recipient || "", caseId: opts.case || "", passwordFor });
+
+  const records = [];
+  let failed = 0;
+  for (const c of copies) {
+    const fileName = path.basename(c.file);
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const { file, record, result } = await runCopy(s, { ...c, ...shared, fileName, bytes: toBytes(await readFile(c.file)), sourcePassword: opts.password }, { log: err, pdfjs });
+      const dir = c.slug ? path.join(opts.out, c.slug) : opts.out;
+      // eslint-disable-next-line no-await-in-loop
+      await mkdir(dir, { recursive: true });
+      // eslint-disable-next-line no-await-in-loop
+      await writeFile(path.join(dir, file.name), file.bytes);
+      if (record) records.push(record);
+      out(`${path.join(dir, file.name)}${result.rid ? `  RID:${result.rid}` : ""}`);
+    } catch (e) {
+      failed++;
+      const reason = e instanceof PasswordRequiredError ? `${e.message} (use --password)` : e.message || String(e);
+      err(`Failed: ${fileName}${c.slug ? ` → ${c.recipient}` : ""}: ${reason}`);
+    }
+  }
+
+  // Appended to <dir>/ledger.json, which the app's Ledger tab can import. It holds
+  // generated open passwords, so like a signing key it is readable by its owner only.
+  if (records.length) {
+    const ledgerPath = path.join(opts.out, "ledger.json");
+    let existing = [];
+    try { existing = parseLedgerFile(await readFile(ledgerPath, "utf8")); } catch (e) { if (e.code !== "ENOENT") throw e; }
+    await writeFile(ledgerPath, ledgerToJSON([...existing, ...records]), { mode: 0o600 });
+    await chmod(ledgerPath, 0o600); // `mode` only applies when the file is created
+    err(`Ledger: ${records.length} record${records.length === 1 ? "" : "s"} added to ${ledgerPath}`);
+  }
+  if (failed) err(`${failed} of ${copies.length} failed`);
+  return failed ? 1 : 0;
+}
+
+const LAYER_NAMES = { info: "info", xmp: "xmp", content: "text", mark: "glyph mark" };
+
+async function identify(opts, out, err) {
+  if (!opts._.length) throw new Error("No PDFs to identify");
+  const ledger = opts.ledger ? parseLedgerFile(await readFile(opts.ledger, "utf8")) : [];
+  const reports = [];
+  let failed = 0;
+  for (const p of opts._) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const bytes = toBytes(await readFile(p));
+      // eslint-disable-next-line no-await-in-loop
+      const found = await identifyPdf(bytes, { password: opts.password });
+      // eslint-disable-next-line no-await-in-loop
+      const manifest = await verifyPdf(bytes, { password: opts.password });
+      reports.push({ file: p, ...found, ledger: ledger.filter(r => found.rids.includes(r.rid)), manifest });
+    } catch (e) {
+      failed++;
+      err(`Failed: ${p}: ${e instanceof PasswordRequiredError ? `${e.message} (use --password)` : e.message || String(e)}`);
+    }
+  }
+
+  if (opts.json) { out(JSON.stringify(reports, null, 2)); return failed ? 1 : 0; }
+  for (const r of reports) {
+    out(r.file);
+    if (!r.rids.length) out("  No RID found");
+    for (const rid of r.rids) {
+      const layers = Object.entries(r.layers).filter(([, l]) => l.rids.includes(rid)).map(([k]) => LAYER_NAMES[k] || k);
+      out(`  RID:${rid}  (${layers.join(", ")})`);
+    }
+    if (r.recipient || r.caseId) out(`  Recipient: ${r.recipient || "–"}  Case: ${r.caseId || "–"}`);
+    if (r.issuer || r.issuedAt) out(`  Issued: ${r.issuedAt || "–"}${r.issuer ? ` by ${r.issuer}` : ""}`);
+    for (const l of r.ledger) out(`  Ledger: ${l.recipient || "–"}${l.caseId ? ` / ${l.caseId}` : ""}, ${l.fileName}, ${l.issuedAt}`);
+    const m = r.manifest;
+    if (!m.present) out("  Manifest: none");
+    else if (!m.signatureValid) out(`  Manifest: INVALID signature (key ${m.keyId})`);
+    else {
+      const changes = [["modified", m.modified], ["missing", m.missing], ["added", m.added]].filter(([, pages]) => pages.length);
+      out(`  Manifest: signed by key ${m.keyId}; ${changes.length ? changes.map(([k, pages]) => `${k} pages ${pages.join(", ")}`).join("; ") : "no pages changed"}`);
+    }
+  }
+  return failed ? 1 : 0;
+}
+
+async function keygen(opts, out) {
+  if (!opts.out) throw new Error("Missing -o <file>");
+  const key = await generateSigningKeyFile();
+  await writeFile(opts.out, JSON.stringify(key, null, 2), { mode: 0o600 });
+  out(`Signing key ${key.keyId} written to ${opts.out} (keep it private)`);
+  return 0;
+}
+
+/** Runs one command; resolves with the exit code */
+export async function main(argv, { out = (s) => process.stdout.write(`${s}\n`), err = (s) => process.stderr.write(`${s}\n`) } = {}) {
+  const [command, ...rest] = argv;
+  const commands = { apply, identify, keygen };
+  if (!commands[command]) {
+    const asked = !command || command === "help" || command === "--help";
+    (asked ? out : err)(USAGE);
+    return asked ? 0 : 2;
+  }
+  try {
+    return await commands[command](parseArgs(rest), out, err);
+  } catch (e) {
+    err(`wm ${command}: ${e.message || e}`);
+    return 1;
+  }
+}
@@ -0,0 +1,128 @@
+import { mkdtempSync, mkdirSync, readdirSync, readFileSync, writeFileSync, existsSync, rmSync, statSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { PDFDocument, StandardFonts } from "@cantoo/pdf-lib";
+import { main, parseArgs } from "./cli";
+import { DEFAULT_SETTINGS } from "./profiles";
+import { buildJob, planCopies } from "./watermarkJob";
+import { parseRecipientList } from "./recipients";
+import { createWorkerPool, inlineWorker } from "./workerPool";
+
+const ISSUED = "2024-05-01T10:00:00.000Z";
+const PROFILE = { format: "aquamark-profile", version: 1, name: "House", logo: null,
+  settings: { embedAs: "text", textWM: "CONFIDENTIAL {recipient} {page}/{pages}", signManifest: false } };
+const LIST = "name,email,case\nAcme,deals@acme.com,DEAL-7\nBeta Co,b@beta.io,\n";
+
+let dir;
+beforeEach(async () => {
+  dir = mkdtempSync(path.join(tmpdir(), "wm-"));
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  for (let i = 0; i < 2; i++) doc.addPage([300, 300]).drawText(`Page ${i + 1}`, { x: 20, y: 150, size: 14, font });
+  writeFileSync(path.join(dir, "memo.pdf"), await doc.save());
+  writeFileSync(path.join(dir, "house.json"), JSON.stringify(PROFILE));
+  writeFileSync(path.join(dir, "list.csv"), LIST);
+});
+afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+const run = async (...argv) => {
+  const out = [], err = [];
+  const code = await main(argv, { out: (s) => out.push(s), err: (s) => err.push(s) });
+  return { code, out: out.join("\n"), err: err.join("\n") };
+};
+
+test("parses options, aliases and positional files", () => {
+  expect(parseArgs(["--profile", "h.json", "a.pdf", "-o", "out", "--json", "--case=DEAL-7", "b.pdf"]))
+    .toEqual({ _: ["a.pdf", "b.pdf"], profile: "h.json", out: "out", json: true, case: "DEAL-7" });
+  expect(() => parseArgs(["--profile"])).toThrow(/needs a value/);
+});
+
+test("apply writes one copy per recipient and the ledger, byte-identical to the app's pipeline", async () => {
+  const out = path.join(dir, "out");
+  const r = await run("apply", "--profile", path.join(dir, "house.json"), "--recipients", path.join(dir, "list.csv"),
+    "--case", "FALLBACK", "--issued-at", ISSUED, path.join(dir, "memo.pdf"), "-o", out);
+  expect(r.code).toBe(0);
+  const written = [path.join(out, "Acme", "memo_Acme_wm.pdf"), path.join(out, "Beta_Co", "memo_Beta_Co_wm.pdf")].map(p => readFileSync(p));
+  const ledger = JSON.parse(readFileSync(path.join(out, "ledger.json"), "utf8")).records;
+  expect(ledger.map(x => [x.recipient, x.caseId])).toEqual([["Acme <deals@acme.com>", "DEAL-7"], ["Beta Co <b@beta.io>", "FALLBACK"]]);
+
+  // What App.handleProcessAll runs in its worker for the same profile and copies: processOne
+  // passes each planned task (nonce included) into buildJob; only issuedAt is pinned here
+  const s = { ...DEFAULT_SETTINGS, ...PROFILE.settings };
+  const tasks = planCopies([new File([], "memo.pdf")], parseRecipientList(LIST), { caseId: "FALLBACK" });
+  const pool = createWorkerPool({ size: 2, spawn: () => inlineWorker() });
+  const app = await Promise.all(tasks.map((task) => {
+    const bytes = new Uint8Array(readFileSync(path.join(dir, "memo.pdf")));
+    return pool.run(buildJob(s, { ...task, bytes, fileName: task.file.name, logoName: "", logo: null, signingKey: null, issuedAt: ISSUED }));
+  }));
+  pool.close();
+  expect(tasks.map(t => t.nonce)).toEqual(["0", "1"]);
+  app.forEach((copy, i) => {
+    expect(Buffer.from(copy.bytes).equals(written[i])).toBe(true);
+    expect(ledger[i].rid).toBe(copy.rid);
+  });
+
+  expect(statSync(path.join(out, "ledger.json")).mode & 0o777).toBe(0o600); // it can hold open passwords
+
+  // A second run appends to the ledger
+  await run("apply", "--profile", path.join(dir, "house.json"), "--recipient", "x@example.com", path.join(dir, "memo.pdf"), "-o", out);
+  expect(JSON.parse(readFileSync(path.join(out, "ledger.json"), "utf8")).records).toHaveLength(3);
+});
+
+test("every file gets its own RID, even with a fixed --issued-at", async () => {
+  writeFileSync(path.join(dir, "other.pdf"), readFileSync(path.join(dir, "memo.pdf")));
+  const out = path.join(dir, "out");
+  const r = await run("apply", "--profile", path.join(dir, "house.json"), "--recipients", path.join(dir, "list.csv"),
+    "--issued-at", ISSUED, path.join(dir, "memo.pdf"), path.join(dir, "other.pdf"), "-o", out);
+  expect(r.code).toBe(0);
+  const rids = JSON.parse(readFileSync(path.join(out, "ledger.json"), "utf8")).records.map(x => x.rid);
+  expect(rids).toHaveLength(4);
+  expect(new Set(rids).size).toBe(4);
+});
+
+test("files that share a name get numbered outputs instead of overwriting each other", async () => {
+  mkdirSync(path.join(dir, "b"));
+  writeFileSync(path.join(dir, "b", "memo.pdf"), readFileSync(path.join(dir, "memo.pdf")));
+  expect(planCopies(["a/Memo.pdf", "b/memo.pdf", "memo_2.pdf"], []).map(c => c.saveAs)).toEqual(["Memo.pdf", "memo_2.pdf", "memo_2_2.pdf"]);
+
+  const out = path.join(dir, "out");
+  const r = await run("apply", "--profile", path.join(dir, "house.json"), "--recipients", path.join(dir, "list.csv"),
+    path.join(dir, "memo.pdf"), path.join(dir, "b", "memo.pdf"), "-o", out);
+  expect(r.code).toBe(0);
+  expect(readdirSync(path.join(out, "Acme")).sort()).toEqual(["memo_2_Acme_wm.pdf", "memo_Acme_wm.pdf"]);
+  expect(readdirSync(path.join(out, "Beta_Co")).sort()).toEqual(["memo_2_Beta_Co_wm.pdf", "memo_Beta_Co_wm.pdf"]);
+  // The ledger keeps the source's own name
+  expect(JSON.parse(readFileSync(path.join(out, "ledger.json"), "utf8")).records.map(x => x.fileName)).toEqual(["memo.pdf", "memo.pdf", "memo.pdf", "memo.pdf"]);
+});
+
+test("a bad file fails alone and sets the exit code", async () => {
+  writeFileSync(path.join(dir, "bad.pdf"), "not a pdf");
+  const out = path.join(dir, "out");
+  const r = await run("apply", "--profile", path.join(dir, "house.json"), path.join(dir, "bad.pdf"), path.join(dir, "memo.pdf"), "-o", out);
+  expect(r.code).toBe(1);
+  expect(r.err).toMatch(/Failed: bad\.pdf/);
+  expect(existsSync(path.join(out, "memo_wm.pdf"))).toBe(true);
+});
+
+test("identify reports the RID, its layers, the ledger entry and the manifest", async () => {
+  const out = path.join(dir, "out"), key = path.join(dir, "key.json");
+  expect((await run("keygen", "-o", key)).code).toBe(0);
+  writeFileSync(path.join(dir, "signed.json"), JSON.stringify({ ...PROFILE, settings: { ...PROFILE.settings, signManifest: true } }));
+  await run("apply", "--profile", path.join(dir, "signed.json"), "--key", key, "--recipient", "lender@example.com", "--case", "DEAL-7", path.join(dir, "memo.pdf"), "-o", out);
+  const { keyId } = JSON.parse(readFileSync(key, "utf8"));
+
+  const r = await run("identify", "--ledger", path.join(out, "ledger.json"), path.join(out, "memo_wm.pdf"));
+  expect(r.code).toBe(0);
+  expect(r.out).toMatch(/RID:[0-9a-f]{16} {2}\(info, xmp, text, glyph mark\)/);
+  expect(r.out).toMatch(/Ledger: lender@example\.com \/ DEAL-7, memo\.pdf/);
+  expect(r.out).toContain(`Manifest: signed by key ${keyId}; no pages changed`);
+
+  const json = JSON.parse((await run("identify", "--json", path.join(out, "memo_wm.pdf"))).out);
+  expect(json[0]).toMatchObject({ recipient: "lender@example.com", caseId: "DEAL-7", manifest: { signatureValid: true } });
+});
+
+test("unknown commands print usage and fail", async () => {
+  const r = await run("frobnicate");
+  expect(r.code).toBe(2);
+  expect(r.err).toMatch(/^Usage:/);
+});
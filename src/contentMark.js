@@ -0,0 +1,149 @@
+import { PDFArray, PDFNumber, PDFOperator, PDFOperatorNames, TextRenderingMode, degrees, drawText, rgb } from "@cantoo/pdf-lib";
+
+/**
+ * GLYPH-POSITION MARK – the RID hidden in the page content itself
+ * -----------------------------------------------------------
+ * Watermark text is written with a `TJ` array instead of `Tj`: every gap
+ * between two glyphs gets a kerning nudge of at most ±1.3/1000 em, which is
+ * invisible on screen and in print but carries one byte. Survives metadata
+ * stripping and removal of the forensic line because it lives in the same
+ * operators that draw the visible watermark, plus one invisible carrier run
+ * per page for image-only layouts.
+ *
+ * Payload: 8 RID bytes + CRC-16, 10 bytes. The first gap of each run holds
+ * 0xA0 + the payload offset that run starts at, so short texts spread across
+ * lines/tiles/pages still reassemble.
+ */
+
+const PAYLOAD_LEN = 10;
+const START_BASE = 0xa0;
+const CARRIER = " ".repeat(PAYLOAD_LEN + 2);
+
+// CRC-16/CCITT-FALSE
+function crc16(bytes) {
+  let crc = 0xffff;
+  for (const b of bytes) {
+    crc ^= b << 8;
+    for (let i = 0; i < 8; i++) crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+  }
+  return crc;
+}
+
+export function encodeMarkPayload(rid) {
+  const hex = String(rid).replace(/^RID:/, "");
+  if (!/^[0-9a-f]{16}$/.test(hex)) throw new Error(`Not a RID: ${rid}`);
+  const out = new Uint8Array(PAYLOAD_LEN);
+  for (let i = 0; i < 8; i++) out[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  const crc = crc16(out.subarray(0, 8));
+  out[8] = crc >> 8; out[9] = crc & 0xff;
+  return out;
+}
+
+function payloadToRid(bytes) {
+  if (bytes.length !== PAYLOAD_LEN || bytes.some(b => b === undefined)) return null;
+  const crc = crc16(bytes.slice(0, 8));
+  if (bytes[8] !== crc >> 8 || bytes[9] !== (crc & 0xff)) return null;
+  return bytes.slice(0, 8).map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Thousandths of an em; never an integer, so ordinary kerning can't be mistaken for it
+const byteToAdjust = (b) => (b - 127.5) / 100;
+function adjustToByte(v) {
+  const b = v * 100 + 127.5;
+  const r = Math.round(b);
+  return Math.abs(b - r) < 0.01 && r >= 0 && r <= 255 ? r : null;
+}
+
+/**
+ * One marker per document. `drawText` stands in for `page.drawText` (single
+ * line; x, y, rotate, size, opacity) and `drawCarrier` adds the invisible run.
+ */
+export function createContentMarker(font, rid) {
+  const payload = encodeMarkPayload(rid);
+  const pageKeys = new WeakMap(); // page -> { fontKey, gs: Map<opacity, key> }
+  let next = 0;
+
+  const keysFor = (page) => {
+    let k = pageKeys.get(page);
+    if (!k) { k = { fontKey: page.node.newFontDictionary(font.name, font.ref), gs: new Map() }; pageKeys.set(page, k); }
+    return k;
+  };
+  const gsFor = (page, opacity) => {
+    if (opacity === undefined) return undefined;
+    const { gs } = keysFor(page);
+    if (!gs.has(opacity)) gs.set(opacity, page.node.newExtGState("GS", page.doc.context.obj({ Type: "ExtGState", ca: opacity })));
+    return gs.get(opacity);
+  };
+
+  const tjArray = (page, glyphs) => {
+    const arr = PDFArray.withContext(page.doc.context);
+    const start = next;
+    glyphs.forEach((ch, i) => {
+      if (i === 1) arr.push(PDFNumber.of(byteToAdjust(START_BASE + start)));
+      else if (i > 1) arr.push(PDFNumber.of(byteToAdjust(payload[(start + i - 2) % PAYLOAD_LEN])));
+      arr.push(font.encodeText(ch));
+    });
+    next = (start + glyphs.length - 2) % PAYLOAD_LEN;
+    return arr;
+  };
+
+  const draw = (page, text, { x, y, rotate, size, opacity, renderMode }) => {
+    const glyphs = [...text];
+    if (glyphs.length < 3 || /[\r\n]/.test(text)) { page.drawText(text, { x, y, rotate, size, opacity, font }); return; }
+    const ops = drawText(font.encodeText(text), {
+      color: rgb(0, 0, 0), font: keysFor(page).fontKey, size,
+      rotate: rotate || degrees(0), xSkew: degrees(0), ySkew: degrees(0),
+      x, y, graphicsState: gsFor(page, opacity), renderMode,
+    });
+    const i = ops.findIndex(op => op.name === PDFOperatorNames.ShowText);
+    ops[i] = PDFOperator.of(PDFOperatorNames.ShowTextAdjusted, [tjArray(page, glyphs)]);
+    page.pushOperators(...ops);
+  };
+
+  return {
+    drawText: draw,
+    drawCarrier: (page, { x, y }) => draw(page, CARRIER, { x, y, size: 1, renderMode: TextRenderingMode.Invisible }),
+  };
+}
+
+// Numbers inside `[ ... ] TJ` arrays, in order (string operands skipped)
+function tjNumberRuns(src) {
+  const runs = [];
+  const re = /\[((?:<[0-9A-Fa-f\s]*>|\((?:\\[\s\S]|[^\\)])*\)|[^\]<(])*)\]\s*TJ/g;
+  let m;
+  while ((m = re.exec(src))) {
+    const body = m[1].replace(/<[0-9A-Fa-f\s]*>|\((?:\\[\s\S]|[^\\)])*\)/g, " ");
+    runs.push((body.match(/[-+]?(?:\d+\.?\d*|\.\d+)/g) || []).map(Number));
+  }
+  return runs;
+}
+
+/**
+ * Recover RIDs from raw (decoded) content stream source. Each run votes for
+ * the payload bytes it covers; a RID is reported only when its CRC checks out.
+ * @returns {string[]} 16-hex RIDs
+ */
+export function decodeContentMarks(sources) {
+  const found = new Set();
+  const votes = Array.from({ length: PAYLOAD_LEN }, () => new Map());
+  for (const src of [].concat(sources)) {
+    for (const nums of tjNumberRuns(src)) {
+      const bytes = nums.map(adjustToByte);
+      const start = bytes[0] - START_BASE;
+      if (bytes.length < 2 || bytes.includes(null) || !(start >= 0 && start < PAYLOAD_LEN)) continue;
+      const full = new Array(PAYLOAD_LEN);
+      bytes.slice(1).forEach((b, i) => {
+        const pos = (start + i) % PAYLOAD_LEN;
+        full[pos] = b;
+        votes[pos].set(b, (votes[pos].get(b) || 0) + 1);
+      });
+      const rid = payloadToRid(Array.from(full));
+      if (rid) found.add(rid);
+    }
+  }
+  // Short runs only: take the most common byte at each position
+  const majority = votes.map(v => [...v.entries()].sort((a, b) => b[1] - a[1])[0]?.[0]);
+  const rid = payloadToRid(majority);
+  if (rid) found.add(rid);
+  return [...found];
+}
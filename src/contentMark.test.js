@@ -0,0 +1,35 @@
+import { PDFDocument, StandardFonts } from "@cantoo/pdf-lib";
+import { createContentMarker, decodeContentMarks, encodeMarkPayload } from "./contentMark";
+import { identifyPdf } from "./identify";
+
+const RID = "0123456789abcdef";
+
+test("payload is the RID plus a CRC", () => {
+  expect(Array.from(encodeMarkPayload(`RID:${RID}`).slice(0, 8))).toEqual([0x01, 0x23, 0x45, 0x67, 0x89, 0xab, 0xcd, 0xef]);
+  expect(() => encodeMarkPayload("nope")).toThrow();
+});
+
+test("short runs spread across pages reassemble; ordinary kerning is ignored", async () => {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.HelveticaBold);
+  const marker = createContentMarker(font, RID);
+  for (let i = 0; i < 4; i++) marker.drawText(doc.addPage([300, 300]), "DRAFT", { x: 20, y: 150, size: 40, opacity: 0.2 });
+  const r = await identifyPdf(await doc.save({ useObjectStreams: false }));
+  expect(r.layers.mark.rids).toEqual([RID]);
+  expect(r.layers.mark.pages).toEqual([]); // no single page carries the whole payload
+  expect(decodeContentMarks("[(A) -120 (V) 30 (E)] TJ")).toEqual([]);
+});
+
+test("identify recovers the mark after metadata and forensic text are stripped", async () => {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.HelveticaBold);
+  const marker = createContentMarker(font, RID);
+  const page = doc.addPage([300, 300]);
+  marker.drawText(page, "DRAFT", { x: 20, y: 150, size: 40 });
+  marker.drawCarrier(page, { x: 10, y: 10 });
+  const r = await identifyPdf(await doc.save({ useObjectStreams: false }));
+  expect(r.layers.info.present).toBe(false);
+  expect(r.layers.content.present).toBe(false);
+  expect(r.layers.mark).toMatchObject({ present: true, rids: [RID], pages: [1] });
+  expect(r.rids).toEqual([RID]);
+});
@@ -0,0 +1,41 @@
+// Minimal RFC 4180 CSV helpers (quoted fields, embedded commas/quotes/newlines)
+
+function escapeCell(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCSV(rows, columns) {
+  const lines = [columns.map(escapeCell).join(",")];
+  for (const r of rows) lines.push(columns.map(c => escapeCell(r[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+// Returns an array of rows, each an array of cell strings
+export function parseCSV(text) {
+  const rows = []; let row = []; let cell = ""; let quoted = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += ch;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim() !== ""));
+}
+
+// First row is the header; returns objects keyed by header name
+export function parseCSVObjects(text) {
+  const [header, ...rows] = parseCSV(text);
+  if (!header) return [];
+  const keys = header.map(h => h.trim());
+  return rows.map(r => Object.fromEntries(keys.map((k, i) => [k, r[i] ?? ""])));
+}
@@ -0,0 +1,360 @@
+import { fill, popGraphicsState, pushGraphicsState, rectangle, setFillingGrayscaleColor, setGraphicsState } from "@cantoo/pdf-lib";
+import { rsEncode, rsDecode } from "./reedSolomon";
+
+/**
+ * MICRO-DOT PATTERN – an RID that survives print, scan and phone photos
+ * -----------------------------------------------------------
+ * A faint lattice of tiny vector squares tiled over the page. Each 13×13 tile:
+ * - row 0 all dots, column 0 alternating: lets the decoder find tile borders
+ *   and which way is up;
+ * - the other 12×12 cells: 8 RID bytes + 10 Reed–Solomon parity bytes
+ *   (dot = 1), so up to 5 damaged bytes are corrected.
+ * The decoder votes every tile it can see before error correction, so text,
+ * noise and JPEG artefacts over part of the page don't matter much.
+ */
+
+export const DOT_TILE = 13;
+export const DOT_PITCH = 5;     // pt between dot centres
+export const DOT_SIZE = 1.4;    // pt, side of a dot
+export const DOT_OPACITY = 0.3;
+const DATA_BYTES = 8;
+const PARITY_BYTES = 10;
+
+const isSync = (r, c) => r === 0 || c === 0;
+const syncBit = (r) => (r === 0 ? 1 : r % 2);
+const mod = (x, n) => ((x % n) + n) % n;
+
+function ridBytes(rid) {
+  const hex = String(rid).replace(/^RID:/, "");
+  if (!/^[0-9a-f]{16}$/.test(hex)) throw new Error(`Not a RID: ${rid}`);
+  return Array.from({ length: DATA_BYTES }, (_, i) => parseInt(hex.slice(i * 2, i * 2 + 2), 16));
+}
+
+/** 0/1 per cell, index r * DOT_TILE + c (r counts down from the top) */
+export function encodeDotTile(rid) {
+  const data = ridBytes(rid);
+  const bytes = [...data, ...rsEncode(data, PARITY_BYTES)];
+  const tile = new Uint8Array(DOT_TILE * DOT_TILE);
+  let k = 0;
+  for (let r = 0; r < DOT_TILE; r++) {
+    for (let c = 0; c < DOT_TILE; c++) {
+      if (isSync(r, c)) { tile[r * DOT_TILE + c] = c === 0 ? syncBit(r) : 1; continue; }
+      tile[r * DOT_TILE + c] = (bytes[k >> 3] >> (7 - (k & 7))) & 1;
+      k++;
+    }
+  }
+  return tile;
+}
+
+/** Dot centres in visible-frame coordinates (origin bottom-left) */
+export function dotPatternPositions(rid, width, height) {
+  const tile = encodeDotTile(rid);
+  const out = [];
+  const cols = Math.floor(width / DOT_PITCH), rows = Math.floor(height / DOT_PITCH);
+  for (let gy = 0; gy < rows; gy++) {
+    for (let gx = 0; gx < cols; gx++) {
+      if (tile[(gy % DOT_TILE) * DOT_TILE + (gx % DOT_TILE)]) out.push({ u: (gx + 0.5) * DOT_PITCH, v: height - (gy + 0.5) * DOT_PITCH });
+    }
+  }
+  return out;
+}
+
+/** One filled path per page; `frame` is `visibleFrame(page)` */
+export function drawDotPattern(page, frame, rid) {
+  const gs = page.node.newExtGState("GS", page.doc.context.obj({ Type: "ExtGState", ca: DOT_OPACITY }));
+  const r2 = (n) => Math.round(n * 100) / 100;
+  const ops = [pushGraphicsState(), setGraphicsState(gs), setFillingGrayscaleColor(0)];
+  for (const { u, v } of dotPatternPositions(rid, frame.width, frame.height)) {
+    const { x, y } = frame.toUser(u, v);
+    ops.push(rectangle(r2(x - DOT_SIZE / 2), r2(y - DOT_SIZE / 2), DOT_SIZE, DOT_SIZE));
+  }
+  ops.push(fill(), popGraphicsState());
+  page.pushOperators(...ops);
+}
+
+// ---------------------------------------------------------------------------
+// Decoder
+
+// Box mean of radius `rad` around every pixel, via an integral image
+function boxMean(src, w, h, rad) {
+  const integral = new Float64Array((w + 1) * (h + 1));
+  for (let y = 0; y < h; y++) {
+    let row = 0;
+    for (let x = 0; x < w; x++) { row += src[y * w + x]; integral[(y + 1) * (w + 1) + x + 1] = integral[y * (w + 1) + x + 1] + row; }
+  }
+  const out = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    const y0 = Math.max(0, y - rad), y1 = Math.min(h, y + rad + 1);
+    for (let x = 0; x < w; x++) {
+      const x0 = Math.max(0, x - rad), x1 = Math.min(w, x + rad + 1);
+      const sum = integral[y1 * (w + 1) + x1] - integral[y0 * (w + 1) + x1] - integral[y1 * (w + 1) + x0] + integral[y0 * (w + 1) + x0];
+      out[y * w + x] = sum / ((x1 - x0) * (y1 - y0));
+    }
+  }
+  return out;
+}
+
+// How much darker than its neighbourhood each pixel is (0..255), lightly
+// smoothed so sensor/JPEG noise doesn't turn into specks. `inked` marks text,
+// images and shadows: far darker than any dot, so those pixels don't vote.
+function darknessMap({ width: w, height: h, data }) {
+  const gray = new Float32Array(w * h);
+  for (let i = 0; i < w * h; i++) gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  const bg = boxMean(gray, w, h, Math.max(7, Math.min(30, Math.round(Math.min(w, h) / 40))));
+  const fine = boxMean(gray, w, h, 1);
+  const d = new Float32Array(w * h);
+  for (let i = 0; i < w * h; i++) d[i] = Math.max(0, bg[i] - fine[i]);
+  const hist = new Uint32Array(256);
+  for (const v of bg) hist[Math.min(255, v | 0)]++;
+  let paper = 255;
+  for (let i = 255, acc = 0; i >= 0; i--) { acc += hist[i]; if (acc >= (w * h) / 2) { paper = i; break; } }
+  const inked = new Uint8Array(w * h);
+  for (let i = 0; i < w * h; i++) inked[i] = fine[i] < paper * 0.5 || bg[i] < paper * 0.8 ? 1 : 0;
+  return { d, inked };
+}
+
+// Noise floor from the histogram: median + 5 robust sigmas
+function noiseThreshold(d) {
+  const hist = new Uint32Array(256);
+  for (const v of d) hist[Math.min(255, v | 0)]++;
+  const quantile = (q) => { let acc = 0; for (let i = 0; i < 256; i++) { acc += hist[i]; if (acc >= d.length * q) return i; } return 255; };
+  const med = quantile(0.5);
+  const spread = Math.max(1, quantile(0.75) - quantile(0.25));
+  return med + 5 * 0.74 * spread + 2;
+}
+
+// Connected dark specks of dot-like size → weighted centroids
+function findDots(d, w, h, T) {
+  const seen = new Uint8Array(w * h);
+  const stack = new Int32Array(w * h);
+  const blobs = [];
+  for (let p0 = 0; p0 < w * h; p0++) {
+    if (seen[p0] || d[p0] <= T) continue;
+    let sp = 0, area = 0, sw = 0, sx = 0, sy = 0, minX = w, maxX = 0, minY = h, maxY = 0;
+    stack[sp++] = p0; seen[p0] = 1;
+    while (sp) {
+      const p = stack[--sp], x = p % w, y = (p / w) | 0, wt = d[p];
+      area++; sw += wt; sx += wt * x; sy += wt * y;
+      if (x < minX) minX = x; if (x > maxX) maxX = x; if (y < minY) minY = y; if (y > maxY) maxY = y;
+      const nb = [x > 0 ? p - 1 : -1, x < w - 1 ? p + 1 : -1, y > 0 ? p - w : -1, y < h - 1 ? p + w : -1];
+      for (const q of nb) if (q >= 0 && !seen[q] && d[q] > T) { seen[q] = 1; stack[sp++] = q; }
+    }
+    blobs.push({ area, x: sx / sw, y: sy / sw, bw: maxX - minX + 1, bh: maxY - minY + 1 });
+  }
+  if (!blobs.length) return [];
+  const areas = blobs.map(b => b.area).filter(a => a > 1).sort((a, b) => a - b);
+  const m = areas[areas.length >> 1] || 1;
+  const side = Math.sqrt(m) * 2.5 + 2;
+  return blobs.filter(b => b.area >= m / 4 && b.area <= m * 4 && b.bw <= side && b.bh <= side);
+}
+
+// Pitch from nearest-neighbour distances, angle (mod 90°) from the neighbours at that pitch
+function estimateLattice(pts, w, h) {
+  const g = Math.max(4, Math.sqrt((w * h) / pts.length) * 1.5);
+  const cols = Math.ceil(w / g) + 1;
+  const grid = new Map();
+  pts.forEach((p, i) => {
+    const key = Math.floor(p.x / g) + Math.floor(p.y / g) * cols;
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(i);
+  });
+  const neighbours = (p) => {
+    const out = [];
+    const cx = Math.floor(p.x / g), cy = Math.floor(p.y / g);
+    for (let dy = -1; dy <= 1; dy++) for (let dx = -1; dx <= 1; dx++) {
+      for (const j of grid.get(cx + dx + (cy + dy) * cols) || []) {
+        const q = pts[j];
+        if (q !== p) out.push({ dx: q.x - p.x, dy: q.y - p.y, dist: Math.hypot(q.x - p.x, q.y - p.y) });
+      }
+    }
+    return out;
+  };
+  const nbs = pts.map(neighbours);
+  const nn = nbs.map(n => Math.min(...n.map(v => v.dist))).filter(Number.isFinite).sort((a, b) => a - b);
+  if (nn.length < 20) return null;
+  const pitch = nn[nn.length >> 1];
+  let C = 0, S = 0;
+  const support = nbs.map(n => {
+    const axis = n.filter(v => Math.abs(v.dist - pitch) < pitch * 0.25);
+    for (const v of axis) { const t = 4 * Math.atan2(v.dy, v.dx); C += Math.cos(t); S += Math.sin(t); }
+    return axis.length;
+  });
+  return { pitch, angle: Math.atan2(S, C) / 4, support };
+}
+
+function solve3(A, b) {
+  const m = A.map((row, i) => [...row, b[i]]);
+  for (let c = 0; c < 3; c++) {
+    let piv = c;
+    for (let r = c + 1; r < 3; r++) if (Math.abs(m[r][c]) > Math.abs(m[piv][c])) piv = r;
+    if (Math.abs(m[piv][c]) < 1e-9) return null;
+    [m[c], m[piv]] = [m[piv], m[c]];
+    for (let r = 0; r < 3; r++) {
+      if (r === c) continue;
+      const f = m[r][c] / m[c][c];
+      for (let k = c; k < 4; k++) m[r][k] -= f * m[c][k];
+    }
+  }
+  return [m[0][3] / m[0][0], m[1][3] / m[1][1], m[2][3] / m[2][2]];
+}
+
+// Lattice coordinates of a point under the current fit
+function toLattice(L, x, y) {
+  const det = L.ax * L.by - L.bx * L.ay;
+  const dx = x - L.ox, dy = y - L.oy;
+  return { i: (dx * L.by - dy * L.bx) / det, j: (L.ax * dy - L.ay * dx) / det };
+}
+
+// Least-squares fit p = o + i·a + j·b, grown outwards from the origin so
+// small angle/pitch errors never accumulate into wrong cell indices
+function fitLattice(pts, L0, w, h) {
+  let L = L0;
+  const diag = Math.hypot(w, h);
+  const R0 = 8 * Math.hypot(L.ax, L.ay);
+  // The origin dot may be a stray speck: snap it to the mean phase of its neighbours
+  let ci = 0, si = 0, cj = 0, sj = 0;
+  for (const p of pts) {
+    if (Math.hypot(p.x - L.ox, p.y - L.oy) > R0) continue;
+    const { i, j } = toLattice(L, p.x, p.y);
+    ci += Math.cos(2 * Math.PI * i); si += Math.sin(2 * Math.PI * i);
+    cj += Math.cos(2 * Math.PI * j); sj += Math.sin(2 * Math.PI * j);
+  }
+  const fi = Math.atan2(si, ci) / (2 * Math.PI), fj = Math.atan2(sj, cj) / (2 * Math.PI);
+  L = { ...L, ox: L.ox + fi * L.ax + fj * L.bx, oy: L.oy + fi * L.ay + fj * L.by };
+  for (let R = R0; ; R *= 1.6) {
+    const AtA = [[0, 0, 0], [0, 0, 0], [0, 0, 0]], bx = [0, 0, 0], by = [0, 0, 0];
+    let n = 0;
+    for (const p of pts) {
+      if (Math.hypot(p.x - L.ox, p.y - L.oy) > R) continue;
+      const { i, j } = toLattice(L, p.x, p.y);
+      const ri = Math.round(i), rj = Math.round(j);
+      if (Math.hypot(i - ri, j - rj) > 0.25) continue;
+      const v = [1, ri, rj];
+      for (let r = 0; r < 3; r++) { for (let c = 0; c < 3; c++) AtA[r][c] += v[r] * v[c]; bx[r] += v[r] * p.x; by[r] += v[r] * p.y; }
+      n++;
+    }
+    const sx = n >= 8 && solve3(AtA, bx), sy = n >= 8 && solve3(AtA, by);
+    if (!sx || !sy) return null;
+    L = { ox: sx[0], ax: sx[1], bx: sx[2], oy: sy[0], ay: sy[1], by: sy[2] };
+    if (R > diag) return L;
+  }
+}
+
+// Two-class split of the per-node darkness values
+function otsu(values) {
+  const max = Math.max(...values, 1);
+  const hist = new Float64Array(256);
+  for (const v of values) hist[Math.min(255, Math.round((v / max) * 255))]++;
+  let sumAll = 0; for (let i = 0; i < 256; i++) sumAll += i * hist[i];
+  let wB = 0, sumB = 0, best = 0, thr = 0;
+  for (let i = 0; i < 256; i++) {
+    wB += hist[i]; if (!wB) continue;
+    const wF = values.length - wB; if (!wF) break;
+    sumB += i * hist[i];
+    const between = wB * wF * (sumB / wB - (sumAll - sumB) / wF) ** 2;
+    if (between > best) { best = between; thr = i; }
+  }
+  return ((thr + 0.5) / 255) * max;
+}
+
+const ROTATIONS = [(i, j) => [i, j], (i, j) => [j, -i], (i, j) => [-i, -j], (i, j) => [-j, i]];
+
+/**
+ * Recover the RID from a photo/scan of a page.
+ * @param {{ width: number, height: number, data: Uint8ClampedArray }} image RGBA pixels (ImageData)
+ * @returns {{ rid: string, pitch: number, tiles: number } | null}
+ */
+export function decodeDotPattern(image) {
+  const { width: w, height: h } = image;
+  const { d, inked } = darknessMap(image);
+  const pts = findDots(d, w, h, noiseThreshold(d));
+  if (pts.length < 50) return null;
+  const est = estimateLattice(pts, w, h);
+  if (!est) return null;
+
+  // Origin: the well-supported dot nearest the middle of the image
+  let origin = null, bestDist = Infinity;
+  pts.forEach((p, i) => {
+    const dist = Math.hypot(p.x - w / 2, p.y - h / 2);
+    if (est.support[i] >= 2 && dist < bestDist) { bestDist = dist; origin = p; }
+  });
+  if (!origin) return null;
+  const { pitch, angle } = est;
+  const L = fitLattice(pts, {
+    ox: origin.x, oy: origin.y,
+    ax: pitch * Math.cos(angle), ay: pitch * Math.sin(angle),
+    bx: -pitch * Math.sin(angle), by: pitch * Math.cos(angle),
+  }, w, h);
+  if (!L) return null;
+
+  // Nodes only vote where dots were actually found nearby (not scanner bed, margins, photos)
+  const occupied = new Set();
+  for (const p of pts) {
+    const { i, j } = toLattice(L, p.x, p.y);
+    if (Math.hypot(i - Math.round(i), j - Math.round(j)) < 0.3) occupied.add(`${Math.round(i)},${Math.round(j)}`);
+  }
+  const nearDots = (i, j) => {
+    for (let dj = -2; dj <= 2; dj++) for (let di = -2; di <= 2; di++) if (occupied.has(`${i + di},${j + dj}`)) return true;
+    return false;
+  };
+
+  // Mean darkness at every lattice node inside the image
+  const corners = [[0, 0], [w, 0], [0, h], [w, h]].map(([x, y]) => toLattice(L, x, y));
+  const iMin = Math.floor(Math.min(...corners.map(c => c.i))), iMax = Math.ceil(Math.max(...corners.map(c => c.i)));
+  const jMin = Math.floor(Math.min(...corners.map(c => c.j))), jMax = Math.ceil(Math.max(...corners.map(c => c.j)));
+  const rad = Math.max(1, Math.round(Math.hypot(L.ax, L.ay) * 0.12));
+  const nodes = [];
+  for (let j = jMin; j <= jMax; j++) {
+    for (let i = iMin; i <= iMax; i++) {
+      const x = Math.round(L.ox + i * L.ax + j * L.bx), y = Math.round(L.oy + i * L.ay + j * L.by);
+      if (x < rad || y < rad || x >= w - rad || y >= h - rad || !nearDots(i, j)) continue;
+      let s = 0, ink = 0;
+      for (let yy = y - rad; yy <= y + rad; yy++) for (let xx = x - rad; xx <= x + rad; xx++) { s += d[yy * w + xx]; ink |= inked[yy * w + xx]; }
+      if (!ink) nodes.push({ i, j, s: s / (2 * rad + 1) ** 2 });
+    }
+  }
+  if (nodes.length < DOT_TILE * DOT_TILE) return null;
+  // Clamp first so nodes under text/images don't drag the split above the dots
+  const sorted = nodes.map(n => n.s).sort((a, b) => a - b);
+  const cap = sorted[Math.floor(sorted.length * 0.9)];
+  const t = otsu(sorted.map(v => Math.min(v, cap))) || 1;
+
+  // Soft votes folded into one tile per orientation, then find the sync row/column
+  const N = DOT_TILE;
+  const candidates = [];
+  ROTATIONS.forEach(rot => {
+    const acc = new Float64Array(N * N);
+    for (const n of nodes) {
+      const [c, r] = rot(n.i, n.j);
+      acc[mod(r, N) * N + mod(c, N)] += Math.max(-1, Math.min(1, (n.s - t) / t));
+    }
+    for (let pr = 0; pr < N; pr++) {
+      for (let pc = 0; pc < N; pc++) {
+        const cell = (r, c) => acc[((r + pr) % N) * N + ((c + pc) % N)];
+        let score = 0;
+        for (let c = 0; c < N; c++) score += cell(0, c);
+        for (let r = 1; r < N; r++) score += syncBit(r) ? cell(r, 0) : -cell(r, 0);
+        candidates.push({ score, cell });
+      }
+    }
+  });
+  candidates.sort((a, b) => b.score - a.score);
+
+  // A blank or patternless page folds into an all-zero tile; demand a clearly visible sync
+  const votes = nodes.length / (N * N);
+  for (const { cell, score } of candidates.slice(0, 8)) {
+    if (score < votes * (2 * N - 1) * 0.15) break;
+    const bytes = new Array(DATA_BYTES + PARITY_BYTES).fill(0);
+    let k = 0;
+    for (let r = 1; r < N; r++) for (let c = 1; c < N; c++, k++) if (cell(r, c) > 0) bytes[k >> 3] |= 1 << (7 - (k & 7));
+    const data = rsDecode(bytes, PARITY_BYTES);
+    if (data) {
+      return {
+        rid: Array.from(data, b => b.toString(16).padStart(2, "0")).join(""),
+        pitch: Math.hypot(L.ax, L.ay),
+        tiles: Math.round(votes),
+      };
+    }
+  }
+  return null;
+}
@@ -0,0 +1,59 @@
+import jpeg from "jpeg-js";
+import { DOT_OPACITY, DOT_PITCH, DOT_SIZE, DOT_TILE, decodeDotPattern, encodeDotTile } from "./dotPattern";
+
+const RID = "3fa85f6457174562";
+
+// Renders the pattern of a `size`×`size` pt page region the way a scanner
+// would see it: `scale` px/pt, rotated, with text-like blocks, noise and JPEG.
+function syntheticScan({ size = 260, scale = 2, angle = 0, noise = 0, quality = 0, blocks = [] }) {
+  const tile = encodeDotTile(RID);
+  const W = Math.ceil(size * scale * 1.3), H = W;
+  const data = new Uint8Array(W * H * 4);
+  const cos = Math.cos((angle * Math.PI) / 180), sin = Math.sin((angle * Math.PI) / 180);
+  let seed = 7;
+  const rand = () => ((seed = (seed * 16807) % 2147483647) / 2147483647);
+  const SS = 3;
+  for (let py = 0; py < H; py++) {
+    for (let px = 0; px < W; px++) {
+      let cover = 0, inPage = 0, ink = 0;
+      for (let sy = 0; sy < SS; sy++) for (let sx = 0; sx < SS; sx++) {
+        // image pixel -> page point (pt from the top-left of the region)
+        const ix = px + (sx + 0.5) / SS - W / 2, iy = py + (sy + 0.5) / SS - H / 2;
+        const u = (cos * ix + sin * iy) / scale + size / 2, t = (-sin * ix + cos * iy) / scale + size / 2;
+        if (u < 0 || t < 0 || u >= size || t >= size) continue;
+        inPage++;
+        if (blocks.some(([x, y, w, h]) => u >= x && u < x + w && t >= y && t < y + h)) { ink++; continue; }
+        const gx = Math.floor(u / DOT_PITCH), gy = Math.floor(t / DOT_PITCH);
+        if (!tile[(gy % DOT_TILE) * DOT_TILE + (gx % DOT_TILE)]) continue;
+        if (Math.abs(u - (gx + 0.5) * DOT_PITCH) <= DOT_SIZE / 2 && Math.abs(t - (gy + 0.5) * DOT_PITCH) <= DOT_SIZE / 2) cover++;
+      }
+      const n = SS * SS;
+      let v = inPage ? 255 * (1 - (cover / n) * DOT_OPACITY) * (1 - (ink / n) * 0.85) : 200;
+      if (noise) v += (rand() + rand() + rand() - 1.5) * noise;
+      v = Math.max(0, Math.min(255, v));
+      data.set([v, v, v, 255], (py * W + px) * 4);
+    }
+  }
+  const img = { width: W, height: H, data };
+  return quality ? jpeg.decode(jpeg.encode(img, quality).data, { useTArray: true }) : img;
+}
+
+const text = [[20, 30, 180, 8], [20, 45, 150, 8], [20, 60, 200, 8], [40, 150, 90, 40]];
+
+test("clean render decodes", () => {
+  expect(decodeDotPattern(syntheticScan({}))?.rid).toBe(RID);
+});
+
+test("survives rotation, noise, text and JPEG compression", () => {
+  const r = decodeDotPattern(syntheticScan({ angle: 7.5, noise: 25, quality: 55, blocks: text }));
+  expect(r?.rid).toBe(RID);
+});
+
+test("upside-down, lower-resolution scans decode too", () => {
+  expect(decodeDotPattern(syntheticScan({ angle: 183, scale: 1.6, noise: 15, quality: 70 }))?.rid).toBe(RID);
+});
+
+test("a page without the pattern yields nothing", () => {
+  const blank = syntheticScan({ blocks: [[0, 0, 260, 260]], noise: 20 });
+  expect(decodeDotPattern(blank)).toBeNull();
+});
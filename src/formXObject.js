@@ -0,0 +1,67 @@
+import { PDFArray, PDFPage, concatTransformationMatrix, drawObject, popGraphicsState, pushGraphicsState, setGraphicsState } from "@cantoo/pdf-lib";
+
+/**
+ * FORM XOBJECTS – draw a watermark once, place it on every page and tile
+ * -----------------------------------------------------------
+ * `recordForm` runs ordinary page drawing code (drawText, drawSvg, drawImage,
+ * contentMark, …) against a scratch page that is never added to the page
+ * tree, then turns what it drew into one Form XObject. `createFormPlacer`
+ * paints that form with a `cm` + `Do`, so a 60-cell grid costs 60 short
+ * lines instead of 60 copies of the artwork.
+ */
+
+// One ExtGState per page and opacity, however many times it is used
+const gsKeys = new WeakMap();
+export function opacityState(page, opacity) {
+  let byOpacity = gsKeys.get(page);
+  if (!byOpacity) { byOpacity = new Map(); gsKeys.set(page, byOpacity); }
+  if (!byOpacity.has(opacity)) {
+    byOpacity.set(opacity, page.node.newExtGState("GS", page.doc.context.obj({ Type: "ExtGState", ca: opacity, CA: opacity })));
+  }
+  return byOpacity.get(opacity);
+}
+
+/**
+ * @param {number[]} bbox [llx, lly, urx, ury] in the form's own space; anything outside is clipped
+ * @param {(page: PDFPage) => void} draw drawing code to capture, at full opacity
+ * @returns {PDFRef} the registered form
+ */
+export function recordForm(pdfDoc, bbox, draw) {
+  const ctx = pdfDoc.context;
+  const scratch = PDFPage.create(pdfDoc);
+  draw(scratch);
+  const contents = scratch.node.Contents();
+  const refs = contents instanceof PDFArray ? contents.asArray() : [];
+  const parts = refs.map(ref => ctx.lookup(ref).getUnencodedContents());
+  const bytes = new Uint8Array(parts.reduce((n, p) => n + p.length + 1, 0));
+  let o = 0;
+  for (const p of parts) { bytes.set(p, o); o += p.length; bytes[o++] = 0x0a; }
+  const form = ctx.flateStream(bytes, { Type: "XObject", Subtype: "Form", BBox: bbox, Resources: scratch.node.Resources() });
+  refs.forEach(ref => ctx.delete(ref));
+  ctx.delete(scratch.ref);
+  return ctx.register(form);
+}
+
+/**
+ * Returns `place(page, formRef, { x, y, rotate, scale, opacity })`: the form's
+ * origin goes to (x, y) in user space, turned by `rotate` (pdf-lib Degrees)
+ * and scaled uniformly. Each form gets one resource name per page.
+ */
+export function createFormPlacer() {
+  const names = new WeakMap(); // page -> Map<formRef, PDFName>
+  return (page, form, { x, y, rotate, scale = 1, opacity }) => {
+    let byForm = names.get(page);
+    if (!byForm) { byForm = new Map(); names.set(page, byForm); }
+    if (!byForm.has(form)) byForm.set(form, page.node.newXObject("Wm", form));
+    const rad = ((rotate?.angle || 0) * Math.PI) / 180;
+    const r4 = (t) => Math.round(t * 10000) / 10000;
+    const a = r4(Math.cos(rad) * scale), b = r4(Math.sin(rad) * scale);
+    page.pushOperators(
+      pushGraphicsState(),
+      ...(opacity === undefined ? [] : [setGraphicsState(opacityState(page, opacity))]),
+      concatTransformationMatrix(a, b, -b, a, r4(x), r4(y)),
+      drawObject(byForm.get(form)),
+      popGraphicsState(),
+    );
+  };
+}
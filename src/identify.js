@@ -0,0 +1,168 @@
+import { PDFName, PDFArray, PDFDict, PDFRawStream, decodePDFRawStream } from "@cantoo/pdf-lib";
+import { loadSourcePdf } from "./pdfSecurity";
+import { decodeContentMarks } from "./contentMark";
+import { parseXmpFingerprint, readInfoFingerprint } from "./metadata";
+
+/**
+ * LEAK TRACE – recover the RID fingerprint from a suspect PDF
+ * -----------------------------------------------------------
+ * Checks every layer `processOne` writes the fingerprint into:
+ * - Info dictionary (Keywords + AquaMark* keys; Author on older copies)
+ * - XMP metadata stream on the catalog (aqm: namespace)
+ * - Page content streams and the Form XObjects they paint (text watermark +
+ *   tiny forensic line)
+ * - Glyph-position mark hidden in the watermark's TJ kerning (contentMark.js)
+ * and reports which layers still carry it and which were stripped.
+ */
+
+export const RID_RE = /RID:([0-9a-f]{16})/g;
+
+function bytesToLatin1(u8) {
+  let s = ""; for (let i = 0; i < u8.length; i++) s += String.fromCharCode(u8[i]);
+  return s;
+}
+
+function uniqueRids(text) {
+  const out = new Set();
+  for (const m of String(text || "").matchAll(RID_RE)) out.add(m[1]);
+  return [...out];
+}
+
+function decodeStream(obj) {
+  if (!(obj instanceof PDFRawStream)) return null;
+  try { return decodePDFRawStream(obj).decode(); } catch { return null; }
+}
+
+// Pull the string operands (hex `<..>` and literal `(..)`) out of a content stream;
+// the pieces of one `[..] TJ` array come back as a single string
+export function extractContentStrings(src) {
+  const out = [];
+  const re = /<([0-9A-Fa-f\s]*)>|\(((?:\\[\s\S]|[^\\)])*)\)|(\[)|(\])/g;
+  let m, arr = null;
+  while ((m = re.exec(src))) {
+    let s;
+    if (m[3]) { arr = []; continue; }
+    if (m[4]) { if (arr) out.push(arr.join("")); arr = null; continue; }
+    if (m[1] !== undefined) {
+      if (src[m.index - 1] === "<" || src[m.index + m[0].length] === ">") continue; // dict delimiters
+      const hex = m[1].replace(/\s+/g, "");
+      s = ""; for (let i = 0; i + 1 < hex.length; i += 2) s += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16));
+    } else {
+      s = m[2].replace(/\\([nrtbf()\\])/g, (_, c) => ({ n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" }[c] || c));
+    }
+    if (arr) arr.push(s); else out.push(s);
+  }
+  return out;
+}
+
+// Form XObjects in a resource dictionary, nested forms included
+function formStreams(ctx, resources, seen) {
+  const xobjects = resources && ctx.lookupMaybe(resources.get(PDFName.of("XObject")), PDFDict);
+  if (!xobjects) return [];
+  const out = [];
+  for (const ref of xobjects.values()) {
+    const xo = ctx.lookup(ref);
+    if (!(xo instanceof PDFRawStream) || seen.has(xo) || xo.dict.get(PDFName.of("Subtype")) !== PDFName.of("Form")) continue;
+    seen.add(xo);
+    out.push(xo, ...formStreams(ctx, ctx.lookupMaybe(xo.dict.get(PDFName.of("Resources")), PDFDict), seen));
+  }
+  return out;
+}
+
+// Decoded content stream source of a page and of the forms it paints
+// (watermarks are placed as Form XObjects), as latin1
+function pageContentSources(page) {
+  const ctx = page.doc.context;
+  const contents = page.node.Contents();
+  const streams = !contents ? [] : contents instanceof PDFArray ? contents.asArray().map(ref => ctx.lookup(ref)) : [contents];
+  streams.push(...formStreams(ctx, page.node.Resources(), new Set()));
+  return streams.map(decodeStream).filter(Boolean).map(bytesToLatin1);
+}
+
+// The forensic line is drawn as `RID:<id> | recipient | caseId`
+function parseForensicLine(text, rid) {
+  const re = new RegExp(`RID:${rid} \\| ([^|\\n]*)\\|?([^\\n]*)`);
+  const m = String(text || "").match(re);
+  if (!m) return null;
+  return { recipient: m[1].trim(), caseId: (m[2] || "").trim() };
+}
+
+/**
+ * @param {ArrayBuffer|Uint8Array} bytes suspect PDF
+ * @param {{ password?: string }} [opts] for copies re-saved with an open password
+ * @throws {PasswordRequiredError} from `loadSourcePdf`
+ * @returns {Promise<{ rids: string[], recipient: string, caseId: string, recipientHash: string,
+ *   issuer: string, issuedAt: string, layers: Object, pageCount: number }>}
+ */
+export async function identifyPdf(bytes, { password } = {}) {
+  const { pdfDoc, wasEncrypted } = await loadSourcePdf(bytes, { password });
+
+  // ---- Info dictionary ----
+  const keywords = pdfDoc.getKeywords() || "";
+  const author = pdfDoc.getAuthor() || "";
+  const infoFp = readInfoFingerprint(pdfDoc);
+  const infoRids = [...new Set([...uniqueRids(keywords), ...(infoFp?.rid ? [infoFp.rid] : [])])];
+
+  // ---- XMP ----
+  const xmpStream = pdfDoc.catalog.lookup(PDFName.of("Metadata"));
+  const xmpBytes = decodeStream(xmpStream);
+  const xmpText = xmpBytes ? new TextDecoder().decode(xmpBytes) : "";
+  const xmpFp = parseXmpFingerprint(xmpText);
+  const xmpRids = [...new Set([...uniqueRids(xmpText), ...(xmpFp?.rid ? [xmpFp.rid] : [])])];
+  const fp = { ...xmpFp, ...infoFp };
+
+  // ---- Page content ----
+  const pages = pdfDoc.getPages();
+  const contentPages = [], markPages = [], markSources = [];
+  let contentText = "";
+  pages.forEach((page, i) => {
+    let sources = [];
+    try { sources = pageContentSources(page); } catch {}
+    const text = sources.flatMap(extractContentStrings).join("\n");
+    if (uniqueRids(text).length) { contentPages.push(i + 1); contentText += text + "\n"; }
+    if (decodeContentMarks(sources).length) markPages.push(i + 1);
+    markSources.push(...sources);
+  });
+  const contentRids = uniqueRids(contentText);
+  // All pages together: short runs from different pages add up to a full payload
+  const markRids = decodeContentMarks(markSources);
+
+  const rids = [...new Set([...infoRids, ...xmpRids, ...contentRids, ...markRids])];
+
+  // Best-effort recipient/case: forensic line first, then Author + Keywords
+  let recipient = "", caseId = "";
+  for (const rid of rids) {
+    const hit = parseForensicLine(contentText, rid);
+    if (hit) { ({ recipient, caseId } = hit); break; }
+  }
+  if (!recipient && infoRids.length) {
+    const rest = keywords.replace(/^watermarked\s+/, "").replace(`RID:${infoRids[0]}`, "").trim();
+    if (fp.rid) {
+      // Keywords are "watermarked RID:<id> <recipient> <caseId>" and the case is stored on its own
+      caseId = fp.caseId || "";
+      recipient = caseId && rest.endsWith(caseId) ? rest.slice(0, -caseId.length).trim() : rest;
+    } else {
+      // Older copies: Author was overwritten with the recipient
+      recipient = author;
+      caseId = author && rest.startsWith(author) ? rest.slice(author.length).trim() : "";
+    }
+  }
+  if (!caseId && fp.caseId) caseId = fp.caseId;
+
+  return {
+    rids,
+    recipient,
+    caseId,
+    recipientHash: fp.recipientHash || "",
+    issuer: fp.issuer || "",
+    issuedAt: fp.issuedAt || "",
+    pageCount: pages.length,
+    encrypted: wasEncrypted,
+    layers: {
+      info: { present: !!infoRids.length, rids: infoRids },
+      xmp: { present: !!xmpRids.length, rids: xmpRids, hasPacket: !!xmpText },
+      content: { present: !!contentRids.length, rids: contentRids, pages: contentPages },
+      mark: { present: !!markRids.length, rids: markRids, pages: markPages },
+    },
+  };
+}
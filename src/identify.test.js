@@ -0,0 +1,51 @@
+import { PDFDocument, StandardFonts } from "@cantoo/pdf-lib";
+import { identifyPdf, extractContentStrings } from "./identify";
+import { applyWatermarks } from "./watermark";
+
+async function makeFingerprinted({ keywords = true, forensic = true } = {}) {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.HelveticaBold);
+  doc.addPage([300, 300]);
+  const page = doc.addPage([300, 300]);
+  if (keywords) {
+    doc.setAuthor("lender@example.com");
+    doc.setKeywords(["watermarked", "RID:0123456789abcdef", "lender@example.com", "DEAL-7"]);
+  }
+  if (forensic) page.drawText("RID:0123456789abcdef | lender@example.com | DEAL-7", { x: 10, y: 10, size: 6, font });
+  return doc.save({ useObjectStreams: false });
+}
+
+test("recovers RID, recipient and case from every layer", async () => {
+  const r = await identifyPdf(await makeFingerprinted());
+  expect(r.rids).toEqual(["0123456789abcdef"]);
+  expect(r.recipient).toBe("lender@example.com");
+  expect(r.caseId).toBe("DEAL-7");
+  expect(r.layers.info.present).toBe(true);
+  expect(r.layers.content.pages).toEqual([2]);
+});
+
+test("reports stripped metadata when only page content survives", async () => {
+  const r = await identifyPdf(await makeFingerprinted({ keywords: false }));
+  expect(r.layers.info.present).toBe(false);
+  expect(r.layers.xmp.present).toBe(false);
+  expect(r.layers.content.present).toBe(true);
+  expect(r.recipient).toBe("lender@example.com");
+});
+
+test("extracts hex and literal string operands", () => {
+  expect(extractContentStrings("<< /A 1 >> BT <5249443A> Tj (a\\(b\\)) Tj ET")).toEqual(["RID:", "a(b)"]);
+  expect(extractContentStrings("[<52> 0.5 <4944> -12 (:1)] TJ (x) Tj")).toEqual(["RID:1", "x"]);
+});
+
+test("reads text and glyph marks from watermark Form XObjects", async () => {
+  const doc = await PDFDocument.create();
+  doc.addPage([300, 300]); doc.addPage([300, 300]);
+  await applyWatermarks(doc, {
+    embedAs: "text", textWM: "Copy for {recipient} {rid}", opacity: 0.2, scale: 0.5, angle: 45, position: "tiled", margin: 24, gap: 150,
+    embedFingerprint: true, tinyForensicText: false, dotPattern: false, pageRules: [],
+  }, { logo: null, fpStr: "RID:0123456789abcdef", recipient: "lender@example.com", issueDate: "2025-01-01" });
+  const r = await identifyPdf(await doc.save());
+  expect(r.layers.content).toMatchObject({ present: true, pages: [1, 2] });
+  expect(r.layers.mark).toMatchObject({ present: true, pages: [1, 2] });
+  expect(r.rids).toEqual(["0123456789abcdef"]);
+});
@@ -0,0 +1,149 @@
+import { toCSV, parseCSVObjects } from "./csv";
+
+/**
+ * DISTRIBUTION LEDGER
+ * -----------------------------------------------------------
+ * Every fingerprinted file gets a record in IndexedDB so an RID can be
+ * resolved back to who received which copy. Export/import as JSON or CSV
+ * lets a team merge their ledgers into one. Open events collected at a
+ * viewer's tracking URL can be imported too: `consentAt` then records when the
+ * reader first acknowledged the access-log notice.
+ */
+
+const DB_NAME = "aquamark-ledger";
+const STORE = "issues";
+
+export const LEDGER_COLUMNS = ["issuedAt", "rid", "recipient", "caseId", "fileName", "openPassword", "consentAt", "inputSha256", "outputSha256", "settings"];
+
+function openDB() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") { reject(new Error("IndexedDB not available")); return; }
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(STORE, { keyPath: "rid" });
+      store.createIndex("issuedAt", "issuedAt");
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function withStore(mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const result = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => { db.close(); resolve(result && "result" in result ? result.result : undefined); };
+    tx.onerror = () => { db.close(); reject(tx.error); };
+    tx.onabort = () => { db.close(); reject(tx.error); };
+  });
+}
+
+export async function addLedgerRecord(rec) {
+  await withStore("readwrite", s => s.put(normalizeRecord(rec)));
+}
+
+export async function getLedgerRecord(rid) {
+  return (await withStore("readonly", s => s.get(rid))) || null;
+}
+
+// Newest first
+export async function listLedger() {
+  const all = (await withStore("readonly", s => s.getAll())) || [];
+  return all.sort((a, b) => String(b.issuedAt).localeCompare(String(a.issuedAt)));
+}
+
+export async function clearLedger() {
+  await withStore("readwrite", s => s.clear());
+}
+
+// Merges by RID; returns the number of records written
+export async function importLedgerRecords(records) {
+  const valid = records.map(normalizeRecord).filter(r => /^[0-9a-f]{16}$/.test(r.rid));
+  await withStore("readwrite", s => { valid.forEach(r => s.put(r)); });
+  return valid.length;
+}
+
+// Records the acknowledgements in `events` (parseOpenEvents); returns the number of records updated
+export async function importOpenEvents(events) {
+  const changed = consentUpdates(await listLedger(), events);
+  if (changed.length) await withStore("readwrite", s => { changed.forEach(r => s.put(r)); });
+  return changed.length;
+}
+
+// The records that get an earlier `consentAt` from an acknowledged open event for their RID
+export function consentUpdates(records, events) {
+  const first = new Map();
+  for (const e of events) {
+    const rid = String(e?.rid || "").replace(/^RID:/, "").trim();
+    const at = e?.event === "open" && e.consent?.given ? e.consent.at : null;
+    if (!rid || !at || Number.isNaN(Date.parse(at))) continue;
+    if (!first.has(rid) || Date.parse(at) < Date.parse(first.get(rid))) first.set(rid, at);
+  }
+  return records
+    .filter(r => first.has(r.rid) && (!r.consentAt || Date.parse(first.get(r.rid)) < Date.parse(r.consentAt)))
+    .map(r => ({ ...r, consentAt: first.get(r.rid) }));
+}
+
+// What a tracking endpoint stored: a JSON array, { events: [...] }, or one JSON event per line
+export function parseOpenEvents(text) {
+  const t = String(text || "").trim();
+  try {
+    const data = JSON.parse(t);
+    return Array.isArray(data) ? data : Array.isArray(data.events) ? data.events : [data];
+  } catch { /* not one JSON document: JSON lines */ }
+  return t.split(/\r?\n/).filter(line => line.trim()).map((line, i) => {
+    try { return JSON.parse(line); } catch { throw new Error(`Line ${i + 1} is not a JSON event`); }
+  });
+}
+
+function normalizeRecord(r) {
+  let settings = r.settings ?? {};
+  if (typeof settings === "string") { try { settings = settings ? JSON.parse(settings) : {}; } catch { settings = { raw: settings }; } }
+  return {
+    rid: String(r.rid || "").replace(/^RID:/, "").trim(),
+    recipient: r.recipient || "",
+    caseId: r.caseId || "",
+    fileName: r.fileName || "",
+    openPassword: r.openPassword || "",
+    consentAt: r.consentAt || "",
+    inputSha256: r.inputSha256 || "",
+    outputSha256: r.outputSha256 || "",
+    settings,
+    issuedAt: r.issuedAt || new Date().toISOString(),
+  };
+}
+
+export function ledgerToJSON(records) {
+  return JSON.stringify({ format: "aquamark-ledger", version: 1, records }, null, 2);
+}
+
+// Spreadsheets run a cell starting with = + - @ (or tab / CR) as a formula: the CSV
+// export prefixes those with ' and the import takes it off again
+const FORMULA_START = /^[=+\-@\t\r]/;
+const TEXT_COLUMNS = ["recipient", "caseId", "fileName", "openPassword"];
+
+export function ledgerToCSV(records) {
+  const safe = (v) => (typeof v === "string" && FORMULA_START.test(v) ? `'${v}` : v);
+  return toCSV(records.map(r => ({
+    ...r, ...Object.fromEntries(TEXT_COLUMNS.map(c => [c, safe(r[c])])), settings: JSON.stringify(r.settings || {}),
+  })), LEDGER_COLUMNS);
+}
+
+// Accepts either export format; detects by content
+export function parseLedgerFile(text) {
+  const t = String(text || "").trim();
+  if (t.startsWith("{") || t.startsWith("[")) {
+    const data = JSON.parse(t);
+    return Array.isArray(data) ? data : (data.records || []);
+  }
+  const unsafe = (v) => (/^'[=+\-@\t\r]/.test(v) ? v.slice(1) : v);
+  return parseCSVObjects(t).map(r => ({ ...r, ...Object.fromEntries(TEXT_COLUMNS.filter(c => c in r).map(c => [c, unsafe(r[c])])) }));
+}
+
+export function matchesLedgerQuery(r, q) {
+  if (!q) return true;
+  const needle = q.trim().toLowerCase();
+  return [r.rid, r.recipient, r.caseId, r.fileName, r.inputSha256, r.outputSha256]
+    .some(v => String(v || "").toLowerCase().includes(needle));
+}
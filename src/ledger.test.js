@@ -0,0 +1,96 @@
+import { IDBFactory } from "fake-indexeddb";
+import { ledgerToCSV, ledgerToJSON, parseLedgerFile, matchesLedgerQuery, parseOpenEvents, consentUpdates,
+  addLedgerRecord, getLedgerRecord, listLedger, clearLedger, importLedgerRecords, importOpenEvents } from "./ledger";
+
+const rec = {
+  rid: "0123456789abcdef", recipient: "Lender, Inc. \"East\"", caseId: "DEAL-7", fileName: "stmt.pdf",
+  inputSha256: "aa", outputSha256: "bb", settings: { position: "diagonal" }, issuedAt: "2025-01-02T03:04:05.000Z",
+};
+
+test("CSV export round-trips through import parsing", () => {
+  const [back] = parseLedgerFile(ledgerToCSV([rec]));
+  expect(back.recipient).toBe(rec.recipient);
+  expect(JSON.parse(back.settings)).toEqual(rec.settings);
+});
+
+test("CSV export defuses spreadsheet formulas and import restores the text", () => {
+  const risky = { ...rec, recipient: "=HYPERLINK(\"http://x\")", caseId: "+1", fileName: "@memo.pdf", openPassword: "-pw" };
+  const csv = ledgerToCSV([risky]);
+  const [, row] = csv.split("\r\n");
+  expect(row).toContain(`"'=HYPERLINK(""http://x"")"`);
+  expect(row).toContain(",'+1,'@memo.pdf,'-pw,");
+  const [back] = parseLedgerFile(csv);
+  expect([back.recipient, back.caseId, back.fileName, back.openPassword]).toEqual([risky.recipient, "+1", "@memo.pdf", "-pw"]);
+});
+
+test("JSON export round-trips through import parsing", () => {
+  expect(parseLedgerFile(ledgerToJSON([rec]))).toEqual([rec]);
+});
+
+test("search matches RID, recipient and hashes case-insensitively", () => {
+  expect(matchesLedgerQuery(rec, "LENDER")).toBe(true);
+  expect(matchesLedgerQuery(rec, "89abc")).toBe(true);
+  expect(matchesLedgerQuery(rec, "nope")).toBe(false);
+});
+
+test("open events parse from a JSON array, { events } or JSON lines", () => {
+  const ev = { event: "open", rid: "0123456789abcdef", consent: { given: true, at: "2025-02-01T09:00:00.000Z" } };
+  expect(parseOpenEvents(JSON.stringify([ev]))).toEqual([ev]);
+  expect(parseOpenEvents(JSON.stringify({ events: [ev] }, null, 2))).toEqual([ev]);
+  expect(parseOpenEvents(`${JSON.stringify(ev)}\n\n${JSON.stringify({ ...ev, consent: null })}\n`)).toEqual([ev, { ...ev, consent: null }]);
+  expect(() => parseOpenEvents(`${JSON.stringify(ev)}\nnot json`)).toThrow(/Line 2/);
+});
+
+test("consent is recorded from the first acknowledged open per RID", () => {
+  const other = { ...rec, rid: "fedcba9876543210" };
+  const events = [
+    { event: "open", rid: rec.rid, consent: { given: true, at: "2025-02-03T09:00:00.000Z" } },
+    { event: "open", rid: `RID:${rec.rid}`, consent: { given: true, at: "2025-02-01T09:00:00.000Z" } },
+    { event: "open", rid: other.rid, consent: null }, // no notice: nothing to record
+    { event: "open", rid: "aaaaaaaaaaaaaaaa", consent: { given: true, at: "2025-02-01T09:00:00.000Z" } }, // not in this ledger
+  ];
+  expect(consentUpdates([rec, other], events)).toEqual([{ ...rec, consentAt: "2025-02-01T09:00:00.000Z" }]);
+  // Already earlier: unchanged
+  expect(consentUpdates([{ ...rec, consentAt: "2025-01-31T00:00:00.000Z" }], events)).toEqual([]);
+});
+
+describe("IndexedDB store", () => {
+  beforeEach(() => { global.indexedDB = new IDBFactory(); }); // a fresh, empty database per test
+  afterAll(() => { delete global.indexedDB; });
+
+  const older = { ...rec, rid: "fedcba9876543210", issuedAt: "2024-12-31T00:00:00.000Z" };
+
+  test("adds, reads back and lists newest first", async () => {
+    await addLedgerRecord(older);
+    await addLedgerRecord({ ...rec, rid: `RID:${rec.rid}` });
+    expect(await getLedgerRecord(rec.rid)).toEqual({ ...rec, openPassword: "", consentAt: "" });
+    expect(await getLedgerRecord("0000000000000000")).toBeNull();
+    expect((await listLedger()).map(r => r.rid)).toEqual([rec.rid, older.rid]);
+  });
+
+  test("import merges by RID and skips rows without a valid one", async () => {
+    await addLedgerRecord(rec);
+    expect(await importLedgerRecords([{ ...rec, recipient: "Updated" }, older, { ...rec, rid: "nope" }])).toBe(2);
+    const all = await listLedger();
+    expect(all.map(r => [r.rid, r.recipient])).toEqual([[rec.rid, "Updated"], [older.rid, older.recipient]]);
+  });
+
+  test("open events set consentAt on their records only", async () => {
+    await importLedgerRecords([rec, older]);
+    const n = await importOpenEvents([{ event: "open", rid: rec.rid, consent: { given: true, at: "2025-02-01T09:00:00.000Z" } }]);
+    expect(n).toBe(1);
+    expect((await getLedgerRecord(rec.rid)).consentAt).toBe("2025-02-01T09:00:00.000Z");
+    expect((await getLedgerRecord(older.rid)).consentAt).toBe("");
+  });
+
+  test("clear empties the store", async () => {
+    await importLedgerRecords([rec, older]);
+    await clearLedger();
+    expect(await listLedger()).toEqual([]);
+  });
+
+  test("fails cleanly where IndexedDB is missing", async () => {
+    delete global.indexedDB;
+    await expect(listLedger()).rejects.toThrow(/IndexedDB not available/);
+  });
+});
@@ -0,0 +1,149 @@
+import { PDFArray, PDFDict, PDFName, PDFRawStream, PDFStream, decodePDFRawStream, utf8Encode } from "@cantoo/pdf-lib";
+import { loadSourcePdf } from "./pdfSecurity";
+import { SIGN_ALGORITHM, SIGN_PARAMS, keyIdOf } from "./signingKey";
+import { sha256Hex, uint8ToBase64, base64ToBytes } from "./utils";
+
+/**
+ * SIGNED MANIFEST – tamper evidence for issued copies
+ * -----------------------------------------------------------
+ * `processOne` attaches `aquamark-manifest.json` to every fingerprinted
+ * output: RID, recipient, settings and a SHA-256 per page, signed with this
+ * device's ECDSA key (signingKey.js). `verifyPdf` checks the signature and
+ * re-hashes the pages to report which ones changed since issue.
+ *
+ * A page hash covers its decoded content streams and the XObjects it draws
+ * (images, forms), so edits to text, watermark or images all show up, while
+ * re-compression, re-encryption and metadata edits do not.
+ */
+
+export const MANIFEST_NAME = "aquamark-manifest.json";
+const FORMAT = "aquamark-manifest";
+
+function streamBytes(stream) {
+  if (stream instanceof PDFRawStream) {
+    try { return decodePDFRawStream(stream).decode(); } catch { return stream.getContents(); } // e.g. DCT images
+  }
+  return stream.getUnencodedContents ? stream.getUnencodedContents() : stream.getContents();
+}
+
+// Content streams first, then XObjects by resource name (recursing into forms)
+function collectPageBytes(ctx, contents, resources, out, seen) {
+  const streams = contents instanceof PDFArray ? contents.asArray().map(r => ctx.lookup(r)) : [contents];
+  for (const s of streams) if (s instanceof PDFStream) out.push(streamBytes(s));
+  const xobjects = resources && ctx.lookupMaybe(resources.get(PDFName.of("XObject")), PDFDict);
+  if (!xobjects) return;
+  for (const [name, ref] of [...xobjects.entries()].sort((a, b) => a[0].asString().localeCompare(b[0].asString()))) {
+    const xo = ctx.lookup(ref);
+    if (!(xo instanceof PDFStream) || seen.has(xo)) continue;
+    seen.add(xo);
+    out.push(utf8Encode(name.asString(), false));
+    if (xo.dict.get(PDFName.of("Subtype")) === PDFName.of("Form")) {
+      collectPageBytes(ctx, xo, ctx.lookupMaybe(xo.dict.get(PDFName.of("Resources")), PDFDict), out, seen);
+    } else {
+      out.push(streamBytes(xo));
+    }
+  }
+}
+
+/** SHA-256 (hex) per page, in page order. Call after `pdfDoc.flush()` for freshly drawn pages. */
+export async function pageHashes(pdfDoc) {
+  const ctx = pdfDoc.context;
+  const hashes = [];
+  for (const page of pdfDoc.getPages()) {
+    const parts = [];
+    collectPageBytes(ctx, page.node.Contents(), page.node.Resources(), parts, new Set());
+    const all = new Uint8Array(parts.reduce((n, p) => n + p.length + 1, 0));
+    let o = 0;
+    for (const p of parts) { all.set(p, o); o += p.length + 1; } // 0 separators
+    // eslint-disable-next-line no-await-in-loop
+    hashes.push(await sha256Hex(all));
+  }
+  return hashes;
+}
+
+/**
+ * Hashes the pages as they are now and attaches the signed manifest.
+ * `key` is `getSigningKey()`'s result. Returns the manifest.
+ */
+export async function attachSignedManifest(pdfDoc, { rid, recipient, caseId, issuer, issuedAt, fileName, settings }, key) {
+  await pdfDoc.flush(); // lazily embedded images/fonts must exist before hashing
+  const pages = (await pageHashes(pdfDoc)).map((sha256, i) => ({ page: i + 1, sha256 }));
+  const manifest = {
+    rid, recipient: recipient || "", caseId: caseId || "", issuer: issuer || "", issuedAt, fileName,
+    settings: settings || {}, pageCount: pages.length, pages, keyId: key.keyId,
+  };
+  const json = JSON.stringify(manifest);
+  const sig = await crypto.subtle.sign(SIGN_PARAMS, key.privateKey, utf8Encode(json, false));
+  const body = { format: FORMAT, version: 1, manifest, publicKey: key.publicJwk, signature: uint8ToBase64(new Uint8Array(sig)) };
+  await pdfDoc.attach(utf8Encode(JSON.stringify(body, null, 2), false), MANIFEST_NAME, {
+    mimeType: "application/json",
+    description: "Signed watermark manifest",
+    creationDate: new Date(issuedAt),
+    modificationDate: new Date(issuedAt),
+  });
+  return manifest;
+}
+
+// Walks the /EmbeddedFiles name tree for our attachment
+function findAttachment(pdfDoc, wanted) {
+  const ctx = pdfDoc.context;
+  const names = pdfDoc.catalog.lookupMaybe(PDFName.of("Names"), PDFDict);
+  const tree = names && names.lookupMaybe(PDFName.of("EmbeddedFiles"), PDFDict);
+  const walk = (node) => {
+    const arr = node.lookupMaybe(PDFName.of("Names"), PDFArray);
+    for (let i = 0; arr && i + 1 < arr.size(); i += 2) {
+      const spec = ctx.lookupMaybe(arr.get(i + 1), PDFDict);
+      const fileName = spec && (spec.lookup(PDFName.of("UF")) || spec.lookup(PDFName.of("F")));
+      if (fileName?.decodeText?.() !== wanted) continue;
+      const ef = spec.lookupMaybe(PDFName.of("EF"), PDFDict);
+      const stream = ef && ctx.lookup(ef.get(PDFName.of("F")));
+      if (stream instanceof PDFStream) return streamBytes(stream);
+    }
+    const kids = node.lookupMaybe(PDFName.of("Kids"), PDFArray);
+    for (let i = 0; kids && i < kids.size(); i++) {
+      const hit = walk(ctx.lookup(kids.get(i), PDFDict));
+      if (hit) return hit;
+    }
+    return null;
+  };
+  return tree ? walk(tree) : null;
+}
+
+/**
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @param {{ password?: string, trustedKeyId?: string }} [opts] `trustedKeyId`: this device's key
+ * @returns {Promise<{ present: boolean, signatureValid?: boolean, trusted?: boolean|null, keyId?: string,
+ *   manifest?: Object, modified?: number[], missing?: number[], added?: number[] }>}
+ * @throws {PasswordRequiredError} from `loadSourcePdf`
+ */
+export async function verifyPdf(bytes, { password, trustedKeyId } = {}) {
+  const { pdfDoc } = await loadSourcePdf(bytes, { password });
+  const raw = findAttachment(pdfDoc, MANIFEST_NAME);
+  if (!raw) return { present: false };
+
+  let body;
+  try { body = JSON.parse(new TextDecoder().decode(raw)); } catch { return { present: true, signatureValid: false, error: "manifest is not valid JSON" }; }
+  if (body?.format !== FORMAT || !body.manifest || !body.publicKey || !body.signature) {
+    return { present: true, signatureValid: false, error: "unrecognised manifest" };
+  }
+  const { manifest } = body;
+  let signatureValid = false;
+  try {
+    const pub = await crypto.subtle.importKey("jwk", body.publicKey, SIGN_ALGORITHM, false, ["verify"]);
+    signatureValid = await crypto.subtle.verify(SIGN_PARAMS, pub, base64ToBytes(body.signature), utf8Encode(JSON.stringify(manifest), false));
+  } catch { signatureValid = false; }
+  // The key id inside the signed manifest must be the key that signed it
+  const keyId = await keyIdOf(body.publicKey);
+  if (manifest.keyId !== keyId) signatureValid = false;
+
+  const now = await pageHashes(pdfDoc);
+  const issued = Array.isArray(manifest.pages) ? manifest.pages : [];
+  const modified = issued.filter(p => now[p.page - 1] !== undefined && now[p.page - 1] !== p.sha256).map(p => p.page);
+  const missing = issued.filter(p => now[p.page - 1] === undefined).map(p => p.page);
+  const added = now.map((_, i) => i + 1).filter(n => n > issued.length);
+
+  return {
+    present: true, signatureValid, keyId, manifest, modified, missing, added,
+    trusted: trustedKeyId ? keyId === trustedKeyId : null,
+  };
+}
@@ -0,0 +1,63 @@
+import { PDFDocument, StandardFonts } from "@cantoo/pdf-lib";
+import { attachSignedManifest, verifyPdf } from "./manifest";
+import { generateSigningKey } from "./signingKey";
+import { protectPdf } from "./pdfSecurity";
+
+const FP = { rid: "0123456789abcdef", recipient: "lender@example.com", caseId: "DEAL-7", issuer: "", issuedAt: "2024-05-01T10:00:00.000Z", fileName: "memo.pdf", settings: { position: "diagonal" } };
+
+async function issued(key, { encrypt = false } = {}) {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  for (let i = 0; i < 3; i++) doc.addPage([200, 200]).drawText(`Page ${i + 1} CONFIDENTIAL`, { x: 10, y: 100, size: 12, font });
+  await attachSignedManifest(doc, FP, key);
+  if (encrypt) protectPdf(doc, { userPassword: "open", noPrint: true });
+  return doc.save({ useObjectStreams: encrypt });
+}
+
+test("a fresh copy verifies with no modified pages", async () => {
+  const key = await generateSigningKey();
+  const r = await verifyPdf(await issued(key), { trustedKeyId: key.keyId });
+  expect(r).toMatchObject({ present: true, signatureValid: true, trusted: true, modified: [], missing: [], added: [] });
+  expect(r.manifest.rid).toBe(FP.rid);
+  expect(r.manifest.pages).toHaveLength(3);
+});
+
+test("reports edited, removed and added pages", async () => {
+  const key = await generateSigningKey();
+  const doc = await PDFDocument.load(await issued(key));
+  doc.getPage(1).drawRectangle({ x: 0, y: 90, width: 200, height: 30 }); // cover the watermark
+  const r1 = await verifyPdf(await doc.save());
+  expect(r1.signatureValid).toBe(true);
+  expect(r1.modified).toEqual([2]);
+  expect(r1.trusted).toBeNull();
+
+  doc.removePage(2);
+  const r2 = await verifyPdf(await doc.save());
+  expect(r2.missing).toEqual([3]);
+
+  doc.addPage(); doc.addPage();
+  const r3 = await verifyPdf(await doc.save());
+  expect(r3.modified).toEqual([2, 3]);
+  expect(r3.added).toEqual([4]);
+});
+
+test("a manifest signed by another key is not trusted", async () => {
+  const [ours, theirs] = [await generateSigningKey(), await generateSigningKey()];
+  const r = await verifyPdf(await issued(theirs), { trustedKeyId: ours.keyId });
+  expect(r.signatureValid).toBe(true);
+  expect(r.trusted).toBe(false);
+});
+
+test("survives encryption and catches a rewritten manifest", async () => {
+  const key = await generateSigningKey();
+  const r = await verifyPdf(await issued(key, { encrypt: true }), { password: "open" });
+  expect(r.signatureValid).toBe(true);
+  expect(r.modified).toEqual([]);
+
+  const doc = await PDFDocument.create();
+  doc.addPage([200, 200]);
+  const body = { format: "aquamark-manifest", version: 1, manifest: { ...r.manifest, recipient: "someone-else" }, publicKey: key.publicJwk, signature: "AAAA" };
+  await doc.attach(new TextEncoder().encode(JSON.stringify(body)), "aquamark-manifest.json");
+  expect((await verifyPdf(await doc.save())).signatureValid).toBe(false);
+  expect(await verifyPdf(await (await PDFDocument.create()).save())).toEqual({ present: false });
+});
@@ -0,0 +1,136 @@
+import { PDFDict, PDFHexString, PDFName, PDFString, utf8Encode } from "@cantoo/pdf-lib";
+import { sha256Hex } from "./utils";
+import { fillTemplate } from "./template";
+
+/**
+ * FINGERPRINT METADATA
+ * -----------------------------------------------------------
+ * Written by `processOne` when a fingerprint is embedded:
+ * - Info dictionary: Keywords (as before) + custom AquaMark* keys
+ * - XMP packet on the catalog with our own namespace; XMP survives more
+ *   editors than Info does. Any XMP the source had is replaced.
+ * The source's Title/Author/Creator are kept unless the profile's `docInfo`
+ * says to override them ({recipient}, {caseId}, … placeholders allowed).
+ */
+
+export const TOOL_NAME = "AquaMark Rival";
+export const TOOL_VERSION = "0.1.0"; // package.json's version; metadata.test.js fails when they differ
+export const XMP_NS = "http://ns.aquamark.app/fingerprint/1.0/";
+
+// field -> [Info key, XMP property]
+const FIELDS = {
+  rid: ["AquaMarkRID", "RID"],
+  recipientHash: ["AquaMarkRecipientHash", "RecipientHash"],
+  caseId: ["AquaMarkCaseID", "CaseID"],
+  issuer: ["AquaMarkIssuer", "Issuer"],
+  issuedAt: ["AquaMarkIssuedAt", "IssuedAt"],
+  toolVersion: ["AquaMarkVersion", "ToolVersion"],
+};
+
+// Lower-cased and trimmed so "Bob@X.com " and "bob@x.com" hash the same
+export const recipientHash = (recipient) => sha256Hex(String(recipient || "").trim().toLowerCase());
+
+const esc = (s) => String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+const unesc = (s) => s.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, "\"").replace(/&amp;/g, "&");
+
+/** `fp`: { rid, recipientHash, caseId, issuer, issuedAt, toolVersion }; `doc`: the Info values to mirror */
+export function buildXmpPacket(fp, { title, author, subject, keywords, creator, producer, createDate, modifyDate }) {
+  const prop = (tag, v, inner = esc(v)) => (v ? `   <${tag}>${inner}</${tag}>` : null);
+  const alt = (v) => `<rdf:Alt><rdf:li xml:lang="x-default">${esc(v)}</rdf:li></rdf:Alt>`;
+  const props = [
+    prop("dc:title", title, alt(title)),
+    prop("dc:creator", author, `<rdf:Seq><rdf:li>${esc(author)}</rdf:li></rdf:Seq>`),
+    prop("dc:description", subject, alt(subject)),
+    prop("pdf:Keywords", keywords),
+    prop("pdf:Producer", producer),
+    prop("xmp:CreatorTool", creator),
+    prop("xmp:CreateDate", createDate),
+    prop("xmp:ModifyDate", modifyDate),
+    prop("xmp:MetadataDate", modifyDate),
+    ...Object.entries(FIELDS).map(([k, [, name]]) => prop(`aqm:${name}`, fp[k])),
+  ].filter(Boolean);
+  return `<?xpacket begin="${"\uFEFF"}" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about=""
+    xmlns:dc="http://purl.org/dc/elements/1.1/"
+    xmlns:pdf="http://ns.adobe.com/pdf/1.3/"
+    xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+    xmlns:aqm="${XMP_NS}">
+${props.join("\n")}
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>
+${" ".repeat(2000)}
+<?xpacket end="w"?>`;
+}
+
+/** Our namespace's fields from an XMP packet, or null when it has none */
+export function parseXmpFingerprint(xml) {
+  const text = String(xml || "");
+  if (!text.includes(XMP_NS)) return null;
+  const out = {};
+  for (const [k, [, name]] of Object.entries(FIELDS)) {
+    const m = text.match(new RegExp(`<aqm:${name}>([^<]*)</aqm:${name}>`)) || text.match(new RegExp(`aqm:${name}="([^"]*)"`));
+    if (m) out[k] = unesc(m[1]);
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+function infoDict(pdfDoc) {
+  const ref = pdfDoc.context.trailerInfo.Info;
+  return ref ? pdfDoc.context.lookupMaybe(ref, PDFDict) : undefined;
+}
+
+/** Custom AquaMark* Info keys, or null when none are present */
+export function readInfoFingerprint(pdfDoc) {
+  const info = infoDict(pdfDoc);
+  if (!info) return null;
+  const out = {};
+  for (const [k, [key]] of Object.entries(FIELDS)) {
+    const v = info.lookup(PDFName.of(key));
+    if (v instanceof PDFString || v instanceof PDFHexString) out[k] = v.decodeText();
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+/**
+ * @param {{ rid: string, recipient: string, caseId: string, issuer: string, issuedAt: string,
+ *           fileName: string, docInfo?: { override, title, author, creator } }} fp
+ */
+export async function writeFingerprintMetadata(pdfDoc, { rid, recipient, caseId, issuer, issuedAt, fileName, docInfo }) {
+  const vars = { recipient, caseId, rid: `RID:${rid}`, date: issuedAt.slice(0, 10) };
+  const override = (field) => (docInfo?.override && docInfo[field] ? fillTemplate(docInfo[field], vars) : null);
+  const title = override("title") ?? (pdfDoc.getTitle() || fileName.replace(/\.pdf$/i, ""));
+  const author = override("author") ?? (pdfDoc.getAuthor() || "");
+  const creator = override("creator") ?? (pdfDoc.getCreator() || "");
+  const subject = pdfDoc.getSubject() || "Confidential – Watermarked";
+  const producer = `${TOOL_NAME} ${TOOL_VERSION}`;
+  const created = pdfDoc.getCreationDate() || new Date(issuedAt);
+  const modified = new Date(issuedAt);
+
+  pdfDoc.setTitle(title);
+  if (author) pdfDoc.setAuthor(author);
+  if (creator) pdfDoc.setCreator(creator);
+  pdfDoc.setSubject(subject);
+  pdfDoc.setKeywords(["watermarked", `RID:${rid}`, recipient || "", caseId || ""]);
+  pdfDoc.setProducer(producer);
+  pdfDoc.setCreationDate(created);
+  pdfDoc.setModificationDate(modified);
+
+  const fp = { rid, recipientHash: await recipientHash(recipient), caseId: caseId || "", issuer: issuer || "", issuedAt, toolVersion: TOOL_VERSION };
+  const info = infoDict(pdfDoc);
+  for (const [k, [key]] of Object.entries(FIELDS)) {
+    if (fp[k]) info.set(PDFName.of(key), PDFHexString.fromText(fp[k]));
+  }
+
+  const xmp = buildXmpPacket(fp, {
+    title, author, subject, creator, producer,
+    keywords: pdfDoc.getKeywords(),
+    createDate: created.toISOString(), modifyDate: modified.toISOString(),
+  });
+  // Uncompressed so packet scanners (and Identify on damaged files) can still find it
+  const stream = pdfDoc.context.stream(utf8Encode(xmp, false), { Type: "Metadata", Subtype: "XML" });
+  pdfDoc.catalog.set(PDFName.of("Metadata"), pdfDoc.context.register(stream));
+  return fp;
+}
@@ -0,0 +1,68 @@
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { PDFDocument } from "@cantoo/pdf-lib";
+import { buildXmpPacket, parseXmpFingerprint, recipientHash, writeFingerprintMetadata, TOOL_VERSION } from "./metadata";
+import { identifyPdf } from "./identify";
+
+const FP = {
+  rid: "0123456789abcdef", recipient: "Lender@Example.com ", caseId: "DEAL-7",
+  issuer: "Acme & Sons", issuedAt: "2024-05-01T10:00:00.000Z", fileName: "memo.pdf",
+};
+
+test("TOOL_VERSION is the package version", () => {
+  expect(TOOL_VERSION).toBe(JSON.parse(readFileSync(path.join(__dirname, "..", "package.json"), "utf8")).version);
+});
+
+async function source() {
+  const doc = await PDFDocument.create();
+  doc.addPage([200, 200]);
+  doc.setTitle("Quarterly memo");
+  doc.setAuthor("Original Author");
+  doc.setCreator("Word");
+  return doc;
+}
+
+test("XMP packet round-trips the fingerprint fields", () => {
+  const xml = buildXmpPacket({ rid: "ab", caseId: "<x>", issuer: "A & B" }, { title: "T" });
+  expect(parseXmpFingerprint(xml)).toEqual({ rid: "ab", caseId: "<x>", issuer: "A & B" });
+  expect(parseXmpFingerprint("<x:xmpmeta/>")).toBeNull();
+});
+
+test("recipient hash ignores case and surrounding whitespace", async () => {
+  expect(await recipientHash(" Bob@X.com")).toBe(await recipientHash("bob@x.com"));
+});
+
+test("keeps the source Title/Author/Creator and adds Info keys + XMP", async () => {
+  const doc = await source();
+  const fp = await writeFingerprintMetadata(doc, FP);
+  expect(fp.recipientHash).toBe(await recipientHash("lender@example.com"));
+  expect(doc.getTitle()).toBe("Quarterly memo");
+  expect(doc.getAuthor()).toBe("Original Author");
+  expect(doc.getCreator()).toBe("Word");
+  expect(doc.getProducer()).toContain(TOOL_VERSION);
+
+  const r = await identifyPdf(await doc.save({ useObjectStreams: false }));
+  expect(r.rids).toEqual(["0123456789abcdef"]);
+  expect(r.layers.xmp.present).toBe(true);
+  expect(r.issuer).toBe("Acme & Sons");
+  expect(r.issuedAt).toBe(FP.issuedAt);
+  expect(r.recipientHash).toBe(fp.recipientHash);
+});
+
+test("overrides document info from templates when asked", async () => {
+  const doc = await source();
+  await writeFingerprintMetadata(doc, { ...FP, docInfo: { override: true, title: "For {recipient}", author: "", creator: "{rid}" } });
+  expect(doc.getTitle()).toBe("For Lender@Example.com ");
+  expect(doc.getAuthor()).toBe("Original Author");
+  expect(doc.getCreator()).toBe("RID:0123456789abcdef");
+});
+
+test("custom Info keys and XMP still identify once Keywords are stripped", async () => {
+  const doc = await source();
+  await writeFingerprintMetadata(doc, FP);
+  doc.setKeywords([]);
+  const r = await identifyPdf(await doc.save({ useObjectStreams: false }));
+  expect(r.rids).toEqual(["0123456789abcdef"]);
+  expect(r.layers.info.present).toBe(true);
+  expect(r.caseId).toBe("DEAL-7");
+});
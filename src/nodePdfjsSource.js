@@ -0,0 +1,12 @@
+import { readFile } from "node:fs/promises";
+
+// pdfjsAssets.js for Node (CLI, API): the same two files, read from node_modules
+let loading;
+
+export function loadPdfjsSource() {
+  if (!loading) {
+    const text = (file) => readFile(new URL(import.meta.resolve(`pdfjs-dist/build/${file}`)), "utf8");
+    loading = Promise.all([text("pdf.min.js"), text("pdf.worker.min.js")]).then(([lib, worker]) => ({ lib, worker }));
+  }
+  return loading;
+}
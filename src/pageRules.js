@@ -0,0 +1,57 @@
+/**
+ * Per-page watermark rules. Each rule targets a page spec and either skips
+ * the visible watermark or overrides the mode/position for those pages:
+ *   { pages: "2-last", skip: false, embedAs: "image", position: "diagonal" }
+ * Page specs: "1", "3,5", "2-last", "last", "last-1", "odd", "even", "all".
+ * The first matching rule wins; unmatched pages use the global settings.
+ */
+
+function resolveNum(tok, total) {
+  const t = tok.trim().toLowerCase();
+  if (t === "last") return total;
+  const m = t.match(/^last-(\d+)$/);
+  if (m) return total - parseInt(m[1], 10);
+  return /^\d+$/.test(t) ? parseInt(t, 10) : NaN;
+}
+
+// Returns a predicate (pageNumber) => bool, or null when the spec is invalid
+export function parsePageSpec(spec, total) {
+  const parts = String(spec || "").split(",").map(s => s.trim()).filter(Boolean);
+  if (!parts.length) return null;
+  const tests = [];
+  for (const part of parts) {
+    const p = part.toLowerCase();
+    if (p === "all" || p === "*") { tests.push(() => true); continue; }
+    if (p === "odd") { tests.push(n => n % 2 === 1); continue; }
+    if (p === "even") { tests.push(n => n % 2 === 0); continue; }
+    const range = p.match(/^(.+?)\s*-\s*(last|\d+|last-\d+)$/);
+    if (range && range[1] !== "last") {
+      const a = resolveNum(range[1], total), b = resolveNum(range[2], total);
+      if (Number.isNaN(a) || Number.isNaN(b)) return null;
+      tests.push(n => n >= a && n <= b);
+      continue;
+    }
+    const single = resolveNum(p, total);
+    if (Number.isNaN(single)) return null;
+    tests.push(n => n === single);
+  }
+  return (n) => tests.some(t => t(n));
+}
+
+export function isValidPageSpec(spec) {
+  return parsePageSpec(spec, 1) !== null;
+}
+
+// Effective { skip, embedAs, position } for one page
+export function resolvePageRule(rules, pageNumber, total, defaults) {
+  for (const rule of rules || []) {
+    const matches = parsePageSpec(rule.pages, total);
+    if (!matches || !matches(pageNumber)) continue;
+    return {
+      skip: !!rule.skip,
+      embedAs: rule.embedAs || defaults.embedAs,
+      position: rule.position || defaults.position,
+    };
+  }
+  return { skip: false, embedAs: defaults.embedAs, position: defaults.position };
+}
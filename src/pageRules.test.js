@@ -0,0 +1,28 @@
+import { parsePageSpec, resolvePageRule, isValidPageSpec } from "./pageRules";
+
+const pagesMatching = (spec, total) => {
+  const test = parsePageSpec(spec, total);
+  return Array.from({ length: total }, (_, i) => i + 1).filter(test);
+};
+
+test("parses numbers, ranges, last and parity", () => {
+  expect(pagesMatching("1", 5)).toEqual([1]);
+  expect(pagesMatching("2-last", 5)).toEqual([2, 3, 4, 5]);
+  expect(pagesMatching("1, last-1", 5)).toEqual([1, 4]);
+  expect(pagesMatching("even", 5)).toEqual([2, 4]);
+  expect(isValidPageSpec("2-x")).toBe(false);
+  expect(isValidPageSpec("")).toBe(false);
+});
+
+test("first matching rule wins and unmatched pages fall back to defaults", () => {
+  const rules = [
+    { pages: "1", embedAs: "text", position: "footer" },
+    { pages: "last", skip: true },
+    { pages: "2-last", embedAs: "image", position: "diagonal" },
+  ];
+  const defaults = { embedAs: "both", position: "center" };
+  expect(resolvePageRule(rules, 1, 6, defaults)).toEqual({ skip: false, embedAs: "text", position: "footer" });
+  expect(resolvePageRule(rules, 6, 6, defaults).skip).toBe(true);
+  expect(resolvePageRule(rules, 3, 6, defaults)).toEqual({ skip: false, embedAs: "image", position: "diagonal" });
+  expect(resolvePageRule([], 3, 6, defaults)).toEqual({ skip: false, embedAs: "both", position: "center" });
+});
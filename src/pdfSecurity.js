@@ -0,0 +1,91 @@
+import { PDFDocument, PDFName, PDFRawStream, PDFInvalidObject } from "@cantoo/pdf-lib";
+
+/**
+ * Encrypted input + protected output.
+ * - `loadSourcePdf` opens plain and encrypted PDFs; owner-password-only files
+ *   open with the empty user password, anything else needs `password`.
+ * - `protectPdf` encrypts the watermarked document (AES-256) before saving,
+ *   with an optional open password and owner permission restrictions.
+ * Everything runs locally; passwords never leave the browser.
+ */
+
+export class PasswordRequiredError extends Error {
+  constructor(message, { wrongPassword = false } = {}) {
+    super(message);
+    this.name = "PasswordRequiredError";
+    this.wrongPassword = wrongPassword;
+  }
+}
+
+// The decrypting parser also runs cross-reference streams through the cipher,
+// which leaves unreadable XRef/trailer leftovers behind and can drop /Info.
+function cleanDecrypted(pdfDoc, probe) {
+  const ctx = pdfDoc.context;
+  for (const [ref, obj] of ctx.enumerateIndirectObjects()) {
+    const isXRef = obj instanceof PDFRawStream && obj.dict.lookup(PDFName.of("Type")) === PDFName.of("XRef");
+    if (isXRef || obj instanceof PDFInvalidObject) ctx.delete(ref);
+  }
+  const encRef = probe.context.trailerInfo.Encrypt;
+  if (encRef && encRef.objectNumber !== undefined) ctx.delete(encRef);
+  if (!ctx.trailerInfo.Info && probe.context.trailerInfo.Info) ctx.trailerInfo.Info = probe.context.trailerInfo.Info;
+}
+
+/**
+ * @returns {Promise<{ pdfDoc: PDFDocument, wasEncrypted: boolean }>}
+ * @throws {PasswordRequiredError} when a user password is needed (or the one given is wrong)
+ */
+export async function loadSourcePdf(bytes, { password } = {}) {
+  const probe = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+  if (!probe.isEncrypted) return { pdfDoc: probe, wasEncrypted: false };
+
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(bytes, { password: password || "", updateMetadata: false });
+  } catch (e) {
+    if (/password/i.test(e.message || "")) {
+      throw new PasswordRequiredError(password ? "Incorrect password" : "Password required", { wrongPassword: !!password });
+    }
+    throw e;
+  }
+  cleanDecrypted(pdfDoc, probe);
+  return { pdfDoc, wasEncrypted: true };
+}
+
+export function randomPassword(len = 20) {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789";
+  // Bytes from 228 (4 × 57) up are drawn again, so every symbol is equally likely
+  const limit = 256 - (256 % alphabet.length);
+  let out = "";
+  while (out.length < len) {
+    for (const b of crypto.getRandomValues(new Uint8Array(len - out.length + 8))) {
+      if (b < limit && out.length < len) out += alphabet[b % alphabet.length];
+    }
+  }
+  return out;
+}
+
+/**
+ * Encrypts in place with AES-256 (applied on save). `protection`:
+ * { enabled, userPassword, ownerPassword, perRecipient, noPrint, noCopy, noModify, noAnnotate }
+ * `perRecipient` is handled by the caller, which passes the generated password
+ * as `userPassword`. Profiles saved before `noAnnotate` existed get its default (see withDefaults).
+ * Returns the owner password actually used (random when left blank).
+ */
+export function protectPdf(pdfDoc, protection) {
+  const ownerPassword = protection.ownerPassword || randomPassword();
+  pdfDoc.encrypt({
+    algorithm: "AES-256",
+    userPassword: protection.userPassword || "",
+    ownerPassword,
+    permissions: {
+      printing: protection.noPrint ? false : "highResolution",
+      copying: !protection.noCopy,
+      modifying: !protection.noModify,
+      documentAssembly: !protection.noModify,
+      annotating: !protection.noAnnotate,
+      fillingForms: !protection.noAnnotate,
+      contentAccessibility: true,
+    },
+  });
+  return ownerPassword;
+}
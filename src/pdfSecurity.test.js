@@ -0,0 +1,54 @@
+import { PDFDocument, PDFName } from "@cantoo/pdf-lib";
+import { loadSourcePdf, protectPdf, randomPassword, PasswordRequiredError } from "./pdfSecurity";
+
+async function encrypted({ userPassword = "", useObjectStreams = true } = {}) {
+  const doc = await PDFDocument.create();
+  doc.addPage().drawText("statement", { x: 10, y: 10 });
+  doc.setTitle("March statement");
+  protectPdf(doc, { userPassword, ownerPassword: "owner", noPrint: true });
+  return doc.save({ useObjectStreams });
+}
+
+test("plain PDFs load untouched", async () => {
+  const plain = await (await PDFDocument.create()).save({ addDefaultPage: false });
+  const { pdfDoc, wasEncrypted } = await loadSourcePdf(plain);
+  expect(wasEncrypted).toBe(false);
+  expect(pdfDoc.getPageCount()).toBe(0);
+});
+
+test("owner-password-only PDFs open without asking and re-save unencrypted", async () => {
+  const { pdfDoc, wasEncrypted } = await loadSourcePdf(await encrypted());
+  expect(wasEncrypted).toBe(true);
+  expect(pdfDoc.getTitle()).toBe("March statement");
+  const again = await PDFDocument.load(await pdfDoc.save());
+  expect(again.isEncrypted).toBe(false);
+});
+
+test("user-password PDFs require the right password", async () => {
+  const bytes = await encrypted({ userPassword: "s3cret" });
+  await expect(loadSourcePdf(bytes)).rejects.toBeInstanceOf(PasswordRequiredError);
+  await expect(loadSourcePdf(bytes, { password: "nope" })).rejects.toMatchObject({ wrongPassword: true });
+  const { pdfDoc } = await loadSourcePdf(bytes, { password: "s3cret" });
+  expect(pdfDoc.getPageCount()).toBe(1);
+});
+
+test("AES-256 with only the permissions that were not restricted", async () => {
+  const doc = await PDFDocument.create();
+  doc.addPage();
+  protectPdf(doc, { noPrint: true, noCopy: false, noModify: true, noAnnotate: false });
+  const probe = await PDFDocument.load(await doc.save(), { ignoreEncryption: true });
+  const enc = probe.context.lookup(probe.context.trailerInfo.Encrypt);
+  expect(enc.lookup(PDFName.of("V")).asNumber()).toBe(5);
+  const P = enc.lookup(PDFName.of("P")).asNumber();
+  expect([P & 4, P & 8, P & 16, !!(P & 32)]).toEqual([0, 0, 16, true]); // print, modify, copy, annotate
+});
+
+test("random passwords redraw bytes that would bias the alphabet", () => {
+  const spy = jest.spyOn(crypto, "getRandomValues")
+    .mockImplementationOnce((buf) => buf.fill(228)) // 228 % 57 === 0 would be "A": rejected
+    .mockImplementationOnce((buf) => buf.fill(57 + 1));
+  expect(randomPassword(6)).toBe("BBBBBB");
+  expect(spy).toHaveBeenCalledTimes(2);
+  spy.mockRestore();
+  expect(randomPassword(32)).toMatch(/^[A-HJ-NP-Za-km-z2-9]{32}$/);
+});
@@ -0,0 +1,7 @@
+// PDF.js for in-app rendering (preview). Loaded lazily via `import("./pdfjs")`
+// so the main bundle and the test environment never pull it in.
+import * as pdfjsLib from "pdfjs-dist";
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = new URL("pdfjs-dist/build/pdf.worker.min.js", import.meta.url).toString();
+
+export default pdfjsLib;
@@ -0,0 +1,22 @@
+/* eslint-disable import/no-webpack-loader-syntax */
+// PDF.js library + worker as text, for viewers that inline them (see
+// viewerHtml.js). Loaded lazily via `import("./pdfjsAssets")` like ./pdfjs.
+// `!!file-loader` emits both files untouched (the usual pipeline would run
+// them through Babel, and Terser rewrites any .js asset, hence .txt); we
+// fetch them once per session.
+import libUrl from "!!file-loader?name=static/media/[name].[contenthash:8].txt!pdfjs-dist/build/pdf.min.js";
+import workerUrl from "!!file-loader?name=static/media/[name].[contenthash:8].txt!pdfjs-dist/build/pdf.worker.min.js";
+
+let loading;
+
+export function loadPdfjsSource() {
+  if (!loading) {
+    const text = (url) => fetch(url).then(r => {
+      if (!r.ok) throw new Error(`PDF.js not loaded for the viewer (${r.status})`);
+      return r.text();
+    });
+    loading = Promise.all([text(libUrl), text(workerUrl)])
+      .then(([lib, worker]) => ({ lib, worker }), (e) => { loading = null; throw e; });
+  }
+  return loading;
+}
@@ -0,0 +1,116 @@
+import { uint8ToBase64 } from "./utils";
+
+/**
+ * WATERMARK PROFILES
+ * -----------------------------------------------------------
+ * A profile is a named snapshot of every watermark / fingerprint / output
+ * setting plus the logo bytes, kept in localStorage and shareable as JSON:
+ *   { format, version, name, settings: {...}, logo: { name, type, base64 } | null }
+ * Passwords and passphrases are never part of a profile (see withoutSecrets):
+ * they stay in the app's state for the session.
+ */
+
+const STORE_KEY = "aquamark.profiles";
+const ACTIVE_KEY = "aquamark.activeProfile";
+const FORMAT = "aquamark-profile";
+
+/** Every profile setting with the value a fresh app starts with; the CLI fills gaps in a profile from here */
+export const DEFAULT_SETTINGS = {
+  embedAs: "image", textWM: "", opacity: 0.22, scale: 0.5, angle: 45, position: "diagonal", margin: 24, gap: 180, pageRules: [],
+  qr: { enabled: false, template: "https://verify.example.com/{rid}", position: "bottomRight", size: 72, opacity: 0.9 },
+  embedFingerprint: true, tinyForensicText: true, dotPattern: false, signManifest: true, issuer: "",
+  docInfo: { override: false, title: "", author: "", creator: "" },
+  outputMode: "download", viewerTitle: "Confidential Document Viewer", trackingURL: "", viewerPdfjs: "inline",
+  viewerOverlay: { enabled: true, text: "{recipient} · {rid} · opened {opened}", opacity: 0.18 },
+  viewerLock: { enabled: false, passphrase: "", expires: "", message: "" },
+  viewerNotice: { enabled: true, privacyURL: "",
+    recorded: "When you open it, we record the date and time, your IP address, browser, language, time zone and screen size, together with the recipient and deal this copy was issued for." },
+  protection: { enabled: false, userPassword: "", ownerPassword: "", perRecipient: false, noPrint: true, noCopy: true, noModify: true, noAnnotate: true },
+};
+
+// Settings that are objects; a profile saved before one of their fields existed gets that field's default
+const NESTED = ["qr", "docInfo", "viewerOverlay", "viewerLock", "viewerNotice", "protection"];
+
+// A stored profile's settings over the defaults, nested objects one level deep
+export function withDefaults(settings = {}) {
+  const out = { ...DEFAULT_SETTINGS, ...settings };
+  for (const k of NESTED) out[k] = { ...DEFAULT_SETTINGS[k], ...settings?.[k] };
+  return out;
+}
+
+// Settings minus the open/owner passwords and the viewer passphrase; `enabled`, `perRecipient` etc. stay
+export function withoutSecrets(settings) {
+  if (!settings) return settings;
+  const out = { ...settings };
+  if (out.protection) { const { userPassword, ownerPassword, ...rest } = out.protection; out.protection = rest; }
+  if (out.viewerLock) { const { passphrase, ...rest } = out.viewerLock; out.viewerLock = rest; }
+  return out;
+}
+const stripped = (p) => ({ ...p, settings: withoutSecrets(p.settings) });
+
+function storage() {
+  try { return typeof localStorage === "undefined" ? null : localStorage; } catch { return null; }
+}
+
+export function loadProfiles() {
+  try { return JSON.parse(storage()?.getItem(STORE_KEY) || "[]").map(stripped); } catch { return []; }
+}
+
+function writeProfiles(list) {
+  const ls = storage();
+  if (!ls) throw new Error("Local storage not available");
+  try { ls.setItem(STORE_KEY, JSON.stringify(list)); }
+  catch (e) { throw new Error(`Could not save profiles (${e.name === "QuotaExceededError" ? "storage full – try a smaller logo" : e.message})`); }
+}
+
+// Replaces a profile with the same name; returns the new list
+export function saveProfile(profile) {
+  const list = loadProfiles().filter(p => p.name !== profile.name);
+  list.push(stripped(profile));
+  list.sort((a, b) => a.name.localeCompare(b.name));
+  writeProfiles(list);
+  return list;
+}
+
+export function deleteProfile(name) {
+  const list = loadProfiles().filter(p => p.name !== name);
+  writeProfiles(list);
+  if (getActiveProfileName() === name) setActiveProfileName("");
+  return list;
+}
+
+export function getActiveProfileName() { return storage()?.getItem(ACTIVE_KEY) || ""; }
+export function setActiveProfileName(name) {
+  const ls = storage(); if (!ls) return;
+  if (name) ls.setItem(ACTIVE_KEY, name); else ls.removeItem(ACTIVE_KEY);
+}
+
+export async function buildProfile(name, settings, logoFile) {
+  const logo = logoFile
+    ? { name: logoFile.name, type: logoFile.type || "", base64: uint8ToBase64(new Uint8Array(await logoFile.arrayBuffer())) }
+    : null;
+  return { format: FORMAT, version: 1, name, settings: withoutSecrets(settings), logo };
+}
+
+export function profileLogoFile(profile) {
+  const logo = profile?.logo;
+  if (!logo?.base64) return null;
+  const raw = atob(logo.base64);
+  const bytes = new Uint8Array(raw.length);
+  for (let i = 0; i < raw.length; i++) bytes[i] = raw.charCodeAt(i);
+  return new File([bytes], logo.name || "logo.png", { type: logo.type || "" });
+}
+
+export function profilesToJSON(profiles) {
+  const list = profiles.map(stripped);
+  return JSON.stringify(list.length === 1 ? list[0] : { format: FORMAT, version: 1, profiles: list }, null, 2);
+}
+
+// Accepts a single exported profile or a bundle of them
+export function parseProfileFile(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : Array.isArray(data.profiles) ? data.profiles : [data];
+  const valid = list.filter(p => p && typeof p.name === "string" && p.name.trim() && p.settings && typeof p.settings === "object");
+  if (!valid.length) throw new Error("No profiles found in file");
+  return valid.map(p => ({ format: FORMAT, version: 1, name: p.name.trim(), settings: withoutSecrets(p.settings), logo: p.logo || null }));
+}
@@ -0,0 +1,48 @@
+import { parseProfileFile, profilesToJSON, saveProfile, loadProfiles, deleteProfile, buildProfile, withDefaults, DEFAULT_SETTINGS } from "./profiles";
+
+const house = { format: "aquamark-profile", version: 1, name: "House", settings: { opacity: 0.3, position: "footer" }, logo: null };
+
+beforeEach(() => localStorage.clear());
+
+test("export/import round-trips single profiles and bundles", () => {
+  expect(parseProfileFile(profilesToJSON([house]))).toEqual([house]);
+  const other = { ...house, name: "Other" };
+  expect(parseProfileFile(profilesToJSON([house, other])).map(p => p.name)).toEqual(["House", "Other"]);
+});
+
+test("rejects files without profiles", () => {
+  expect(() => parseProfileFile("{\"foo\":1}")).toThrow(/No profiles/);
+});
+
+test("saving replaces a profile with the same name", () => {
+  saveProfile(house);
+  saveProfile({ ...house, settings: { opacity: 0.5 } });
+  expect(loadProfiles()).toHaveLength(1);
+  expect(loadProfiles()[0].settings.opacity).toBe(0.5);
+  expect(deleteProfile("House")).toEqual([]);
+});
+
+test("passwords and passphrases never reach storage or exported files", async () => {
+  const settings = { opacity: 0.3, protection: { enabled: true, perRecipient: false, userPassword: "open", ownerPassword: "owner", noPrint: true },
+    viewerLock: { enabled: true, passphrase: "secret", expires: "", message: "" } };
+  const p = await buildProfile("Locked", settings, null);
+  const clean = { opacity: 0.3, protection: { enabled: true, perRecipient: false, noPrint: true }, viewerLock: { enabled: true, expires: "", message: "" } };
+  expect(p.settings).toEqual(clean);
+  const legacy = { ...house, settings };
+  localStorage.setItem("aquamark.profiles", JSON.stringify([legacy])); // saved before passwords were stripped
+  expect(loadProfiles()[0].settings).toEqual(clean);
+  expect(profilesToJSON([legacy])).not.toMatch(/open"|owner"|secret/);
+  expect(parseProfileFile(JSON.stringify(legacy))[0].settings).toEqual(clean);
+  saveProfile(legacy);
+  expect(localStorage.getItem("aquamark.profiles")).not.toMatch(/secret/);
+});
+
+test("withDefaults fills nested fields a profile predates", () => {
+  const s = withDefaults({ opacity: 0.4, protection: { enabled: true, noModify: false }, qr: { enabled: true } });
+  expect(s.opacity).toBe(0.4);
+  expect(s.protection).toEqual({ ...DEFAULT_SETTINGS.protection, enabled: true, noModify: false });
+  expect(s.protection.noAnnotate).toBe(true);
+  expect(s.qr).toEqual({ ...DEFAULT_SETTINGS.qr, enabled: true });
+  expect(s.viewerNotice).toEqual(DEFAULT_SETTINGS.viewerNotice);
+  expect(withDefaults(undefined)).toEqual(DEFAULT_SETTINGS);
+});
@@ -0,0 +1,241 @@
+import { concatTransformationMatrix, fill, popGraphicsState, pushGraphicsState, rectangle, setFillingGrayscaleColor, setGraphicsState } from "@cantoo/pdf-lib";
+import { rsEncode } from "./reedSolomon";
+import { opacityState } from "./formXObject";
+
+/**
+ * QR CODE – visible, scannable corner code (ISO/IEC 18004, byte mode)
+ * -----------------------------------------------------------
+ * `qrMatrix` builds the symbol locally (no network, no library): smallest
+ * version 1–40 that fits at the requested error-correction level, mask
+ * chosen by the standard penalty rules. `drawQrCode` puts it on a page as
+ * vector rectangles over a white quiet zone, so it prints sharp and stays
+ * OCR-neutral like the other overlays.
+ */
+
+const EC_LEVELS = { L: 1, M: 0, Q: 3, H: 2 }; // format-info bits
+
+// Per version (index 0 unused): EC codewords per block, number of blocks
+const ECC_PER_BLOCK = {
+  L: [0, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  Q: [0, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  H: [0, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+};
+const NUM_BLOCKS = {
+  L: [0, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  Q: [0, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  H: [0, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+};
+
+export const QR_QUIET = 4; // modules of white border, as the standard asks
+
+// Modules left for data + EC after all function patterns
+function rawDataModules(ver) {
+  let n = (16 * ver + 128) * ver + 64;
+  if (ver >= 2) {
+    const align = Math.floor(ver / 7) + 2;
+    n -= (25 * align - 10) * align - 55;
+    if (ver >= 7) n -= 36;
+  }
+  return n;
+}
+
+export const dataCodewords = (ver, ecl) => Math.floor(rawDataModules(ver) / 8) - ECC_PER_BLOCK[ecl][ver] * NUM_BLOCKS[ecl][ver];
+
+function alignmentPositions(ver) {
+  if (ver === 1) return [];
+  const count = Math.floor(ver / 7) + 2;
+  const step = ver === 32 ? 26 : Math.ceil((ver * 4 + 4) / (count * 2 - 2)) * 2;
+  const out = [6];
+  for (let pos = ver * 4 + 10; out.length < count; pos -= step) out.splice(1, 0, pos);
+  return out;
+}
+
+// Byte-mode segment, terminator and pad bytes for `ver`
+function dataBytes(bytes, ver, ecl) {
+  const bits = [];
+  const push = (val, len) => { for (let i = len - 1; i >= 0; i--) bits.push((val >>> i) & 1); };
+  push(0b0100, 4);
+  push(bytes.length, ver < 10 ? 8 : 16);
+  bytes.forEach(b => push(b, 8));
+  const capacity = dataCodewords(ver, ecl) * 8;
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+  const out = [];
+  for (let i = 0; i < bits.length; i += 8) out.push(bits.slice(i, i + 8).reduce((a, b) => (a << 1) | b, 0));
+  return out;
+}
+
+// Splits into blocks, appends EC to each and interleaves
+function addEcc(data, ver, ecl) {
+  const numBlocks = NUM_BLOCKS[ecl][ver], eccLen = ECC_PER_BLOCK[ecl][ver];
+  const raw = Math.floor(rawDataModules(ver) / 8);
+  const numShort = numBlocks - (raw % numBlocks);
+  const shortLen = Math.floor(raw / numBlocks);
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortLen - eccLen + (i < numShort ? 0 : 1));
+    k += dat.length;
+    const ecc = Array.from(rsEncode(dat, eccLen));
+    if (i < numShort) dat.push(0); // placeholder, skipped when interleaving
+    blocks.push(dat.concat(ecc));
+  }
+  const out = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((b, j) => { if (i !== shortLen - eccLen || j >= numShort) out.push(b[i]); });
+  }
+  return out;
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+function penalty(m) {
+  const n = m.length;
+  let score = 0, dark = 0;
+  const lines = [];
+  for (let i = 0; i < n; i++) { lines.push(m[i]); lines.push(m.map(row => row[i])); }
+  for (const line of lines) {
+    for (let i = 1, run = 1; i <= n; i++) {
+      if (i < n && line[i] === line[i - 1]) run++;
+      else { if (run >= 5) score += run - 2; run = 1; }
+    }
+    const s = line.map(Number).join("");
+    for (const pat of ["00001011101", "10111010000"]) for (let i = s.indexOf(pat); i >= 0; i = s.indexOf(pat, i + 1)) score += 40;
+  }
+  for (let y = 0; y < n; y++) {
+    for (let x = 0; x < n; x++) {
+      if (m[y][x]) dark++;
+      if (x < n - 1 && y < n - 1 && m[y][x] === m[y][x + 1] && m[y][x] === m[y + 1][x] && m[y][x] === m[y + 1][x + 1]) score += 3;
+    }
+  }
+  return score + Math.floor(Math.abs(dark * 20 - n * n * 10) / (n * n)) * 10;
+}
+
+/**
+ * @param {string} text encoded as UTF-8
+ * @param {{ ecLevel?: "L"|"M"|"Q"|"H" }} [opts]
+ * @returns {{ version: number, size: number, modules: boolean[][] }} modules[y][x], y = 0 at the top
+ */
+export function qrMatrix(text, { ecLevel = "M" } = {}) {
+  if (!(ecLevel in EC_LEVELS)) throw new Error(`Unknown QR error-correction level: ${ecLevel}`);
+  const bytes = Array.from(new TextEncoder().encode(String(text)));
+  let ver = 1;
+  while (ver <= 40 && 4 + (ver < 10 ? 8 : 16) + bytes.length * 8 > dataCodewords(ver, ecLevel) * 8) ver++;
+  if (ver > 40) throw new Error(`Too long for a QR code (${bytes.length} bytes)`);
+
+  const size = ver * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => { modules[y][x] = dark; isFunction[y][x] = true; };
+
+  for (let i = 0; i < size; i++) { set(6, i, i % 2 === 0); set(i, 6, i % 2 === 0); }
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) for (let dx = -4; dx <= 4; dx++) {
+      const d = Math.max(Math.abs(dx), Math.abs(dy)), x = cx + dx, y = cy + dy;
+      if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, d !== 2 && d !== 4);
+    }
+  }
+  const align = alignmentPositions(ver);
+  align.forEach((ax, i) => align.forEach((ay, j) => {
+    if ((i === 0 && j === 0) || (i === 0 && j === align.length - 1) || (i === align.length - 1 && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) for (let dx = -2; dx <= 2; dx++) set(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+  }));
+
+  const drawFormat = (mask) => {
+    const data = (EC_LEVELS[ecLevel] << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6)); set(8, 8, bit(7)); set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true);
+  };
+  drawFormat(0); // reserve the areas
+  if (ver >= 7) {
+    let rem = ver;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (ver << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1, a = size - 11 + (i % 3), b = Math.floor(i / 3);
+      set(a, b, dark); set(b, a, dark);
+    }
+  }
+
+  // Zig-zag codeword placement, two columns at a time from the bottom right
+  const codewords = addEcc(dataBytes(bytes, ver, ecLevel), ver, ecLevel);
+  let bit = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j, upward = ((right + 1) & 2) === 0, y = upward ? size - 1 - vert : vert;
+        if (!isFunction[y][x] && bit < codewords.length * 8) {
+          modules[y][x] = ((codewords[bit >>> 3] >>> (7 - (bit & 7))) & 1) === 1;
+          bit++;
+        }
+      }
+    }
+  }
+
+  let best = null;
+  MASKS.forEach((fn, mask) => {
+    drawFormat(mask);
+    const masked = modules.map((row, y) => row.map((d, x) => (isFunction[y][x] ? d : d !== fn(x, y))));
+    const score = penalty(masked);
+    if (!best || score < best.score) best = { score, masked };
+  });
+  return { version: ver, size, modules: best.masked };
+}
+
+// Tiled layouts draw the same code many times per page
+let last = null;
+function cachedMatrix(text, ecLevel) {
+  if (!last || last.text !== text || last.ecLevel !== ecLevel) last = { text, ecLevel, matrix: qrMatrix(text, { ecLevel }) };
+  return last.matrix;
+}
+
+/**
+ * Draws `text` as a QR code. (u, v) is the bottom-left corner of the code,
+ * quiet zone included, in the visible frame (see watermark.js visibleFrame);
+ * `size` is its side in points, `rotate` an extra angle in degrees. Without
+ * `opacity` the surrounding graphics state's applies (e.g. inside a form).
+ */
+export function drawQrCode(page, frame, text, { u, v, size, opacity, rotate = 0, ecLevel = "M" }) {
+  const { size: n, modules } = cachedMatrix(text, ecLevel);
+  const total = n + QR_QUIET * 2;
+  const k = size / total;
+  const { x, y } = frame.toUser(u, v);
+  const rad = ((rotate + frame.rotation) * Math.PI) / 180;
+  const r4 = (t) => Math.round(t * 10000) / 10000;
+  const cos = r4(Math.cos(rad) * k), sin = r4(Math.sin(rad) * k);
+
+  // Module units from here on, y up, quiet zone from (0, 0) to (total, total)
+  const ops = [pushGraphicsState(), ...(opacity === undefined ? [] : [setGraphicsState(opacityState(page, opacity))]), concatTransformationMatrix(cos, sin, -sin, cos, r4(x), r4(y)),
+    setFillingGrayscaleColor(1), rectangle(0, 0, total, total), fill(), setFillingGrayscaleColor(0)];
+  modules.forEach((row, r) => {
+    for (let c = 0; c < n; c++) {
+      if (!row[c]) continue;
+      let run = 1;
+      while (c + run < n && row[c + run]) run++;
+      ops.push(rectangle(QR_QUIET + c, QR_QUIET + n - 1 - r, run, 1));
+      c += run - 1;
+    }
+  });
+  ops.push(fill(), popGraphicsState());
+  page.pushOperators(...ops);
+}
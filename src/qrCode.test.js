@@ -0,0 +1,50 @@
+import jsQR from "jsqr";
+import { PDFDocument } from "@cantoo/pdf-lib";
+import { QR_QUIET, dataCodewords, drawQrCode, qrMatrix } from "./qrCode";
+
+// Rasterise the matrix (with quiet zone) and read it back with an independent decoder
+function scan({ size, modules }, px = 4) {
+  const side = (size + QR_QUIET * 2) * px;
+  const data = new Uint8ClampedArray(side * side * 4).fill(255);
+  modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (!dark) return;
+    for (let dy = 0; dy < px; dy++) for (let dx = 0; dx < px; dx++) {
+      const i = (((y + QR_QUIET) * px + dy) * side + (x + QR_QUIET) * px + dx) * 4;
+      data[i] = data[i + 1] = data[i + 2] = 0;
+    }
+  }));
+  return jsQR(data, side, side)?.data ?? null;
+}
+
+test("capacity tables match the standard's totals", () => {
+  expect(dataCodewords(1, "M")).toBe(16);
+  expect(dataCodewords(40, "L")).toBe(2956);
+  expect(dataCodewords(40, "H")).toBe(1276);
+});
+
+test("verification URLs decode back with a standard reader", () => {
+  const url = "https://verify.example.com/0123456789abcdef";
+  const m = qrMatrix(url);
+  expect(m.version).toBe(4);
+  expect(scan(m)).toBe(url);
+});
+
+test("multi-block and version-info symbols decode at every level", () => {
+  const long = "https://verify.example.com/" + "x".repeat(180) + "?r=ü";
+  for (const ecLevel of ["L", "M", "Q", "H"]) {
+    const m = qrMatrix(long, { ecLevel });
+    expect(m.version).toBeGreaterThanOrEqual(7);
+    expect(scan(m, 3)).toBe(long);
+  }
+  expect(() => qrMatrix("x".repeat(3000))).toThrow(/Too long/);
+});
+
+test("draws the quiet zone and the modules as two filled paths", async () => {
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([200, 200]);
+  const frame = { width: 200, height: 200, rotation: 0, toUser: (u, v) => ({ x: u, y: v }) };
+  drawQrCode(page, frame, "RID:0123456789abcdef", { u: 120, v: 10, size: 70, opacity: 0.8 });
+  const src = new TextDecoder().decode(doc.context.lookup(page.node.Contents().get(0)).getUnencodedContents());
+  expect(src).toMatch(/^q\n\/GS-\d+ gs\n[\d.]+ 0 -?0 [\d.]+ 120 10 cm/);
+  expect(src.match(/\bf\b/g)).toHaveLength(2); // white quiet zone, then the modules
+});
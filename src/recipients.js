@@ -0,0 +1,61 @@
+import { parseCSV } from "./csv";
+
+/**
+ * Recipient list for batch distribution. Accepts pasted text or a CSV file:
+ * - with a header row naming `name`, `email` and/or `case` columns (any order), or
+ * - headerless lines of `name, email, case` (trailing columns optional).
+ */
+
+const HEADER_ALIASES = {
+  name: ["name", "recipient", "funder", "lender", "company"],
+  email: ["email", "e-mail", "mail"],
+  caseId: ["case", "caseid", "case id", "case_id", "deal", "deal name"],
+};
+
+function headerIndex(header) {
+  const idx = {};
+  header.forEach((h, i) => {
+    const key = h.trim().toLowerCase();
+    for (const [field, aliases] of Object.entries(HEADER_ALIASES)) {
+      if (idx[field] === undefined && aliases.includes(key)) idx[field] = i;
+    }
+  });
+  return Object.keys(idx).length ? idx : null;
+}
+
+export function parseRecipientList(text) {
+  const rows = parseCSV(text);
+  if (!rows.length) return [];
+  const idx = headerIndex(rows[0]);
+  const body = idx ? rows.slice(1) : rows;
+  const map = idx || { name: 0, email: 1, caseId: 2 };
+  return body.map(r => {
+    const cell = (field) => (map[field] === undefined ? "" : String(r[map[field]] ?? "").trim());
+    let name = cell("name"), email = cell("email");
+    // A lone email in the first column is an email, not a name
+    if (!idx && !email && /@/.test(name)) { email = name; name = ""; }
+    return { name, email, caseId: cell("caseId") };
+  }).filter(r => r.name || r.email);
+}
+
+// String that goes into the fingerprint / forensic line
+export function recipientLabel({ name, email }) {
+  if (name && email) return `${name} <${email}>`;
+  return name || email || "";
+}
+
+export function recipientSlug({ name, email }) {
+  const base = name || (email || "").split("@")[0] || "recipient";
+  return base.normalize("NFKD").replace(/[^\w-]+/g, "_").replace(/^_+|_+$/g, "").slice(0, 48) || "recipient";
+}
+
+// File-name slug per recipient, numbered when two would collide
+export function assignSlugs(recipients) {
+  const used = new Set();
+  return recipients.map(r => {
+    let slug = recipientSlug(r), n = 2;
+    while (used.has(slug)) slug = `${recipientSlug(r)}_${n++}`;
+    used.add(slug);
+    return slug;
+  });
+}
@@ -0,0 +1,19 @@
+import { parseRecipientList, recipientLabel, recipientSlug } from "./recipients";
+
+test("parses a CSV with a header in any column order", () => {
+  const list = parseRecipientList("Email,Case,Name\ndeals@acme.com,DEAL-7,\"Acme, LLC\"\n");
+  expect(list).toEqual([{ name: "Acme, LLC", email: "deals@acme.com", caseId: "DEAL-7" }]);
+});
+
+test("parses headerless pasted lines and lone emails", () => {
+  expect(parseRecipientList("Acme Funding, deals@acme.com\nops@beta.io\n\n")).toEqual([
+    { name: "Acme Funding", email: "deals@acme.com", caseId: "" },
+    { name: "", email: "ops@beta.io", caseId: "" },
+  ]);
+});
+
+test("builds labels and file-safe slugs", () => {
+  expect(recipientLabel({ name: "Acme", email: "a@acme.com" })).toBe("Acme <a@acme.com>");
+  expect(recipientSlug({ name: "Acme Funding / East" })).toBe("Acme_Funding_East");
+  expect(recipientSlug({ email: "ops@beta.io" })).toBe("ops");
+});
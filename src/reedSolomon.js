@@ -0,0 +1,127 @@
+/**
+ * Reed–Solomon over GF(256), primitive polynomial 0x11d (the QR code field).
+ * `rsEncode` returns the parity bytes; `rsDecode` corrects up to nsym/2 byte
+ * errors and returns the data bytes, or null when the block is beyond repair.
+ * Polynomials are arrays of coefficients, highest degree first.
+ */
+
+const EXP = new Uint8Array(512);
+const LOG = new Uint8Array(256);
+(() => {
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    EXP[i] = x; LOG[x] = i;
+    x <<= 1; if (x & 0x100) x ^= 0x11d;
+  }
+  for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+})();
+
+const mul = (x, y) => (x && y ? EXP[LOG[x] + LOG[y]] : 0);
+const div = (x, y) => (x ? EXP[(LOG[x] + 255 - LOG[y]) % 255] : 0);
+const pow = (x, p) => EXP[(((LOG[x] * p) % 255) + 255) % 255];
+const inverse = (x) => EXP[255 - LOG[x]];
+
+const polyScale = (p, x) => p.map(c => mul(c, x));
+function polyAdd(p, q) {
+  const r = new Array(Math.max(p.length, q.length)).fill(0);
+  p.forEach((c, i) => { r[i + r.length - p.length] = c; });
+  q.forEach((c, i) => { r[i + r.length - q.length] ^= c; });
+  return r;
+}
+function polyMul(p, q) {
+  const r = new Array(p.length + q.length - 1).fill(0);
+  for (let j = 0; j < q.length; j++) for (let i = 0; i < p.length; i++) r[i + j] ^= mul(p[i], q[j]);
+  return r;
+}
+function polyEval(p, x) {
+  let y = p[0];
+  for (let i = 1; i < p.length; i++) y = mul(y, x) ^ p[i];
+  return y;
+}
+
+export function rsGeneratorPoly(nsym) {
+  let g = [1];
+  for (let i = 0; i < nsym; i++) g = polyMul(g, [1, pow(2, i)]);
+  return g;
+}
+
+export function rsEncode(data, nsym) {
+  const gen = rsGeneratorPoly(nsym);
+  const out = [...data, ...new Array(nsym).fill(0)];
+  for (let i = 0; i < data.length; i++) {
+    const coef = out[i];
+    if (coef) for (let j = 1; j < gen.length; j++) out[i + j] ^= mul(gen[j], coef);
+  }
+  return Uint8Array.from(out.slice(data.length));
+}
+
+// Leading 0 keeps the indices of the textbook formulation
+function syndromes(msg, nsym) {
+  const s = [0];
+  for (let i = 0; i < nsym; i++) s.push(polyEval(msg, pow(2, i)));
+  return s;
+}
+
+// Berlekamp–Massey
+function errorLocator(synd, nsym) {
+  let errLoc = [1], oldLoc = [1];
+  const shift = synd.length - nsym;
+  for (let i = 0; i < nsym; i++) {
+    const k = i + shift;
+    let delta = synd[k];
+    for (let j = 1; j < errLoc.length; j++) delta ^= mul(errLoc[errLoc.length - 1 - j], synd[k - j]);
+    oldLoc = [...oldLoc, 0];
+    if (delta) {
+      if (oldLoc.length > errLoc.length) {
+        const newLoc = polyScale(oldLoc, delta);
+        oldLoc = polyScale(errLoc, inverse(delta));
+        errLoc = newLoc;
+      }
+      errLoc = polyAdd(errLoc, polyScale(oldLoc, delta));
+    }
+  }
+  while (errLoc.length && errLoc[0] === 0) errLoc.shift();
+  return (errLoc.length - 1) * 2 > nsym ? null : errLoc;
+}
+
+// Chien search
+function errorPositions(errLocReversed, n) {
+  const pos = [];
+  for (let i = 0; i < n; i++) if (polyEval(errLocReversed, pow(2, i)) === 0) pos.push(n - 1 - i);
+  return pos.length === errLocReversed.length - 1 ? pos : null;
+}
+
+// Forney
+function correctErrata(msg, synd, errPos) {
+  const coefPos = errPos.map(p => msg.length - 1 - p);
+  let errLoc = [1];
+  for (const i of coefPos) errLoc = polyMul(errLoc, polyAdd([1], [pow(2, i), 0]));
+  const product = polyMul([...synd].reverse(), errLoc);
+  const errEval = product.slice(product.length - errLoc.length).reverse();
+  const X = coefPos.map(p => pow(2, p));
+  const E = new Array(msg.length).fill(0);
+  for (let i = 0; i < X.length; i++) {
+    const xiInv = inverse(X[i]);
+    let locPrime = 1;
+    for (let j = 0; j < X.length; j++) if (j !== i) locPrime = mul(locPrime, 1 ^ mul(xiInv, X[j]));
+    if (!locPrime) return null;
+    const y = mul(X[i], polyEval([...errEval].reverse(), xiInv));
+    E[errPos[i]] = div(y, locPrime);
+  }
+  return polyAdd(msg, E);
+}
+
+/** @returns {Uint8Array|null} the data bytes, corrected */
+export function rsDecode(block, nsym) {
+  let msg = Array.from(block);
+  let synd = syndromes(msg, nsym);
+  if (Math.max(...synd) > 0) {
+    const errLoc = errorLocator(synd, nsym);
+    const errPos = errLoc && errorPositions([...errLoc].reverse(), msg.length);
+    msg = errPos && correctErrata(msg, synd, errPos);
+    if (!msg) return null;
+    synd = syndromes(msg, nsym);
+    if (Math.max(...synd) > 0) return null;
+  }
+  return Uint8Array.from(msg.slice(0, msg.length - nsym));
+}
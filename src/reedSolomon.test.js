@@ -0,0 +1,22 @@
+import { rsEncode, rsDecode } from "./reedSolomon";
+
+const data = Uint8Array.from([1, 35, 69, 103, 137, 171, 205, 239]);
+
+test("matches a known QR code block", () => {
+  // QR 1-M "HELLO WORLD" data codewords and their 10 EC codewords
+  const qr = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+  expect(Array.from(rsEncode(qr, 10))).toEqual([196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+});
+
+test("corrects up to nsym/2 byte errors", () => {
+  const block = [...data, ...rsEncode(data, 10)];
+  for (const i of [0, 3, 9, 12, 17]) block[i] ^= 0x5a;
+  expect(rsDecode(block, 10)).toEqual(data);
+});
+
+test("blocks beyond repair do not come back as the original", () => {
+  const block = [...data, ...rsEncode(data, 10)];
+  for (let i = 0; i < 9; i++) block[i * 2] ^= 0xff;
+  const out = rsDecode(block, 10);
+  expect(out === null || out.join() !== data.join()).toBe(true);
+});
@@ -3,3 +3,13 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+import { serialize, deserialize } from 'v8';
+
+// jsdom doesn't expose WebCrypto; hashing, RNG and PDF encryption rely on it
+if (!global.crypto?.subtle) Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+// ...nor TextEncoder/TextDecoder (hashing of strings)
+if (!global.TextEncoder) Object.assign(global, { TextEncoder, TextDecoder });
+// ...nor structuredClone (fake-indexeddb copies stored records with it)
+if (!global.structuredClone) global.structuredClone = (v) => deserialize(serialize(v));
@@ -0,0 +1,78 @@
+import { sha256Hex } from "./utils";
+
+/**
+ * MANIFEST SIGNING KEY
+ * -----------------------------------------------------------
+ * One ECDSA P-256 key pair per browser profile, generated by WebCrypto and
+ * kept in IndexedDB as CryptoKey objects. The private key is created
+ * non-extractable, so it can sign but never be exported or copied out.
+ * Only the public key travels inside each manifest.
+ */
+
+const DB_NAME = "aquamark-keys";
+const STORE = "keys";
+const KEY_ID = "manifest";
+export const SIGN_ALGORITHM = { name: "ECDSA", namedCurve: "P-256" };
+export const SIGN_PARAMS = { name: "ECDSA", hash: "SHA-256" };
+
+function openDB() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") { reject(new Error("IndexedDB not available")); return; }
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => { req.result.createObjectStore(STORE); };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function request(db, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const req = fn(db.transaction(STORE, mode).objectStore(STORE));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export async function generateSigningKey() {
+  const { privateKey, publicKey } = await crypto.subtle.generateKey(SIGN_ALGORITHM, false, ["sign", "verify"]);
+  const publicJwk = await crypto.subtle.exportKey("jwk", publicKey);
+  return { privateKey, publicJwk, keyId: await keyIdOf(publicJwk) };
+}
+
+// Short, stable name for a public key: first 16 hex of SHA-256 over its coordinates
+export async function keyIdOf(jwk) {
+  return (await sha256Hex(`${jwk.crv}:${jwk.x}:${jwk.y}`)).slice(0, 16);
+}
+
+/**
+ * This device's key, created on first use unless `create` is false.
+ * @returns {Promise<{ privateKey: CryptoKey, publicJwk: JsonWebKey, keyId: string }|null>}
+ */
+export async function getSigningKey({ create = true } = {}) {
+  const db = await openDB();
+  try {
+    const existing = await request(db, "readonly", s => s.get(KEY_ID));
+    if (existing || !create) return existing || null;
+    const key = await generateSigningKey();
+    await request(db, "readwrite", s => s.put(key, KEY_ID));
+    return key;
+  } finally { db.close(); }
+}
+
+/**
+ * For the command line, which has no IndexedDB: both halves as JWK in one
+ * JSON file. Unlike the browser's key this one is extractable, so the file
+ * must be kept private.
+ */
+export async function generateSigningKeyFile() {
+  const { privateKey, publicKey } = await crypto.subtle.generateKey(SIGN_ALGORITHM, true, ["sign", "verify"]);
+  const publicJwk = await crypto.subtle.exportKey("jwk", publicKey);
+  return { format: "aquamark-signing-key", version: 1, keyId: await keyIdOf(publicJwk), publicJwk, privateJwk: await crypto.subtle.exportKey("jwk", privateKey) };
+}
+
+/** A `generateSigningKeyFile` result back in the `getSigningKey` shape */
+export async function importSigningKeyFile(data) {
+  if (!data?.privateJwk || !data?.publicJwk) throw new Error("Not a signing key file");
+  const privateKey = await crypto.subtle.importKey("jwk", data.privateJwk, SIGN_ALGORITHM, false, ["sign"]);
+  return { privateKey, publicJwk: data.publicJwk, keyId: await keyIdOf(data.publicJwk) };
+}
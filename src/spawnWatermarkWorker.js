@@ -0,0 +1,9 @@
+import { inlineWorker } from "./workerPool";
+
+// Loaded lazily via `import("./spawnWatermarkWorker")` (like ./pdfjs): the
+// `new URL(…, import.meta.url)` form is what lets webpack bundle the worker,
+// and the test environment cannot parse it.
+export default function spawnWatermarkWorker() {
+  if (typeof Worker === "undefined") return inlineWorker();
+  return new Worker(new URL("./watermark.worker.js", import.meta.url));
+}
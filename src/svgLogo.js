@@ -0,0 +1,43 @@
+import { concatTransformationMatrix, popGraphicsState, pushGraphicsState, setGraphicsState } from "@cantoo/pdf-lib";
+import { opacityState } from "./formXObject";
+
+/**
+ * SVG LOGOS – drawn as PDF vector paths, not embedded as a raster image
+ * -----------------------------------------------------------
+ * pdf-lib's `drawSvg` converts paths, shapes, strokes and fills; we wrap it
+ * in our own graphics state so the watermark opacity and rotation apply the
+ * same way they do for PNG/JPG logos. Elements with their own opacity in the
+ * SVG keep it (their ExtGState replaces ours).
+ */
+
+const num = (s) => {
+  const n = parseFloat(String(s ?? ""));
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+/** Width/height of the root <svg>, from viewBox or else width/height; 100×100 when neither is usable */
+export function svgIntrinsicSize(svg) {
+  const tag = String(svg).match(/<svg\b[^>]*>/i)?.[0] || "";
+  const attr = (name) => tag.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, "i"))?.[1];
+  const vb = (attr("viewBox") || "").trim().split(/[\s,]+/).map(Number);
+  if (vb.length === 4 && vb[2] > 0 && vb[3] > 0) return { width: vb[2], height: vb[3] };
+  const width = num(attr("width")), height = num(attr("height"));
+  if (width && height && !/%/.test(attr("width") + attr("height"))) return { width, height };
+  return { width: 100, height: 100 };
+}
+
+/**
+ * Same placement contract as `page.drawImage`: (x, y) is the bottom-left
+ * corner in user space and `rotate` (pdf-lib Degrees) turns about it.
+ * `svg` is the markup or a `PDFSvg` from `pdfDoc.embedSvg`. Without `opacity`
+ * the surrounding graphics state's applies (e.g. when recorded into a form).
+ */
+export function drawSvgLogo(page, svg, { x, y, width, height, rotate, opacity }) {
+  const rad = ((rotate?.angle || 0) * Math.PI) / 180;
+  const r4 = (t) => Math.round(t * 10000) / 10000;
+  const cos = r4(Math.cos(rad)), sin = r4(Math.sin(rad));
+  page.pushOperators(pushGraphicsState(), ...(opacity === undefined ? [] : [setGraphicsState(opacityState(page, opacity))]),
+    concatTransformationMatrix(cos, sin, -sin, cos, r4(x), r4(y)));
+  page.drawSvg(svg, { x: 0, y: height, width, height }); // drawSvg anchors at the top-left
+  page.pushOperators(popGraphicsState());
+}
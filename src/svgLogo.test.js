@@ -0,0 +1,39 @@
+import { PDFDocument, PDFName, decodePDFRawStream } from "@cantoo/pdf-lib";
+import { svgIntrinsicSize } from "./svgLogo";
+import { applyWatermarks } from "./watermark";
+
+const LOGO = `<?xml version="1.0"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="240" height="80" viewBox="0 0 120 40">
+  <rect x="0" y="0" width="40" height="40" fill="#0a3d62"/>
+  <path d="M50 35 L70 5 L90 35 Z" fill="#e55039" stroke="#000" stroke-width="1"/>
+</svg>`;
+
+test("intrinsic size comes from viewBox, then width/height", () => {
+  expect(svgIntrinsicSize(LOGO)).toEqual({ width: 120, height: 40 });
+  expect(svgIntrinsicSize('<svg width="30pt" height="12">')).toEqual({ width: 30, height: 12 });
+  expect(svgIntrinsicSize('<svg width="100%">')).toEqual({ width: 100, height: 100 });
+});
+
+test("an SVG logo is drawn as vector paths in one form shared by every tile", async () => {
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([600, 800]);
+  await applyWatermarks(doc, {
+    embedAs: "image", textWM: "", opacity: 0.4, scale: 0.5, angle: 45, position: "tiled", margin: 24, gap: 200,
+    embedFingerprint: false, tinyForensicText: false, dotPattern: false, pageRules: [],
+  }, { logo: { bytes: new TextEncoder().encode(LOGO), isSvg: true }, issueDate: "2025-01-01" });
+
+  const src = page.node.Contents().asArray().map(ref => new TextDecoder().decode(doc.context.lookup(ref).getUnencodedContents())).join("\n");
+  const uses = src.match(/^\/Wm-\d+ Do$/gm);
+  expect(uses.length).toBeGreaterThan(4);
+  expect(new Set(uses).size).toBe(1);
+  expect(new Set(src.match(/^\/GS-\d+ gs$/gm)).size).toBe(1); // one ExtGState for every tile
+
+  const resources = page.node.Resources();
+  const gs = resources.lookup(PDFName.of("ExtGState")).lookup(PDFName.of(src.match(/^\/(GS-\d+) gs$/m)[1]));
+  expect(gs.get(PDFName.of("ca")).asNumber()).toBe(0.4);
+  const form = resources.lookup(PDFName.of("XObject")).lookup(PDFName.of(uses[0].slice(1, -3)));
+  expect(form.dict.get(PDFName.of("Subtype"))).toBe(PDFName.of("Form"));
+  const art = new TextDecoder().decode(decodePDFRawStream(form).decode());
+  expect(art).toMatch(/^0\.039\d* 0\.239\d* 0\.384\d* rg$/m); // #0a3d62 fill
+  expect(art).not.toMatch(/ Do$/m); // paths, not an embedded image
+});
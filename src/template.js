@@ -0,0 +1,17 @@
+// Text watermark placeholders, filled per file and per page.
+// Unknown {tokens} are left untouched so literal braces still print.
+
+export const TEMPLATE_VARS = [
+  ["recipient", "recipient name/email"],
+  ["caseId", "case ID / deal"],
+  ["date", "issue date (YYYY-MM-DD)"],
+  ["rid", "fingerprint, as RID:<id>"],
+  ["page", "current page number"],
+  ["pages", "total page count"],
+];
+
+export function fillTemplate(str, vars) {
+  return String(str || "").replace(/\{(\w+)\}/g, (m, key) => (
+    Object.prototype.hasOwnProperty.call(vars, key) && vars[key] != null ? String(vars[key]) : m
+  ));
+}
@@ -0,0 +1,12 @@
+import { fillTemplate } from "./template";
+
+test("fills per-file and per-page placeholders", () => {
+  const out = fillTemplate("Prepared for {recipient} – {date} – p.{page}/{pages} {rid}", {
+    recipient: "Acme", date: "2025-01-02", page: 3, pages: 10, rid: "RID:0123456789abcdef",
+  });
+  expect(out).toBe("Prepared for Acme – 2025-01-02 – p.3/10 RID:0123456789abcdef");
+});
+
+test("leaves unknown tokens alone", () => {
+  expect(fillTemplate("{nope} {page}", { page: 1 })).toBe("{nope} 1");
+});
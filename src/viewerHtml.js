@@ -0,0 +1,460 @@
+/**
+ * SINGLE‑FILE VIEWER BUILDER
+ * -----------------------------------------------------------
+ * We inline a tiny HTML shell that renders the PDF with PDF.js, disables default
+ * download/print UI, blocks right‑click + common hotkeys, and optionally POSTs
+ * to your tracking endpoint so your server captures IP + headers.
+ *
+ * PDF.js comes one of two ways, both pinned to PDFJS_VERSION (the app's own):
+ * - `pdfjs: { lib, worker }` (sources from loadPdfjsSource): inlined, the
+ *   worker started from a blob URL, so the file opens with no network at all;
+ * - `pdfjs: null`: from jsDelivr, with both files checked against PDFJS_SRI.
+ *
+ * `overlay: { text, opacity }` is drawn into every page canvas after PDF.js
+ * renders it, so screenshots carry it too. `text` is already filled for this
+ * copy (see packageOutput); {opened}, {page} and {pages} are filled on open,
+ * {opened} being the viewer's local date and time.
+ *
+ * `locked` (lockPayload from viewerLock.js) replaces `base64PDF`: the viewer
+ * shows `message` and asks for the passphrase, and refuses after `expires`.
+ *
+ * `notice: { issuer, recorded, privacyURL }` puts an access-log notice first:
+ * nothing renders until the reader acknowledges it, and the open event (with
+ * `consent`) goes to `trackingURL` only after that. Either way the event waits
+ * until PDF.js has loaded the document, so a file that fails to open is not
+ * logged as opened.
+ */
+
+export const PDFJS_VERSION = "3.11.174"; // package.json pins pdfjs-dist to exactly this (see viewerHtml.test.js)
+const CDN_BASE = `https://cdn.jsdelivr.net/npm/pdfjs-dist@${PDFJS_VERSION}/build/`;
+export const PDFJS_CDN = { lib: `${CDN_BASE}pdf.min.js`, worker: `${CDN_BASE}pdf.worker.min.js` };
+// sha384 of build/pdf.min.js and build/pdf.worker.min.js at that version
+export const PDFJS_SRI = {
+  lib: "sha384-/1qUCSGwTur9vjf/z9lmu/eCUYbpOTgSjmpbMQZ1/CtX2v/WcAIKqRv+U1DUCG6e",
+  worker: "sha384-SnzOobpRMLXZ52iJvZm/C0fYw0OQemTXzTjIsdsfMcrCtCEe9qgzxTd3RSklO5x2",
+};
+
+// A value as a JS literal that is safe inside <script>…</script>
+const scriptValue = (v) => JSON.stringify(v).replace(/</g, "\\u003c");
+// Script text made safe to sit inside <script>…</script>
+const inlineScript = (js) => js.replace(/<\/(script)/gi, "<\\/$1").replace(/<!--/g, "<\\!--");
+
+export function buildViewerHTML({ title, base64PDF, trackingURL, recipient, caseId, rid = "", pdfjs = null, overlay = null, locked = null, message = "", notice = null }) {
+  const safeTitle = (title || "Viewer").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  const payloadJS = trackingURL ? `
+    try {
+      fetch(${scriptValue(trackingURL)}, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          event: 'open',
+          ts: new Date().toISOString(),
+          rid: ${scriptValue(rid || '')},
+          recipient: ${scriptValue(recipient || '')},
+          caseId: ${scriptValue(caseId || '')},
+          consent,
+          timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          language: navigator.language,
+          userAgent: navigator.userAgent,
+          screen: { w: window.screen.width, h: window.screen.height, dpr: window.devicePixelRatio }
+        })
+      }).catch(()=>{});
+    } catch(e) {}
+  ` : "";
+  const safeNotice = notice && { ...notice, privacyURL: /^https?:\/\//i.test(notice.privacyURL || "") ? notice.privacyURL : "" };
+
+  const libTag = pdfjs
+    ? `<script>${inlineScript(pdfjs.lib)}</script>
+    <script type="text/plain" id="pdfjs-worker">${inlineScript(pdfjs.worker)}</script>`
+    : `<script src="${PDFJS_CDN.lib}" integrity="${PDFJS_SRI.lib}" crossorigin="anonymous"></script>`;
+  // The worker always runs from a blob URL: the inlined text, or the CDN file once its hash checks out
+  const workerJS = pdfjs
+    ? `URL.createObjectURL(new Blob([document.getElementById('pdfjs-worker').textContent], { type: 'text/javascript' }))`
+    : `await fetch('${PDFJS_CDN.worker}', { integrity: '${PDFJS_SRI.worker}', mode: 'cors' }).then(r => r.blob()).then(b => URL.createObjectURL(new Blob([b], { type: 'text/javascript' })))`;
+
+  // One page at a time on demand: pages near the viewport get a canvas at the current zoom × devicePixelRatio,
+  // pages scrolled far away give theirs back. Host this HTML anywhere.
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8"/>
+    <meta name="viewport" content="width=device-width, initial-scale=1"/>
+    <title>${safeTitle}</title>
+    <style>
+      html,body{height:100%;margin:0;background:#0b1220;color:#e5e7eb;font-family:Inter,system-ui,Segoe UI,Roboto,Arial,sans-serif}
+      body{display:flex;flex-direction:column}
+      header{background:rgba(11,18,32,.8);backdrop-filter:saturate(1.2) blur(8px);border-bottom:1px solid #1f2937;padding:10px 14px;display:flex;align-items:center;gap:10px;flex-wrap:wrap}
+      .badge{font-size:12px;opacity:.7}
+      .toolbar{display:flex;align-items:center;gap:6px;font-size:13px}
+      .toolbar button{background:#111827;color:inherit;border:1px solid #1f2937;border-radius:8px;padding:4px 9px;font:inherit;cursor:pointer}
+      .toolbar button:hover{border-color:#374151}
+      .toolbar input{width:3.5em;background:#111827;color:inherit;border:1px solid #1f2937;border-radius:8px;padding:4px 6px;font:inherit;text-align:right}
+      #zoom-label{min-width:3.5em;text-align:center;opacity:.8}
+      .main{flex:1;display:flex;min-height:0}
+      #thumbs{width:148px;flex:none;overflow:auto;border-right:1px solid #1f2937;padding:8px 0}
+      #thumbs.hidden{display:none}
+      .thumb{display:block;margin:0 auto 10px;padding:4px;background:none;border:2px solid transparent;border-radius:6px;color:inherit;font-size:11px;cursor:pointer}
+      .thumb.active{border-color:#3b82f6}
+      .thumb .slot{background:#fff;margin-bottom:2px}
+      .thumb .slot.failed{background:repeating-linear-gradient(45deg,#fee2e2 0 6px,#fecaca 6px 12px)}
+      #app{flex:1;overflow:auto;position:relative}
+      canvas{display:block;width:100%;height:100%}
+      .page{position:relative;margin:16px auto;background:#fff;box-shadow:0 8px 24px rgba(0,0,0,.4);border-radius:8px;overflow:hidden}
+      .hint{position:fixed;bottom:10px;left:50%;transform:translateX(-50%);font-size:12px;opacity:.6;pointer-events:none}
+      .gate{max-width:26rem;margin:64px auto;padding:20px;border:1px solid #1f2937;border-radius:12px;background:#111827;display:grid;gap:10px}
+      .gate h2{margin:0;font-size:16px}
+      .gate p{margin:0;font-size:13px;opacity:.8;white-space:pre-wrap}
+      .gate input{background:#0b1220;color:inherit;border:1px solid #374151;border-radius:8px;padding:8px 10px;font:inherit;user-select:text;-webkit-user-select:text}
+      .gate button{background:#e5e7eb;color:#0b1220;border:0;border-radius:8px;padding:8px 10px;font:inherit;font-weight:600;cursor:pointer}
+      .gate .err{color:#fca5a5;opacity:1}
+      .gate a{color:#93c5fd;font-size:13px}
+      .gate button.secondary{background:none;color:inherit;border:1px solid #374151}
+      .error{max-width:32rem;margin:64px auto;padding:16px;border:1px solid #7f1d1d;border-radius:8px;background:#1f0f12;color:#fecaca}
+      /* Best‑effort disable text selection and context menu */
+      *{user-select:none;-webkit-user-select:none}
+    </style>
+    ${libTag}
+  </head>
+  <body>
+    <header>
+      <div style="width:28px;height:28px;border-radius:10px;background:#111827;color:white;display:grid;place-items:center;font-weight:700">WM</div>
+      <div style="flex:1">
+        <div style="font-weight:600">${safeTitle}</div>
+        <div class="badge">View‑only · Download/Print disabled</div>
+      </div>
+      <div class="toolbar">
+        <button id="toggle-thumbs" title="Thumbnails">☰</button>
+        <button id="prev" title="Previous page">‹</button>
+        <input id="page-num" type="number" min="1" value="1" aria-label="Page"/><span id="page-count">/ –</span>
+        <button id="next" title="Next page">›</button>
+        <button id="zoom-out" title="Zoom out">−</button><span id="zoom-label">–</span><button id="zoom-in" title="Zoom in">+</button>
+        <button id="fit" title="Fit width">Fit width</button>
+      </div>
+    </header>
+    <div class="main">
+      <aside id="thumbs"></aside>
+      <main id="app"></main>
+    </div>
+    <div class="hint">Screenshots can still happen.${trackingURL ? " Your IP and headers may be logged." : ""}</div>
+    <script>
+      // The open event; consent is { given: true, at } once the access-log notice was acknowledged, null when there was none
+      function sendOpen(consent) {
+        ${payloadJS}
+      }
+
+      const base64 = '${locked ? "" : base64PDF}';
+      const LOCK = ${scriptValue(locked)};
+      const MESSAGE = ${scriptValue(message || "")};
+      const NOTICE = ${scriptValue(safeNotice)};
+      const fromBase64 = (b64) => { const raw = atob(b64); const out = new Uint8Array(raw.length); for (let i=0;i<raw.length;i++) out[i] = raw.charCodeAt(i); return out; };
+
+      const $ = (id) => document.getElementById(id);
+      const app = $('app'), thumbs = $('thumbs'), pageNum = $('page-num');
+      const fail = (msg) => { const d = document.createElement('div'); d.className = 'error'; d.textContent = msg; app.replaceChildren(d); };
+
+      const ZOOMS = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4];
+      const MAX_PIXELS = 16777216; // largest canvas iOS Safari will draw
+      const THUMB_WIDTH = 112;
+      const OVERLAY = ${scriptValue(overlay && overlay.text ? overlay : null)};
+      const opened = new Date().toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'long' });
+      let doc, scale = 1, fitWidth = true, current = 1, jumped = false;
+      const sizes = [];   // page sizes at scale 1: page 1's until a page is fetched (see learnSize)
+      const pages = [];   // { el, canvas, task, busy, key }
+      const visible = new Set();
+
+      // Renders into a canvas sized for CSS scale s × devicePixelRatio (capped), so text stays sharp on HiDPI
+      function paint(page, canvas, s) {
+        const viewport = page.getViewport({ scale: s });
+        const ratio = Math.min(window.devicePixelRatio || 1, Math.sqrt(MAX_PIXELS / (viewport.width * viewport.height)));
+        canvas.width = Math.floor(viewport.width * ratio);
+        canvas.height = Math.floor(viewport.height * ratio);
+        const ctx = canvas.getContext('2d', { alpha: false });
+        return page.render({ canvasContext: ctx, viewport, transform: ratio === 1 ? null : [ratio, 0, 0, ratio, 0, 0] });
+      }
+
+      // Locked viewers: PBKDF2 → AES-GCM as in viewerLock.js; the expiry is bound in as additional data
+      async function decrypt(passphrase) {
+        const enc = new TextEncoder();
+        const material = await crypto.subtle.importKey('raw', enc.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        const key = await crypto.subtle.deriveKey({ name: 'PBKDF2', salt: fromBase64(LOCK.salt), iterations: LOCK.iterations, hash: 'SHA-256' },
+          material, { name: 'AES-GCM', length: 256 }, false, ['decrypt']);
+        const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(LOCK.iv), additionalData: enc.encode('aquamark-viewer|' + LOCK.expires) }, key, fromBase64(LOCK.data));
+        return new Uint8Array(plain);
+      }
+
+      // A card in place of the pages, for the notice and the passphrase prompt
+      function panel() {
+        const box = document.createElement('form');
+        box.className = 'gate';
+        const line = (tag, text, cls) => { const el = document.createElement(tag); el.textContent = text; if (cls) el.className = cls; box.appendChild(el); return el; };
+        app.replaceChildren(box);
+        return { box, line };
+      }
+
+      // Resolves with the acknowledgement time, or null when the reader declines
+      function acknowledge() {
+        const { box, line } = panel();
+        line('h2', 'Before you open this document');
+        line('p', (NOTICE.issuer || 'The sender') + ' keeps a log of when this document is opened.');
+        line('p', NOTICE.recorded);
+        if (NOTICE.privacyURL) {
+          const a = document.createElement('a');
+          a.href = NOTICE.privacyURL; a.target = '_blank'; a.rel = 'noopener noreferrer'; a.textContent = 'Privacy policy';
+          box.appendChild(a);
+        }
+        line('button', 'I understand, open the document');
+        const decline = line('button', 'Decline', 'secondary');
+        decline.type = 'button';
+        return new Promise((resolve) => {
+          box.addEventListener('submit', (e) => { e.preventDefault(); resolve(new Date().toISOString()); });
+          decline.addEventListener('click', () => {
+            const { line } = panel();
+            line('h2', 'Not opened');
+            line('p', 'You declined, so the document was not opened and nothing was sent.');
+            resolve(null);
+          });
+        });
+      }
+
+      // Resolves with the PDF bytes once the right passphrase is in; null when the viewer has expired
+      function askPassphrase() {
+        const { box, line } = panel();
+        if (LOCK.expires && Date.now() > Date.parse(LOCK.expires)) {
+          line('h2', 'This document has expired');
+          line('p', 'It could be opened until ' + new Date(LOCK.expires).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) + '. Ask the sender for a new copy.');
+          if (MESSAGE) line('p', MESSAGE);
+          return Promise.resolve(null);
+        }
+        if (!window.crypto || !crypto.subtle) {
+          line('h2', 'This document cannot be unlocked here');
+          line('p', 'Decryption needs a secure context: open the file from your device or over https.');
+          return Promise.resolve(null);
+        }
+        line('h2', 'This document is locked');
+        if (MESSAGE) line('p', MESSAGE);
+        if (LOCK.expires) line('p', 'Available until ' + new Date(LOCK.expires).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) + '.');
+        const input = document.createElement('input');
+        input.type = 'password'; input.placeholder = 'Passphrase'; input.autocomplete = 'off'; input.autofocus = true;
+        box.appendChild(input);
+        const button = line('button', 'Open');
+        const err = line('p', '', 'err');
+        return new Promise((resolve) => {
+          box.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            button.disabled = true; err.textContent = '';
+            try { resolve(await decrypt(input.value)); } catch { err.textContent = 'Wrong passphrase.'; input.value = ''; input.focus(); } finally { button.disabled = false; }
+          });
+        });
+      }
+
+      // The live overlay: text in diagonal rows across the whole canvas, in device pixels
+      function drawOverlay(canvas, n) {
+        if (!OVERLAY) return;
+        const text = OVERLAY.text.split('{opened}').join(opened).split('{page}').join(n).split('{pages}').join(pages.length);
+        const ctx = canvas.getContext('2d');
+        const w = canvas.width, h = canvas.height, size = Math.max(10, Math.round(w / 36)), d = Math.hypot(w, h);
+        ctx.save();
+        ctx.globalAlpha = OVERLAY.opacity;
+        ctx.fillStyle = '#475569';
+        ctx.font = '600 ' + size + 'px system-ui, sans-serif';
+        ctx.textBaseline = 'middle';
+        ctx.translate(w / 2, h / 2);
+        ctx.rotate(-Math.PI / 6);
+        const step = ctx.measureText(text).width + size * 4;
+        for (let y = -d / 2, row = 0; y < d / 2; y += size * 6, row++) {
+          for (let x = -d / 2 - (row % 2) * step / 2; x < d / 2; x += step) ctx.fillText(text, x, y);
+        }
+        ctx.restore();
+      }
+
+      async function render(i) {
+        const p = pages[i], key = scale * (window.devicePixelRatio || 1);
+        if (p.busy || p.key === key) return;
+        p.busy = true;
+        let failed = false;
+        try {
+          const page = await doc.getPage(i + 1);
+          learnSize(i, page);
+          const canvas = document.createElement('canvas');
+          p.task = paint(page, canvas, scale);
+          await p.task.promise;
+          drawOverlay(canvas, i + 1);
+          if (p.canvas) p.canvas.replaceWith(canvas); else p.el.prepend(canvas);
+          p.canvas = canvas; p.key = key;
+        } catch (e) {
+          if (!e || e.name !== 'RenderingCancelledException') { console.error(e); failed = true; }
+        } finally { p.task = null; p.busy = false; }
+        if (!visible.has(i)) release(i);
+        else if (!failed) render(i); // zoomed while drawing: draw again
+      }
+
+      // A fetched page whose size differs from the placeholder's gets its own slot size;
+      // when the slot is above the view, the scroll position moves with it so nothing jumps
+      function learnSize(i, page) {
+        const { width, height } = page.getViewport({ scale: 1 });
+        if (sizes[i].width === width && sizes[i].height === height) return;
+        sizes[i] = { width, height };
+        const el = pages[i] && pages[i].el;
+        if (el) {
+          const above = el.offsetTop < app.scrollTop, before = el.offsetHeight;
+          layout(i);
+          if (above) app.scrollTop += el.offsetHeight - before;
+        }
+        const slot = thumbs.children[i] && thumbs.children[i].querySelector('.slot');
+        if (slot) slot.style.height = Math.floor(THUMB_WIDTH * height / width) + 'px';
+      }
+
+      function layout(i) {
+        pages[i].el.style.width = Math.floor(sizes[i].width * scale) + 'px';
+        pages[i].el.style.height = Math.floor(sizes[i].height * scale) + 'px';
+      }
+
+      // Pages scrolled far away give their canvas memory back; the slot keeps its size
+      function release(i) {
+        const p = pages[i];
+        if (p.task) p.task.cancel();
+        if (p.canvas && !p.busy) { p.canvas.width = p.canvas.height = 0; p.canvas.remove(); p.canvas = null; p.key = 0; }
+      }
+
+      function setCurrent(n) {
+        if (n === current && pageNum.value === String(n)) return;
+        if (thumbs.children[current - 1]) thumbs.children[current - 1].classList.remove('active');
+        current = n; pageNum.value = n;
+        const t = thumbs.children[n - 1];
+        if (t) { t.classList.add('active'); if (!thumbs.classList.contains('hidden')) t.scrollIntoView({ block: 'nearest' }); }
+      }
+
+      function goTo(n, within = 0) {
+        n = Math.min(pages.length, Math.max(1, Math.round(n) || 1));
+        const el = pages[n - 1].el;
+        app.scrollTop = el.offsetTop - 16 + within * el.offsetHeight;
+        setCurrent(n);
+        jumped = true; // the last pages may not reach the top: keep n rather than what the scroll shows
+      }
+
+      // The page crossing the upper third of the view is "current"
+      function pageAtScroll() {
+        const y = app.scrollTop + app.clientHeight / 3;
+        let n = 1;
+        for (let i = 0; i < pages.length && pages[i].el.offsetTop <= y; i++) n = i + 1;
+        return n;
+      }
+
+      const fitScale = () => (app.clientWidth - 32) / Math.max(...sizes.map(s => s.width));
+
+      function zoom(next, fit = false) {
+        fitWidth = fit;
+        const el = pages[current - 1].el;
+        const within = el.offsetHeight ? Math.max(0, (app.scrollTop + 16 - el.offsetTop) / el.offsetHeight) : 0;
+        scale = Math.min(ZOOMS[ZOOMS.length - 1], Math.max(ZOOMS[0], next));
+        pages.forEach((p, i) => {
+          layout(i);
+          if (p.task) p.task.cancel();
+        });
+        $('zoom-label').textContent = Math.round(scale * 100) + '%';
+        goTo(current, within);
+        visible.forEach(render); // the old canvas stays up, stretched, until the new one is drawn
+      }
+      const zoomStep = (dir) => zoom(dir > 0 ? (ZOOMS.find(z => z > scale + 0.001) || scale) : ([...ZOOMS].reverse().find(z => z < scale - 0.001) || scale));
+
+      function buildThumbs() {
+        const seen = new IntersectionObserver((entries) => entries.forEach(async (e) => {
+          if (!e.isIntersecting || e.target.dataset.done) return;
+          e.target.dataset.done = '1';
+          const n = Number(e.target.dataset.page);
+          const slot = e.target.querySelector('.slot'), canvas = document.createElement('canvas');
+          try {
+            const page = await doc.getPage(n);
+            learnSize(n - 1, page);
+            await paint(page, canvas, THUMB_WIDTH / sizes[n - 1].width).promise;
+            slot.appendChild(canvas);
+          } catch (err) {
+            console.error(err);
+            slot.classList.add('failed'); slot.title = 'Page ' + n + ' could not be drawn';
+          }
+        }), { root: thumbs, rootMargin: '200px 0px' });
+        sizes.forEach((s, i) => {
+          const b = document.createElement('button');
+          b.className = 'thumb'; b.dataset.page = i + 1; b.title = 'Page ' + (i + 1);
+          const slot = document.createElement('div');
+          slot.className = 'slot'; slot.style.width = THUMB_WIDTH + 'px'; slot.style.height = Math.floor(THUMB_WIDTH * s.height / s.width) + 'px';
+          b.append(slot, String(i + 1));
+          b.addEventListener('click', () => goTo(i + 1));
+          thumbs.appendChild(b);
+          seen.observe(b);
+        });
+      }
+
+      // Block right‑click and common save/print keys; +/−/0 zoom instead of the browser
+      window.addEventListener('contextmenu', e=>e.preventDefault());
+      window.addEventListener('keydown', (e)=>{
+        const k = e.key.toLowerCase();
+        if ((e.ctrlKey||e.metaKey) && (k==='s'||k==='p'||k==='o')) e.preventDefault();
+        if (k==='printscreen') e.preventDefault();
+        if (!pages.length || e.target === pageNum) return;
+        if (k==='+'||k==='=') { e.preventDefault(); zoomStep(1); }
+        else if (k==='-') { e.preventDefault(); zoomStep(-1); }
+        else if (k==='0') { e.preventDefault(); zoom(fitScale(), true); }
+      });
+
+      (async () => {
+        if (typeof pdfjsLib === 'undefined') { fail(${JSON.stringify(`The document viewer (PDF.js ${PDFJS_VERSION}) could not be loaded from cdn.jsdelivr.net. Check your connection or ask the sender for an offline copy.`)}); return; }
+        try {
+          pdfjsLib.GlobalWorkerOptions.workerSrc = ${workerJS};
+        } catch (e) { fail('The document viewer could not start: ' + (e && e.message || e)); return; }
+        const acknowledged = NOTICE ? await acknowledge() : null;
+        if (NOTICE && !acknowledged) return;
+        const bytes = LOCK ? await askPassphrase() : fromBase64(base64);
+        if (!bytes) return;
+        app.replaceChildren();
+        doc = await pdfjsLib.getDocument({data: bytes}).promise;
+        sendOpen(acknowledged ? { given: true, at: acknowledged } : null); // only a document that actually loaded counts as opened
+        // Only page 1 is fetched up front; the others are sized as they come into view
+        const first = (await doc.getPage(1)).getViewport({ scale: 1 });
+        for (let n=1; n<=doc.numPages; n++) sizes.push({ width: first.width, height: first.height });
+
+        const near = new IntersectionObserver((entries) => entries.forEach((e) => {
+          const i = Number(e.target.dataset.index);
+          if (e.isIntersecting) { visible.add(i); render(i); } else { visible.delete(i); release(i); }
+        }), { root: app, rootMargin: '100% 0px' });
+        sizes.forEach((s, i) => {
+          const el = document.createElement('div');
+          el.className = 'page'; el.dataset.index = i;
+          app.appendChild(el);
+          pages.push({ el, canvas: null, task: null, busy: false, key: 0 });
+          near.observe(el);
+        });
+        $('page-count').textContent = '/ ' + pages.length;
+        pageNum.max = pages.length;
+        if (window.matchMedia('(max-width: 720px)').matches) thumbs.classList.add('hidden');
+        buildThumbs();
+        zoom(fitScale(), true);
+        setCurrent(1);
+
+        let ticking = false;
+        app.addEventListener('scroll', () => {
+          if (ticking) return;
+          ticking = true;
+          requestAnimationFrame(() => { ticking = false; if (jumped) jumped = false; else setCurrent(pageAtScroll()); });
+        });
+        let resizing;
+        window.addEventListener('resize', () => {
+          clearTimeout(resizing);
+          resizing = setTimeout(() => { if (fitWidth) zoom(fitScale(), true); else visible.forEach(render); }, 150);
+        });
+        pageNum.addEventListener('change', () => goTo(Number(pageNum.value)));
+        pageNum.addEventListener('keydown', (e) => { if (e.key === 'Enter') goTo(Number(pageNum.value)); });
+        $('prev').addEventListener('click', () => goTo(current - 1));
+        $('next').addEventListener('click', () => goTo(current + 1));
+        $('zoom-in').addEventListener('click', () => zoomStep(1));
+        $('zoom-out').addEventListener('click', () => zoomStep(-1));
+        $('fit').addEventListener('click', () => zoom(fitScale(), true));
+        $('toggle-thumbs').addEventListener('click', () => {
+          thumbs.classList.toggle('hidden');
+          if (fitWidth) zoom(fitScale(), true);
+        });
+      })().catch((e) => fail('This document could not be opened: ' + (e && e.message || e)));
+    </script>
+  </body>
+</html>`;
+}
@@ -0,0 +1,245 @@
+import { readFileSync } from "node:fs";
+import { createHash, webcrypto } from "node:crypto";
+import { TextEncoder } from "node:util";
+import path from "node:path";
+import { buildViewerHTML, PDFJS_CDN, PDFJS_SRI, PDFJS_VERSION } from "./viewerHtml";
+import { packageOutput, recordSettings } from "./watermarkJob";
+import { DEFAULT_SETTINGS } from "./profiles";
+import { lockPayload } from "./viewerLock";
+
+const BUILD = path.join(__dirname, "..", "node_modules", "pdfjs-dist", "build");
+const args = { title: "Memo", base64PDF: "JVBERi0=", trackingURL: "", recipient: "a@example.com", caseId: "DEAL-7" };
+
+test("the pinned version and SRI hashes are those of the installed PDF.js", () => {
+  // An exact pin: a range would let installs drift from the CDN URL and SRI hashes
+  expect(JSON.parse(readFileSync(path.join(__dirname, "..", "package.json"), "utf8")).dependencies["pdfjs-dist"]).toBe(PDFJS_VERSION);
+  expect(JSON.parse(readFileSync(path.join(BUILD, "..", "package.json"), "utf8")).version).toBe(PDFJS_VERSION);
+  const sri = (file) => `sha384-${createHash("sha384").update(readFileSync(path.join(BUILD, file))).digest("base64")}`;
+  expect(sri("pdf.min.js")).toBe(PDFJS_SRI.lib);
+  expect(sri("pdf.worker.min.js")).toBe(PDFJS_SRI.worker);
+});
+
+test("inline mode needs no network: library inlined, worker from a blob URL", () => {
+  const html = buildViewerHTML({ ...args, pdfjs: { lib: "window.pdfjsLib = {}; // </script><!--", worker: "onmessage = null; '</SCRIPT>'" } });
+  expect(html).not.toMatch(/https?:\/\//);
+  expect(html).toContain("<script>window.pdfjsLib = {}; // <\\/script><\\!--</script>");
+  expect(html).toContain(`<script type="text/plain" id="pdfjs-worker">onmessage = null; '<\\/SCRIPT>'</script>`);
+  expect(html).toContain("URL.createObjectURL(new Blob([document.getElementById('pdfjs-worker').textContent]");
+});
+
+test("CDN mode loads both files with integrity checks", () => {
+  const html = buildViewerHTML(args);
+  expect(html).toContain(`<script src="${PDFJS_CDN.lib}" integrity="${PDFJS_SRI.lib}" crossorigin="anonymous"></script>`);
+  expect(html).toContain(`fetch('${PDFJS_CDN.worker}', { integrity: '${PDFJS_SRI.worker}'`);
+  expect(html).not.toContain("pdfjs-worker");
+});
+
+test("packageOutput inlines PDF.js unless the profile picks the CDN", async () => {
+  const s = { ...DEFAULT_SETTINGS, outputMode: "viewer" };
+  const copy = { fileName: "memo.pdf", recipient: "a@example.com", caseId: "DEAL-7" };
+  const pdf = new TextEncoder().encode("%PDF-1.7");
+  await expect(packageOutput(s, copy, pdf)).rejects.toThrow(/PDF\.js sources/);
+  const text = (out) => new TextDecoder().decode(out.bytes);
+  expect(text(await packageOutput(s, copy, pdf, { pdfjs: { lib: "/*lib*/", worker: "/*worker*/" } }))).toContain("<script>/*lib*/</script>");
+  expect(text(await packageOutput({ ...s, viewerPdfjs: "cdn" }, copy, pdf))).toContain(PDFJS_SRI.lib);
+});
+
+// A stand-in PDF.js: three 200×300 pages; every render is logged on window.renders
+const FAKE_PDFJS = `window.renders = [];
+window.pdfjsLib = { GlobalWorkerOptions: {}, getDocument: function () { return { promise: Promise.resolve({ numPages: 3,
+  getPage: function (n) { return Promise.resolve({
+    getViewport: function (o) { return { width: 200 * o.scale, height: 300 * o.scale }; },
+    render: function (o) { window.renders.push({ page: n, width: o.viewport.width, transform: o.transform }); return { promise: Promise.resolve(), cancel: function () {} }; } }); } }) }; } };`;
+
+function openViewer(extra = {}) {
+  const { JSDOM, VirtualConsole } = require("jsdom");
+  const observers = [];
+  const dom = new JSDOM(buildViewerHTML({ ...args, pdfjs: { lib: FAKE_PDFJS, worker: "" }, ...extra }), {
+    runScripts: "dangerously", pretendToBeVisual: true, virtualConsole: new VirtualConsole(),
+    beforeParse(window) {
+      window.devicePixelRatio = 2;
+      Object.assign(window, { crypto: webcrypto, TextEncoder });
+      window.overlayText = [];
+      const ctx = { save() {}, restore() {}, translate() {}, rotate() {}, measureText: () => ({ width: 100 }), fillText: (t) => window.overlayText.push(t) };
+      window.HTMLCanvasElement.prototype.getContext = () => ctx;
+      window.URL.createObjectURL = () => "blob:worker";
+      window.matchMedia = () => ({ matches: false });
+      window.Element.prototype.scrollIntoView = () => {};
+      Object.defineProperty(window.HTMLElement.prototype, "clientWidth", { get() { return this.id === "app" ? 432 : 0; } });
+      window.IntersectionObserver = class {
+        constructor(cb) { this.cb = cb; observers.push(this); }
+        observe() {}
+        show(el, isIntersecting = true) { this.cb([{ target: el, isIntersecting }]); }
+      };
+    },
+  });
+  return { window: dom.window, $: (sel) => dom.window.document.querySelectorAll(sel), observers };
+}
+const settle = () => new Promise(r => setTimeout(r, 20));
+
+test("the viewer lays out every page but draws only those in view, sharp on HiDPI", async () => {
+  const { window, $, observers } = openViewer();
+  await settle();
+  expect(window.document.getElementById("page-count").textContent).toBe("/ 3");
+  expect([...$(".page")].map(p => p.style.width)).toEqual(["400px", "400px", "400px"]); // fit width: (432 − 32) / 200
+  expect($(".thumb")).toHaveLength(3);
+  expect(window.renders).toEqual([]);
+
+  const [pages] = observers;
+  pages.show($(".page")[0]);
+  await settle();
+  expect(window.renders).toEqual([{ page: 1, width: 400, transform: [2, 0, 0, 2, 0, 0] }]);
+  expect($(".page")[0].querySelector("canvas")).not.toBeNull();
+
+  window.document.getElementById("zoom-in").click();
+  await settle();
+  expect(window.document.getElementById("zoom-label").textContent).toBe("300%");
+  expect(window.renders.at(-1)).toMatchObject({ page: 1, width: 600 });
+  expect($(".page")[0].querySelectorAll("canvas")).toHaveLength(1);
+
+  pages.show($(".page")[0], false);
+  expect($(".page")[0].querySelector("canvas")).toBeNull();
+});
+
+test("only page 1 is fetched up front; other pages get their own size as they come into view", async () => {
+  const lib = FAKE_PDFJS
+    .replace("getPage: function (n) {", "getPage: function (n) { (window.fetched = window.fetched || []).push(n);")
+    .replace("return { width: 200 * o.scale, height: 300 * o.scale };", "return n === 3 ? { width: 400 * o.scale, height: 200 * o.scale } : { width: 200 * o.scale, height: 300 * o.scale };");
+  const { window, $, observers } = openViewer({ pdfjs: { lib, worker: "" } });
+  await settle();
+  expect(window.fetched).toEqual([1]);
+  expect([...$(".page")].map(p => p.style.width)).toEqual(["400px", "400px", "400px"]);
+
+  observers[0].show($(".page")[2]);
+  await settle();
+  expect(window.fetched).toEqual([1, 3]);
+  expect([$(".page")[2].style.width, $(".page")[2].style.height]).toEqual(["800px", "400px"]);
+  expect($(".thumb .slot")[2].style.height).toBe("56px");
+});
+
+test("a thumbnail that fails to draw is marked, and the rest still draw", async () => {
+  const lib = FAKE_PDFJS.replace("window.renders.push(", "if (n === 2) return { promise: Promise.reject(new Error('bad page')), cancel: function () {} }; window.renders.push(");
+  const { window, $, observers } = openViewer({ pdfjs: { lib, worker: "" } });
+  const rejected = [];
+  window.addEventListener("unhandledrejection", (e) => rejected.push(e.reason));
+  await settle();
+  const thumbs = observers[1];
+  [...$(".thumb")].forEach(t => thumbs.show(t));
+  await settle();
+  expect([...$(".thumb .slot")].map(s => s.classList.contains("failed"))).toEqual([false, true, false]);
+  expect($(".thumb .slot")[1].title).toBe("Page 2 could not be drawn");
+  expect($(".thumb canvas")).toHaveLength(2);
+  expect(rejected).toEqual([]);
+});
+
+test("jumping to a page moves the counter and the thumbnail highlight", async () => {
+  const { window, $ } = openViewer();
+  await settle();
+  const input = window.document.getElementById("page-num");
+  input.value = "3";
+  input.dispatchEvent(new window.Event("change"));
+  expect([...$(".thumb")].map(t => t.classList.contains("active"))).toEqual([false, false, true]);
+  window.document.getElementById("prev").click();
+  expect(input.value).toBe("2");
+  window.document.getElementById("next").click();
+  window.document.getElementById("next").click();
+  expect(input.value).toBe("3");
+});
+
+test("every drawn page carries the overlay: recipient, RID and the local open time", async () => {
+  const s = { ...DEFAULT_SETTINGS, outputMode: "viewer", viewerPdfjs: "cdn" };
+  const html = new TextDecoder().decode((await packageOutput(s, { fileName: "memo.pdf", recipient: "a@example.com", caseId: "DEAL-7", rid: "0123456789abcdef" },
+    new Uint8Array(4))).bytes);
+  expect(html).toContain('"text":"a@example.com · RID:0123456789abcdef · opened {opened}","opacity":0.18');
+
+  const { window, $, observers } = openViewer({ overlay: { text: "</script> a@example.com · {page}/{pages} · {opened}", opacity: 0.2 } });
+  await settle();
+  expect(window.overlayText).toEqual([]);
+  observers[0].show($(".page")[1]);
+  await settle();
+  const opened = new window.Date().toLocaleString(undefined, { dateStyle: "medium", timeStyle: "long" }).slice(0, 8);
+  expect(window.overlayText.length).toBeGreaterThan(1);
+  expect(new Set(window.overlayText).size).toBe(1);
+  expect(window.overlayText[0]).toMatch(/^<\/script> a@example\.com · 2\/3 · /);
+  expect(window.overlayText[0]).toContain(opened);
+});
+
+test("a locked viewer shows its message, asks for the passphrase and only then renders", async () => {
+  const locked = await lockPayload(new TextEncoder().encode("%PDF-1.7"), { passphrase: "open sesame", iterations: 1000 });
+  const { window, $ } = openViewer({ base64PDF: "", locked, message: "Passphrase sent by SMS" });
+  await settle();
+  expect(window.document.documentElement.outerHTML).not.toContain(btoa("%PDF-1.7"));
+  expect($(".gate p")[0].textContent).toBe("Passphrase sent by SMS");
+  expect($(".page")).toHaveLength(0);
+
+  const input = $(".gate input")[0], submit = () => $(".gate")[0].dispatchEvent(new window.Event("submit", { cancelable: true }));
+  input.value = "guess";
+  submit();
+  await settle();
+  expect($(".gate .err")[0].textContent).toBe("Wrong passphrase.");
+  input.value = "open sesame";
+  submit();
+  await settle();
+  expect($(".gate")).toHaveLength(0);
+  expect($(".page")).toHaveLength(3);
+});
+
+test("an expired viewer refuses to decrypt", async () => {
+  const locked = await lockPayload(new TextEncoder().encode("%PDF-1.7"), { passphrase: "pw", expires: "2001-01-01T00:00:00Z", iterations: 1000 });
+  const { $ } = openViewer({ base64PDF: "", locked, message: "Contact the deal team" });
+  await settle();
+  expect($(".gate h2")[0].textContent).toBe("This document has expired");
+  expect($(".gate input")).toHaveLength(0);
+  expect([...$(".gate p")].map(p => p.textContent)).toContain("Contact the deal team");
+});
+
+test("the open event waits for the document to load; the logging hint needs a tracking URL", async () => {
+  const broken = "window.pdfjsLib = { GlobalWorkerOptions: {}, getDocument: function () { return { promise: Promise.reject(new Error('Invalid PDF structure')) }; } };";
+  const v = openViewer({ trackingURL: "https://track.example.com/open", pdfjs: { lib: broken, worker: "" } });
+  v.window.fetch = jest.fn(() => Promise.resolve());
+  await settle();
+  expect(v.$(".error")[0].textContent).toMatch(/could not be opened: Invalid PDF structure/);
+  expect(v.window.fetch).not.toHaveBeenCalled();
+  expect(v.$(".hint")[0].textContent).toBe("Screenshots can still happen. Your IP and headers may be logged.");
+
+  const untracked = openViewer();
+  await settle();
+  expect(untracked.$(".hint")[0].textContent).toBe("Screenshots can still happen.");
+});
+
+test("with a notice nothing renders or is sent until the reader acknowledges", async () => {
+  const s = { ...DEFAULT_SETTINGS, outputMode: "viewer", viewerPdfjs: "cdn", issuer: "Acme Capital", trackingURL: "https://track.example.com/open",
+    viewerNotice: { ...DEFAULT_SETTINGS.viewerNotice, privacyURL: "https://acme.example.com/privacy" } };
+  const html = new TextDecoder().decode((await packageOutput(s, { fileName: "memo.pdf", recipient: "a@example.com", caseId: "DEAL-7", rid: "0123456789abcdef" }, new Uint8Array(4))).bytes);
+  expect(html).toContain('"issuer":"Acme Capital"');
+  expect(recordSettings(s).tracking).toEqual({ url: "https://track.example.com/open", consentRequired: true, privacyURL: "https://acme.example.com/privacy" });
+  expect(recordSettings({ ...s, outputMode: "download" }).tracking).toBeUndefined();
+
+  const notice = { issuer: "Acme Capital", recorded: "We record the time and your IP.", privacyURL: "ftp://acme.example.com/privacy" };
+  const open = () => {
+    const v = openViewer({ trackingURL: "https://track.example.com/open", rid: "0123456789abcdef", notice });
+    v.window.fetch = jest.fn(() => Promise.resolve());
+    return v;
+  };
+
+  const declined = open();
+  await settle();
+  expect(declined.$(".gate p")[0].textContent).toBe("Acme Capital keeps a log of when this document is opened.");
+  expect(declined.$(".gate a")).toHaveLength(0); // only http(s) policy links
+  declined.$(".gate button.secondary")[0].click();
+  await settle();
+  expect(declined.$(".gate h2")[0].textContent).toBe("Not opened");
+  expect(declined.$(".page")).toHaveLength(0);
+  expect(declined.window.fetch).not.toHaveBeenCalled();
+
+  const accepted = open();
+  await settle();
+  expect(accepted.$(".page")).toHaveLength(0);
+  accepted.$(".gate")[0].dispatchEvent(new accepted.window.Event("submit", { cancelable: true }));
+  await settle();
+  expect(accepted.$(".page")).toHaveLength(3);
+  expect(accepted.window.fetch).toHaveBeenCalledTimes(1);
+  const [url, { body }] = accepted.window.fetch.mock.calls[0];
+  expect(url).toBe("https://track.example.com/open");
+  expect(JSON.parse(body)).toMatchObject({ event: "open", rid: "0123456789abcdef", recipient: "a@example.com", consent: { given: true } });
+});
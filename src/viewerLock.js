@@ -0,0 +1,61 @@
+import { uint8ToBase64, base64ToBytes } from "./utils";
+
+/**
+ * LOCKED VIEWER PAYLOAD
+ * -----------------------------------------------------------
+ * With a viewer lock the PDF inside the HTML is AES-256-GCM ciphertext under
+ * a key derived from the passphrase (PBKDF2-SHA-256), so it cannot be lifted
+ * out of the page source. The viewer (viewerHtml.js) asks for the passphrase
+ * and decrypts the same way as `unlockPayload`. The expiry is authenticated
+ * data: editing it in the HTML makes decryption fail. Checking it relies on
+ * the reader's clock, so treat it as a deterrent; the passphrase is the gate.
+ */
+
+export const LOCK_ITERATIONS = 600000;
+const AAD_PREFIX = "aquamark-viewer|";
+
+export class ViewerExpiredError extends Error {
+  constructor(expires) {
+    super(`Viewer expired on ${expires}`);
+    this.name = "ViewerExpiredError";
+    this.expires = expires;
+  }
+}
+
+/** "YYYY-MM-DD" (end of that day, local time) or any date string → ISO instant; "" stays "" */
+export function expiryInstant(expires) {
+  if (!expires) return "";
+  const d = new Date(/^\d{4}-\d{2}-\d{2}$/.test(expires) ? `${expires}T23:59:59.999` : expires);
+  if (Number.isNaN(d.getTime())) throw new Error(`Invalid viewer expiry “${expires}”`);
+  return d.toISOString();
+}
+
+async function deriveKey(passphrase, salt, iterations, usage) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey({ name: "PBKDF2", salt, iterations, hash: "SHA-256" }, material, { name: "AES-GCM", length: 256 }, false, [usage]);
+}
+
+/**
+ * @returns {Promise<{ v: 1, iterations: number, salt: string, iv: string, expires: string, data: string }>}
+ *          salt, iv and data in base64; `expires` an ISO instant or ""
+ */
+export async function lockPayload(bytes, { passphrase, expires = "", iterations = LOCK_ITERATIONS }) {
+  if (!passphrase) throw new Error("Viewer lock needs a passphrase");
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const when = expiryInstant(expires);
+  const key = await deriveKey(passphrase, salt, iterations, "encrypt");
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv, additionalData: new TextEncoder().encode(AAD_PREFIX + when) }, key, bytes);
+  return { v: 1, iterations, salt: uint8ToBase64(salt), iv: uint8ToBase64(iv), expires: when, data: uint8ToBase64(new Uint8Array(data)) };
+}
+
+/**
+ * @throws {ViewerExpiredError} past `expires`; a DOMException (OperationError) for a wrong passphrase or edited payload
+ */
+export async function unlockPayload(locked, passphrase, { now = Date.now() } = {}) {
+  if (locked.expires && now > Date.parse(locked.expires)) throw new ViewerExpiredError(locked.expires);
+  const key = await deriveKey(passphrase, base64ToBytes(locked.salt), locked.iterations, "decrypt");
+  const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: base64ToBytes(locked.iv), additionalData: new TextEncoder().encode(AAD_PREFIX + locked.expires) },
+    key, base64ToBytes(locked.data));
+  return new Uint8Array(plain);
+}
@@ -0,0 +1,29 @@
+import { lockPayload, unlockPayload, expiryInstant, ViewerExpiredError } from "./viewerLock";
+
+const PDF = new TextEncoder().encode("%PDF-1.7 secret body");
+const FAST = { iterations: 1000 }; // the default is deliberately slow
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+test("round-trips with the passphrase and keeps the PDF out of the payload", async () => {
+  const locked = await lockPayload(PDF, { passphrase: "correct horse", ...FAST });
+  expect(locked).toMatchObject({ v: 1, iterations: 1000, expires: "" });
+  expect(atob(locked.data)).not.toContain("%PDF");
+  expect(text(await unlockPayload(locked, "correct horse"))).toBe("%PDF-1.7 secret body");
+  await expect(unlockPayload(locked, "wrong")).rejects.toThrow();
+  await expect(lockPayload(PDF, { passphrase: "" })).rejects.toThrow(/needs a passphrase/);
+});
+
+test("refuses after the expiry, and an edited expiry breaks decryption", async () => {
+  const locked = await lockPayload(PDF, { passphrase: "pw", expires: "2030-01-31T12:00:00Z", ...FAST });
+  expect(locked.expires).toBe("2030-01-31T12:00:00.000Z");
+  const before = Date.parse("2030-01-01T00:00:00Z");
+  expect(text(await unlockPayload(locked, "pw", { now: before }))).toBe("%PDF-1.7 secret body");
+  await expect(unlockPayload(locked, "pw", { now: Date.parse("2030-02-01T00:00:00Z") })).rejects.toBeInstanceOf(ViewerExpiredError);
+  await expect(unlockPayload({ ...locked, expires: "2099-01-01T00:00:00.000Z" }, "pw", { now: before })).rejects.toThrow();
+});
+
+test("a bare date expires at the end of that day, local time", () => {
+  expect(new Date(expiryInstant("2030-01-31")).getTime()).toBe(new Date(2030, 0, 31, 23, 59, 59, 999).getTime());
+  expect(expiryInstant("")).toBe("");
+  expect(() => expiryInstant("someday")).toThrow(/Invalid viewer expiry/);
+});
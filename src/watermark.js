@@ -0,0 +1,209 @@
+import { degrees } from "@cantoo/pdf-lib";
+import { fillTemplate } from "./template";
+import { resolvePageRule } from "./pageRules";
+import { createContentMarker } from "./contentMark";
+import { drawDotPattern } from "./dotPattern";
+import { drawQrCode } from "./qrCode";
+import { drawSvgLogo, svgIntrinsicSize } from "./svgLogo";
+import { createFormPlacer, recordForm } from "./formXObject";
+
+/**
+ * Watermark drawing shared by `processOne` and the live preview, so what you
+ * see in the preview is exactly what ends up in the output.
+ *
+ * settings: { embedAs, textWM, opacity, scale, angle, position, margin, gap, embedFingerprint, tinyForensicText, dotPattern, pageRules,
+ *             qr: { enabled, template, position, size, opacity } }  (QR has its own placement; size in pt)
+ * ctx:      { logo: { bytes, isPng, isSvg } | null (see readLogoFile), fpStr, recipient, caseId, issueDate,
+ *             firstPageNumber, totalPages,  (these two let a single copied page
+ *             render with its real page number in the preview)
+ *             onPage(n) }  (called after each page, for progress)
+ * With a fingerprint, all text is written through the content marker so the
+ * RID is also carried in glyph positions (see contentMark.js).
+ *
+ * Logo, text and QR watermarks are each recorded once as a Form XObject
+ * (one per distinct text) and placed with `cm` + `Do` on every page and grid
+ * cell; the dot pattern, forensic line and carrier stay per page.
+ */
+
+// Forms are drawn at this size and scaled into place
+const TEXT_FORM_SIZE = 100;
+const QR_FORM_SIZE = 100;
+const IDENTITY_FRAME = { width: QR_FORM_SIZE, height: QR_FORM_SIZE, rotation: 0, toUser: (u, v) => ({ x: u, y: v }) };
+
+export const POSITION_PRESETS = [
+  { key: "diagonal", label: "Diagonal Center" },
+  { key: "bottomRight", label: "Bottom Right" },
+  { key: "topLeft", label: "Top Left" },
+  { key: "center", label: "Center" },
+  { key: "tiled", label: "Tiled Grid" },
+  { key: "footer", label: "Footer" },
+];
+
+/**
+ * The page as the reader sees it: CropBox size with /Rotate applied.
+ * `toUser(u, v)` maps a point in that visible frame (origin bottom-left of the
+ * displayed page) back to PDF user space; `rotation` is added to any angle
+ * drawn so upright-on-screen stays upright-on-screen.
+ */
+export function visibleFrame(page) {
+  const crop = page.getCropBox();
+  const rotation = (((page.getRotation().angle || 0) % 360) + 360) % 360;
+  const { x: cx, y: cy, width: cw, height: ch } = crop;
+  const swap = rotation === 90 || rotation === 270;
+  const toUser = (u, v) => {
+    if (rotation === 90) return { x: cx + cw - v, y: cy + u };
+    if (rotation === 180) return { x: cx + cw - u, y: cy + ch - v };
+    if (rotation === 270) return { x: cx + v, y: cy + ch - u };
+    return { x: cx + u, y: cy + v };
+  };
+  return { width: swap ? ch : cw, height: swap ? cw : ch, rotation, toUser };
+}
+
+/** Reads a picked logo file into the `ctx.logo` shape; SVG is recognised by extension or type */
+export async function readLogoFile(file) {
+  if (!file) return null;
+  return {
+    bytes: await file.arrayBuffer(),
+    isPng: /\.png$/i.test(file.name),
+    isSvg: /\.svg$/i.test(file.name) || file.type === "image/svg+xml",
+  };
+}
+
+export async function applyWatermarks(pdfDoc, settings, ctx) {
+  const { textWM, opacity, scale, angle, margin, gap, embedFingerprint, tinyForensicText, dotPattern, pageRules, qr } = settings;
+  const { logo, fpStr = "", recipient = "", caseId = "", issueDate, firstPageNumber = 1 } = ctx;
+
+  // Embed image logo if provided; SVG stays vector
+  let embeddedImg = null, embeddedSvg = null, imgDims = null;
+  if (logo?.isSvg) {
+    const markup = new TextDecoder().decode(logo.bytes);
+    embeddedSvg = await pdfDoc.embedSvg(markup);
+    imgDims = svgIntrinsicSize(markup);
+  } else if (logo) {
+    embeddedImg = logo.isPng ? await pdfDoc.embedPng(logo.bytes) : await pdfDoc.embedJpg(logo.bytes);
+    imgDims = embeddedImg.scale(1);
+  }
+
+  // Fonts
+  const font = await pdfDoc.embedFont("Helvetica-Bold");
+  const marker = embedFingerprint && fpStr ? createContentMarker(font, fpStr) : null;
+  const drawText = (page, text, opts) => (marker ? marker.drawText(page, text, opts) : page.drawText(text, { ...opts, font }));
+
+  const forms = new Map(); // key -> form ref, built on first use
+  const formFor = (key, bbox, draw) => {
+    if (!forms.has(key)) forms.set(key, recordForm(pdfDoc, bbox, draw));
+    return forms.get(key);
+  };
+  const placeForm = createFormPlacer();
+  const logoForm = () => formFor("logo", [0, 0, imgDims.width, imgDims.height], (p) => (embeddedSvg
+    ? drawSvgLogo(p, embeddedSvg, { x: 0, y: 0, ...imgDims })
+    : p.drawImage(embeddedImg, { x: 0, y: 0, ...imgDims })));
+  const textForm = (content) => {
+    const w = font.widthOfTextAtSize(content, TEXT_FORM_SIZE), lines = content.split("\n").length;
+    return formFor(`text:${content}`, [-10, -TEXT_FORM_SIZE * (0.5 + 1.5 * (lines - 1)), w + 10, TEXT_FORM_SIZE * 1.2],
+      (p) => drawText(p, content, { x: 0, y: 0, size: TEXT_FORM_SIZE }));
+  };
+  const qrForm = (content) => formFor(`qr:${content}`, [0, 0, QR_FORM_SIZE, QR_FORM_SIZE],
+    (p) => drawQrCode(p, IDENTITY_FRAME, content, { u: 0, v: 0, size: QR_FORM_SIZE }));
+
+  const pages = pdfDoc.getPages();
+  const totalPages = ctx.totalPages || pages.length;
+  for (const [pageIndex, page] of pages.entries()) {
+    const pageNumber = firstPageNumber + pageIndex;
+    const { skip, embedAs, position } = resolvePageRule(pageRules, pageNumber, totalPages, settings);
+    // All placement below is in the visible frame, not raw MediaBox space
+    const frame = visibleFrame(page);
+    const { width, height } = frame;
+    const minDim = Math.min(width, height);
+    const place = (u, v, rot) => {
+      const total = ((rot || 0) + frame.rotation) % 360;
+      return { ...frame.toUser(u, v), rotate: total ? degrees(total) : undefined };
+    };
+
+    // ---- image watermark ----
+    const drawImageWM = () => {
+      if (!imgDims) return;
+      let imgW = imgDims.width, imgH = imgDims.height;
+      const target = minDim * scale; const ratio = imgW / imgH;
+      if (imgW >= imgH) { imgW = target; imgH = target / ratio; } else { imgH = target; imgW = target * ratio; }
+      const form = logoForm(), k = imgW / imgDims.width;
+      const drawAt = (x, y, rot=null) => placeForm(page, form, { ...place(x, y, rot), scale: k, opacity });
+      if (position === "diagonal") drawAt((width - imgW)/2, (height - imgH)/2, angle);
+      else if (position === "bottomRight") drawAt(width - imgW - margin, margin, 0);
+      else if (position === "topLeft") drawAt(margin, height - imgH - margin, 0);
+      else if (position === "center") drawAt((width - imgW)/2, (height - imgH)/2, 0);
+      else if (position === "footer") drawAt((width - imgW)/2, margin, 0);
+      else if (position === "tiled") {
+        const xCount = Math.ceil(width / gap) + 1; const yCount = Math.ceil(height / gap) + 1;
+        for (let i=0;i<xCount;i++){ for (let j=0;j<yCount;j++){ drawAt(i*gap - imgW/2, j*gap - imgH/2, angle); }}
+      }
+    };
+
+    // ---- text watermark ----
+    const drawTextWM = () => {
+      const content = textWM
+        ? fillTemplate(textWM, { recipient, caseId, date: issueDate, rid: fpStr, page: pageNumber, pages: totalPages })
+        : (embedFingerprint ? fpStr : "");
+      if (!content) return;
+      const fontSize = Math.max(10, minDim * scale * 0.25);
+      const tw = font.widthOfTextAtSize(content, fontSize);
+      const th = fontSize;
+      const form = textForm(content);
+      const drawAt = (x,y,rot=null) => placeForm(page, form, { ...place(x, y, rot), scale: fontSize / TEXT_FORM_SIZE, opacity });
+      if (position === "diagonal") drawAt((width - tw)/2, (height - th)/2, angle);
+      else if (position === "bottomRight") drawAt(width - tw - margin, margin, 0);
+      else if (position === "topLeft") drawAt(margin, height - th - margin, 0);
+      else if (position === "center") drawAt((width - tw)/2, (height - th)/2, 0);
+      else if (position === "footer") drawAt((width - tw)/2, margin, 0);
+      else if (position === "tiled") {
+        const xCount = Math.ceil(width / gap) + 1; const yCount = Math.ceil(height / gap) + 1;
+        for (let i=0;i<xCount;i++){ for (let j=0;j<yCount;j++){ drawAt(i*gap - tw/2, j*gap - th/2, angle); }}
+      }
+    };
+
+    // ---- QR code ----
+    const drawQrWM = () => {
+      // {rid} is the bare ID here, so it can end a URL (https://verify.example.com/{rid})
+      const content = fillTemplate(qr.template, { recipient, caseId, date: issueDate, rid: fpStr.replace(/^RID:/, ""), page: pageNumber, pages: totalPages });
+      if (!content) return;
+      const s = Math.min(qr.size, minDim - 2 * margin);
+      const form = qrForm(content);
+      const drawAt = (u, v, rot = 0) => placeForm(page, form, { ...place(u, v, rot), scale: s / QR_FORM_SIZE, opacity: qr.opacity });
+      if (qr.position === "diagonal") {
+        // Rotated about its centre; (u, v) is the corner
+        const rad = (angle * Math.PI) / 180, h = s / 2;
+        drawAt(width / 2 - h * Math.cos(rad) + h * Math.sin(rad), height / 2 - h * Math.sin(rad) - h * Math.cos(rad), angle);
+      } else if (qr.position === "bottomRight") drawAt(width - s - margin, margin);
+      else if (qr.position === "topLeft") drawAt(margin, height - s - margin);
+      else if (qr.position === "center") drawAt((width - s) / 2, (height - s) / 2);
+      else if (qr.position === "footer") drawAt((width - s) / 2, margin);
+      else if (qr.position === "tiled") {
+        const step = Math.max(gap, s + 10);
+        for (let u = margin; u + s <= width; u += step) for (let v = margin; v + s <= height; v += step) drawAt(u, v);
+      }
+    };
+
+    // Under the watermark; like the forensic line it stays on skipped pages
+    if (dotPattern && marker) drawDotPattern(page, frame, fpStr);
+
+    if (!skip) {
+      if (embedAs === "image" || embedAs === "both") drawImageWM();
+      if (embedAs === "text" || embedAs === "both" || (!textWM && embedFingerprint)) drawTextWM();
+      if (qr?.enabled) drawQrWM();
+    }
+
+    // Optional tiny forensic line near margin (ultra low opacity) – kept on skipped pages too
+    if (tinyForensicText && embedFingerprint && fpStr) {
+      try {
+        drawText(page, `${fpStr} | ${recipient || ""} | ${caseId || ""}`.trim(), {
+          ...place(margin, margin/2, 0),
+          size: 6, opacity: 0.1
+        });
+      } catch {}
+    }
+
+    // Invisible run so image-only and skipped pages carry the glyph-position mark too
+    if (marker) marker.drawCarrier(page, place(margin, margin, 0));
+    ctx.onPage?.(pageIndex + 1);
+  }
+}
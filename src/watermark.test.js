@@ -0,0 +1,65 @@
+import { PDFDocument, PDFName, decodePDFRawStream, degrees } from "@cantoo/pdf-lib";
+import { applyWatermarks, visibleFrame } from "./watermark";
+
+async function pageWith({ rotate = 0, crop } = {}) {
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([600, 800]);
+  if (crop) page.setCropBox(...crop);
+  if (rotate) page.setRotation(degrees(rotate));
+  return page;
+}
+
+test("unrotated pages map through the CropBox origin", async () => {
+  const f = visibleFrame(await pageWith({ crop: [50, 40, 500, 700] }));
+  expect([f.width, f.height, f.rotation]).toEqual([500, 700, 0]);
+  expect(f.toUser(0, 0)).toEqual({ x: 50, y: 40 });
+});
+
+test("a 90° page swaps the visible frame and keeps the bottom-left corner bottom-left on screen", async () => {
+  const f = visibleFrame(await pageWith({ rotate: 90 }));
+  expect([f.width, f.height]).toEqual([800, 600]);
+  // Visible bottom-left is user-space bottom-right; visible top-left is user-space origin
+  expect(f.toUser(0, 0)).toEqual({ x: 600, y: 0 });
+  expect(f.toUser(0, 600)).toEqual({ x: 0, y: 0 });
+});
+
+test("180° and 270° (-90°) pages map their visible corners", async () => {
+  expect(visibleFrame(await pageWith({ rotate: 180 })).toUser(0, 0)).toEqual({ x: 600, y: 800 });
+  const f = visibleFrame(await pageWith({ rotate: -90 }));
+  expect(f.rotation).toBe(270);
+  expect(f.toUser(0, 0)).toEqual({ x: 0, y: 800 });
+});
+
+test("QR code follows its own placement and the page rules' skip", async () => {
+  const doc = await PDFDocument.create();
+  doc.addPage([600, 800]); doc.addPage([600, 800]).setRotation(degrees(90));
+  doc.addPage([600, 800]);
+  const qr = { enabled: true, template: "https://verify.example.com/{rid}", position: "bottomRight", size: 72, opacity: 0.9 };
+  await applyWatermarks(doc, {
+    embedAs: "text", textWM: "", opacity: 0.2, scale: 0.5, angle: 45, position: "diagonal", margin: 24, gap: 180,
+    embedFingerprint: false, tinyForensicText: false, dotPattern: false, pageRules: [{ pages: "3", skip: true }], qr,
+  }, { logo: null, fpStr: "RID:0123456789abcdef", issueDate: "2025-01-01" });
+  const src = (i) => doc.getPage(i).node.Contents().asArray()
+    .map(ref => new TextDecoder().decode(doc.context.lookup(ref).getUnencodedContents())).join("\n");
+  // Unrotated: corner at (600 - 72 - 24, 24); at 90° the visible frame is 800 wide, so u = 704 maps to y
+  expect(src(0)).toMatch(/ 504 24 cm/);
+  expect(src(1)).toMatch(/^0 [\d.]+ -[\d.]+ 0 576 704 cm$/m);
+  expect(doc.getPage(2).node.Contents()).toBeUndefined(); // skipped: nothing drawn
+});
+
+test("QR templates get the bare RID, so it can end a verification URL", async () => {
+  const qrStreams = async (template) => {
+    const doc = await PDFDocument.create();
+    doc.addPage([600, 800]);
+    await applyWatermarks(doc, {
+      embedAs: "text", textWM: "", opacity: 0.2, scale: 0.5, angle: 45, position: "diagonal", margin: 24, gap: 180,
+      embedFingerprint: false, tinyForensicText: false, dotPattern: false, pageRules: [],
+      qr: { enabled: true, template, position: "bottomRight", size: 72, opacity: 0.9 },
+    }, { logo: null, fpStr: "RID:0123456789abcdef", issueDate: "2025-01-01" });
+    const xobjects = doc.getPage(0).node.Resources().lookup(PDFName.of("XObject"));
+    return xobjects.keys().map(k => new TextDecoder().decode(decodePDFRawStream(xobjects.lookup(k)).decode())).join("\n");
+  };
+  const templated = await qrStreams("https://verify.example.com/{rid}");
+  expect(templated).toBe(await qrStreams("https://verify.example.com/0123456789abcdef"));
+  expect(templated).not.toBe(await qrStreams("https://verify.example.com/RID:0123456789abcdef"));
+});
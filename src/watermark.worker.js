@@ -0,0 +1,5 @@
+/* eslint-disable no-restricted-globals */
+import { handleJobMessage } from "./watermarkJob";
+
+// Worker entry: one job at a time, driven by workerPool.js
+self.onmessage = ({ data }) => handleJobMessage(data, (msg, transfer) => self.postMessage(msg, transfer));
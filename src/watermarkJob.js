@@ -0,0 +1,222 @@
+import { loadSourcePdf, protectPdf } from "./pdfSecurity";
+import { writeFingerprintMetadata } from "./metadata";
+import { attachSignedManifest } from "./manifest";
+import { applyWatermarks } from "./watermark";
+import { simpleHash, sha256Hex, formatBytes, uint8ToBase64 } from "./utils";
+import { buildViewerHTML } from "./viewerHtml";
+import { fillTemplate } from "./template";
+import { lockPayload } from "./viewerLock";
+import { recipientLabel, assignSlugs } from "./recipients";
+
+/**
+ * ONE FILE, ONE RECIPIENT – the PDF half of processing
+ * -----------------------------------------------------------
+ * Plain data in, bytes out, no DOM: runs inside watermark.worker.js and, where
+ * Workers are unavailable, on the page (see workerPool.js). Prompts, the
+ * ledger, downloads and the viewer HTML stay with the caller. The browser
+ * and the CLI both build jobs with `buildJob` from the same profile
+ * settings and planCopies copies, so equal settings, copies and `issuedAt`
+ * give byte-identical PDFs (a signed manifest or encryption adds fresh
+ * randomness to each copy).
+ *
+ * The RID hashes recipient, case, issue time, file name and source digest, so
+ * every file in a run gets its own even with a fixed `issuedAt`; `nonce` (the
+ * copy's place in its run, from planCopies) separates copies that share all of
+ * those, e.g. the same file queued twice or two lanes in the same millisecond.
+ *
+ * job: { bytes, fileName, recipient, caseId, issuedAt, nonce, sourcePassword, userPassword,
+ *        wm (applyWatermarks settings), logo (readLogoFile shape), fingerprint,
+ *        issuer, docInfo, signingKey (getSigningKey result or null), protection,
+ *        settings (what the manifest records) }
+ * onProgress({ stage: "load"|"watermark"|"sign"|"save", page, pages })
+ */
+export async function watermarkPdf(job, { onProgress = () => {}, log = () => {} } = {}) {
+  const { bytes, fileName, recipient, caseId, wm, logo, fingerprint, issuer, docInfo, signingKey, protection, settings } = job;
+  onProgress({ stage: "load" });
+  const inputSha256 = fingerprint ? await sha256Hex(new Uint8Array(bytes)) : "";
+  const { pdfDoc, wasEncrypted } = await loadSourcePdf(bytes, { password: job.sourcePassword });
+  if (wasEncrypted) log(`Decrypted locally: ${fileName}`);
+
+  let fpStr = "", rid = "", issuedAt = "";
+  if (fingerprint) {
+    issuedAt = job.issuedAt || new Date().toISOString();
+    rid = await simpleHash(`${recipient || "unknown"}|${caseId || "n/a"}|${issuedAt}|${fileName}|${inputSha256}${job.nonce ? `|${job.nonce}` : ""}`);
+    fpStr = `RID:${rid}`;
+    try {
+      await writeFingerprintMetadata(pdfDoc, { rid, recipient, caseId, issuer, issuedAt, fileName, docInfo });
+    } catch (e) { log(`Metadata not written for ${fileName}: ${e.message || e}`); }
+  }
+
+  const pages = pdfDoc.getPageCount();
+  onProgress({ stage: "watermark", page: 0, pages });
+  await applyWatermarks(pdfDoc, wm, {
+    logo, fpStr, recipient, caseId,
+    issueDate: (issuedAt || new Date().toISOString()).slice(0, 10),
+    onPage: (page) => onProgress({ stage: "watermark", page, pages }),
+  });
+
+  // Signed last, so the page hashes cover everything drawn above
+  if (rid && signingKey) {
+    onProgress({ stage: "sign", page: pages, pages });
+    try {
+      await attachSignedManifest(pdfDoc, { rid, recipient, caseId, issuer, issuedAt, fileName, settings }, signingKey);
+    } catch (e) { log(`Manifest not signed for ${fileName}: ${e.message || e}`); }
+  }
+
+  // Object streams compress the non-stream objects too (and keep /Info strings encrypted)
+  onProgress({ stage: "save", page: pages, pages });
+  if (protection?.enabled) protectPdf(pdfDoc, { ...protection, userPassword: job.userPassword || "" });
+  const out = await pdfDoc.save({ useObjectStreams: true, addDefaultPage: false });
+  const growth = Math.round((out.length / bytes.byteLength - 1) * 100);
+  log(`Size ${fileName}: ${formatBytes(bytes.byteLength)} → ${formatBytes(out.length)} (${growth >= 0 ? "+" : ""}${growth}%)`);
+
+  return {
+    bytes: out, rid, issuedAt, pages,
+    inputSha256,
+    outputSha256: rid ? await sha256Hex(out) : "",
+  };
+}
+
+// The part of the profile settings that `applyWatermarks` reads
+export function watermarkSettings(s) {
+  const { embedAs, textWM, opacity, scale, angle, position, margin, gap, embedFingerprint, tinyForensicText, dotPattern, pageRules, qr } = s;
+  return { embedAs, textWM, opacity, scale, angle, position, margin, gap, embedFingerprint, tinyForensicText, dotPattern, pageRules, qr };
+}
+
+// What the ledger and manifest record about how a copy was made
+export function recordSettings(s, { logoName = "", userPassword = "" } = {}) {
+  const { embedAs, position, opacity, scale, angle, margin, gap, textWM, pageRules, qr, tinyForensicText, dotPattern, signManifest, issuer, docInfo, outputMode, trackingURL, viewerPdfjs, viewerOverlay, viewerLock, viewerNotice, protection } = s;
+  return { embedAs, position, opacity, scale, angle, margin, gap, textWM, pageRules, qr, logo: logoName, tinyForensicText, dotPattern, signManifest, issuer, docInfo, outputMode,
+    viewerPdfjs: outputMode === "viewer" ? viewerPdfjs : undefined, viewerOverlay: outputMode === "viewer" ? viewerOverlay : undefined,
+    viewerLock: outputMode === "viewer" && viewerLock?.enabled ? { enabled: true, expires: viewerLock.expires, message: viewerLock.message } : undefined,
+    // Whether this copy shows the notice and logs opens only once it is acknowledged;
+    // the acknowledgement itself arrives with the open events (see importOpenEvents in ledger.js)
+    tracking: outputMode === "viewer" && trackingURL ? { url: trackingURL, consentRequired: !!viewerNotice?.enabled, privacyURL: viewerNotice?.enabled ? viewerNotice.privacyURL : "" } : undefined,
+    protection: { enabled: protection.enabled, algorithm: protection.enabled ? "AES-256" : "", userPassword: !!userPassword, perRecipient: !!protection.perRecipient,
+      noPrint: protection.noPrint, noCopy: protection.noCopy, noModify: protection.noModify, noAnnotate: protection.noAnnotate } };
+}
+
+/**
+ * A `watermarkPdf` job from profile settings `s` (see DEFAULT_SETTINGS) and one copy:
+ * { bytes, fileName, recipient, caseId, openPassword, sourcePassword, logo, logoName, signingKey, issuedAt, nonce }.
+ * `openPassword` is the recipient's generated password when per-recipient passwords are on.
+ */
+export function buildJob(s, { bytes, fileName, recipient = "", caseId = "", openPassword, sourcePassword, logo = null, logoName = "", signingKey = null, issuedAt, nonce }) {
+  const userPassword = s.protection.enabled ? (openPassword ?? s.protection.userPassword) : "";
+  return {
+    bytes, fileName, recipient, caseId, issuedAt, nonce, sourcePassword, userPassword,
+    wm: watermarkSettings(s), logo, fingerprint: s.embedFingerprint, issuer: s.issuer, docInfo: s.docInfo,
+    signingKey: s.embedFingerprint && s.signManifest ? signingKey : null,
+    protection: s.protection, settings: recordSettings(s, { logoName, userPassword }),
+  };
+}
+
+/**
+ * Every copy a run makes. Without batch `recipients` each file gets one copy
+ * for `recipient`; with them every file × every recipient, each with a slug
+ * and the list's case (or `caseId`). `passwordFor(label)` is called once per
+ * recipient and may return that recipient's open password. `nonce` numbers the
+ * copies in run order, so the app and the CLI give a copy the same one.
+ * `saveAs` is the file's name for the output, numbered when two files (File
+ * objects or paths) share one, so no copy overwrites another in a folder or ZIP.
+ * @returns {{ file, recipient, caseId, nonce, saveAs, slug?, openPassword? }[]}
+ */
+export function planCopies(files, recipients, { recipient = "", caseId = "", passwordFor = () => undefined } = {}) {
+  const names = uniqueFileNames(files.map(f => (typeof f === "string" ? f.split(/[\\/]/).pop() : f.name)));
+  const withNames = (fields) => files.map((file, j) => ({ file, saveAs: names[j], ...fields }));
+  let copies;
+  if (!recipients.length) {
+    const openPassword = passwordFor(recipient);
+    copies = withNames({ recipient, caseId, openPassword });
+  } else {
+    const slugs = assignSlugs(recipients);
+    copies = recipients.flatMap((r, k) => {
+      const openPassword = passwordFor(recipientLabel(r));
+      return withNames({ recipient: recipientLabel(r), caseId: r.caseId || caseId, slug: slugs[k], openPassword });
+    });
+  }
+  return copies.map((c, i) => ({ ...c, nonce: String(i) }));
+}
+
+// memo.pdf, memo_2.pdf, …: numbered like assignSlugs when two names collide (ignoring case)
+function uniqueFileNames(names) {
+  const used = new Set();
+  return names.map(name => {
+    const stem = name.replace(/\.pdf$/i, ""), ext = name.slice(stem.length);
+    let out = name, n = 2;
+    while (used.has(out.toLowerCase())) out = `${stem}_${n++}${ext}`;
+    used.add(out.toLowerCase());
+    return out;
+  });
+}
+
+/** The ledger entry for a finished fingerprinted job, or null */
+export function ledgerRecord(job, result) {
+  if (!result.rid) return null;
+  const { recipient, caseId, fileName, userPassword, settings } = job;
+  return { rid: result.rid, recipient, caseId, fileName, issuedAt: result.issuedAt, openPassword: userPassword,
+    inputSha256: result.inputSha256, outputSha256: result.outputSha256, settings };
+}
+
+// Whether viewers from these settings inline PDF.js, i.e. need `pdfjs` sources in packageOutput
+export const needsPdfjsSource = (s) => s.outputMode === "viewer" && s.viewerPdfjs !== "cdn";
+
+/**
+ * The file a finished job becomes: the PDF itself, or with `outputMode: "viewer"`
+ * a single-file HTML viewer around it, named after `saveAs` (planCopies; else
+ * `fileName`). `slug` tells batch copies apart, `rid` is
+ * the copy's (for the viewer overlay); `pdfjs` is the loadPdfjsSource() result
+ * when needsPdfjsSource(s). With `viewerLock.enabled` the PDF goes in encrypted;
+ * with a `trackingURL` and `viewerNotice.enabled` the viewer asks for consent first.
+ * @returns {Promise<{ name: string, bytes: Uint8Array, type: string }>}
+ */
+export async function packageOutput(s, { fileName, saveAs = fileName, slug, recipient, caseId, rid }, pdfBytes, { pdfjs = null } = {}) {
+  const outName = saveAs.replace(/\.pdf$/i, "") + (slug ? `_${slug}` : "") + "_wm.pdf";
+  if (s.outputMode !== "viewer") return { name: outName, bytes: pdfBytes, type: "application/pdf" };
+  if (needsPdfjsSource(s) && !pdfjs) throw new Error("Offline viewer needs the PDF.js sources (loadPdfjsSource)");
+  const lock = s.viewerLock?.enabled ? s.viewerLock : null;
+  const viewerHTML = buildViewerHTML({
+    title: s.viewerTitle || "Confidential Document Viewer",
+    base64PDF: lock ? "" : uint8ToBase64(new Uint8Array(pdfBytes)),
+    locked: lock ? await lockPayload(new Uint8Array(pdfBytes), lock) : null,
+    message: lock?.message || "",
+    trackingURL: s.trackingURL || "",
+    recipient, caseId, rid,
+    notice: s.trackingURL && s.viewerNotice?.enabled
+      ? { issuer: s.issuer, recorded: s.viewerNotice.recorded, privacyURL: s.viewerNotice.privacyURL } : null,
+    pdfjs: needsPdfjsSource(s) ? pdfjs : null,
+    overlay: s.viewerOverlay?.enabled ? {
+      text: fillTemplate(s.viewerOverlay.text, { recipient, caseId, rid: rid ? `RID:${rid}` : "" }),
+      opacity: s.viewerOverlay.opacity,
+    } : null,
+  });
+  return { name: outName.replace(/\.pdf$/i, "") + "_viewer.html", bytes: new TextEncoder().encode(viewerHTML), type: "text/html;charset=utf-8" };
+}
+
+/**
+ * One copy start to finish, for callers without a worker pool (CLI, API):
+ * `copy` is what `buildJob` takes plus the batch `slug`; `pdfjs` as for packageOutput.
+ * @returns {Promise<{ file, record, result }>} see packageOutput / ledgerRecord
+ */
+export async function runCopy(s, copy, { log, pdfjs } = {}) {
+  const job = buildJob(s, copy);
+  const result = await watermarkPdf(job, { log });
+  return { file: await packageOutput(s, { ...copy, rid: result.rid }, result.bytes, { pdfjs }), record: ledgerRecord(job, result), result };
+}
+
+/**
+ * Message glue shared by the worker and the in-page fallback.
+ * In: { id, job }. Out: { id, type: "progress", ...progress } | { id, type: "log", message }
+ * | { id, type: "done", result } | { id, type: "error", error: { name, message, wrongPassword } }
+ */
+export async function handleJobMessage({ id, job }, post) {
+  try {
+    const result = await watermarkPdf(job, {
+      onProgress: (p) => post({ id, type: "progress", ...p }),
+      log: (message) => post({ id, type: "log", message }),
+    });
+    post({ id, type: "done", result }, [result.bytes.buffer]);
+  } catch (e) {
+    post({ id, type: "error", error: { name: e?.name || "Error", message: e?.message || String(e), wrongPassword: !!e?.wrongPassword } });
+  }
+}
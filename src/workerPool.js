@@ -0,0 +1,111 @@
+import { PasswordRequiredError } from "./pdfSecurity";
+import { handleJobMessage } from "./watermarkJob";
+
+/**
+ * WORKER POOL – watermark jobs off the main thread
+ * -----------------------------------------------------------
+ * Up to `size` workers, spawned on demand and reused; each takes the next
+ * queued job when it finishes one. A failed job rejects only its own
+ * promise. `cancel()` terminates every worker (a worker busy inside pdf-lib
+ * cannot be interrupted any other way) and rejects everything in flight with
+ * `JobCancelledError`; the pool can be used again afterwards.
+ *
+ * `spawn()` returns a Worker or anything with the same postMessage /
+ * onmessage / terminate shape, e.g. `inlineWorker()` where Workers are missing.
+ */
+
+export class JobCancelledError extends Error {
+  constructor(message = "Cancelled") {
+    super(message);
+    this.name = "JobCancelledError";
+  }
+}
+
+/** Runs jobs on this thread behind the Worker interface (tests, old browsers) */
+export function inlineWorker(handler = handleJobMessage) {
+  let closed = false;
+  const worker = {
+    onmessage: null,
+    onerror: null,
+    postMessage(data) {
+      Promise.resolve().then(() => handler(data, (msg) => { if (!closed) worker.onmessage?.({ data: msg }); }));
+    },
+    terminate() { closed = true; },
+  };
+  return worker;
+}
+
+// Errors cross the worker boundary as plain data
+function reviveError({ name, message, wrongPassword }) {
+  if (name === "PasswordRequiredError") return new PasswordRequiredError(message, { wrongPassword });
+  const e = new Error(message);
+  e.name = name;
+  return e;
+}
+
+export function createWorkerPool({ size = 2, spawn }) {
+  const workers = new Set();
+  const idle = [];
+  const running = new Map(); // worker -> task
+  const queue = [];
+  let nextId = 1;
+
+  const retire = (worker) => {
+    worker.terminate();
+    workers.delete(worker);
+    running.delete(worker);
+    const i = idle.indexOf(worker);
+    if (i >= 0) idle.splice(i, 1);
+  };
+
+  const finish = (worker, task, settle) => {
+    running.delete(worker);
+    settle();
+    idle.push(worker);
+    pump();
+  };
+
+  function start(worker, task) {
+    running.set(worker, task);
+    worker.onmessage = ({ data }) => {
+      if (data.id !== task.id) return;
+      if (data.type === "progress") task.onProgress?.(data);
+      else if (data.type === "log") task.onLog?.(data.message);
+      else if (data.type === "done") finish(worker, task, () => task.resolve(data.result));
+      else finish(worker, task, () => task.reject(reviveError(data.error)));
+    };
+    // The worker itself died (script error, out of memory): replace it
+    worker.onerror = (e) => {
+      e?.preventDefault?.();
+      retire(worker);
+      task.reject(new Error(e?.message || "Worker crashed"));
+      pump();
+    };
+    worker.postMessage({ id: task.id, job: task.job }, task.transfer);
+  }
+
+  function pump() {
+    while (queue.length) {
+      let worker = idle.pop();
+      if (!worker && workers.size < size) { worker = spawn(); workers.add(worker); }
+      if (!worker) return;
+      start(worker, queue.shift());
+    }
+  }
+
+  return {
+    /** Resolves with the job's result; `transfer` lists ArrayBuffers to move rather than copy */
+    run(job, { transfer = [], onProgress, onLog } = {}) {
+      return new Promise((resolve, reject) => {
+        queue.push({ id: nextId++, job, transfer, onProgress, onLog, resolve, reject });
+        pump();
+      });
+    },
+    cancel() {
+      const pending = [...queue.splice(0), ...running.values()];
+      [...workers].forEach(retire);
+      pending.forEach(t => t.reject(new JobCancelledError()));
+    },
+    close() { [...workers].forEach(retire); },
+  };
+}
@@ -0,0 +1,98 @@
+import { PDFDocument } from "@cantoo/pdf-lib";
+import { createWorkerPool, inlineWorker, JobCancelledError } from "./workerPool";
+import { PasswordRequiredError, protectPdf } from "./pdfSecurity";
+import { readInfoFingerprint } from "./metadata";
+import { handleJobMessage } from "./watermarkJob";
+
+const WM = { embedAs: "text", textWM: "CONFIDENTIAL {page}/{pages}", opacity: 0.2, scale: 0.5, angle: 45, position: "diagonal", margin: 24, gap: 180,
+  embedFingerprint: true, tinyForensicText: false, dotPattern: false, pageRules: [], qr: { enabled: false } };
+
+async function pdf(pages, { password } = {}) {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < pages; i++) doc.addPage([300, 300]);
+  if (password) protectPdf(doc, { userPassword: password });
+  return doc.save({ useObjectStreams: !!password });
+}
+
+const job = (bytes, extra = {}) => ({ bytes, fileName: "memo.pdf", recipient: "a@example.com", caseId: "DEAL-7", wm: WM, logo: null, fingerprint: true,
+  issuer: "", docInfo: { override: false }, signingKey: null, protection: { enabled: false }, settings: {}, ...extra });
+
+test("runs jobs with at most `size` at once and reports page progress", async () => {
+  let active = 0, peak = 0, spawned = 0;
+  const spawn = () => {
+    spawned++;
+    return inlineWorker(async (msg, post) => {
+      active++; peak = Math.max(peak, active);
+      await handleJobMessage(msg, (m, t) => { if (m.type === "done" || m.type === "error") active--; post(m, t); });
+    });
+  };
+  const pool = createWorkerPool({ size: 2, spawn });
+  const progress = [];
+  const results = await Promise.all([3, 1, 2, 1].map(async (n, i) => pool.run(job(await pdf(n)), { onProgress: (p) => { if (i === 0) progress.push(p); } })));
+  pool.close();
+
+  expect(peak).toBe(2);
+  expect(spawned).toBe(2);
+  expect(results.map(r => r.pages)).toEqual([3, 1, 2, 1]);
+  expect(progress.filter(p => p.stage === "watermark").map(p => p.page)).toEqual([0, 1, 2, 3]);
+  expect(progress.at(-1)).toMatchObject({ stage: "save", pages: 3 });
+  const out = await PDFDocument.load(results[0].bytes, { updateMetadata: false });
+  expect(readInfoFingerprint(out).rid).toBe(results[0].rid);
+  expect(results[0].outputSha256).toMatch(/^[0-9a-f]{64}$/);
+});
+
+test("a bad PDF fails only its own job", async () => {
+  const pool = createWorkerPool({ size: 1, spawn: () => inlineWorker() });
+  const [bad, good] = await Promise.allSettled([
+    pool.run(job(new TextEncoder().encode("not a pdf").buffer)),
+    pool.run(job(await pdf(1))),
+  ]);
+  pool.close();
+  expect(bad.status).toBe("rejected");
+  expect(good.status).toBe("fulfilled");
+  expect(good.value.pages).toBe(1);
+});
+
+test("encrypted sources come back as PasswordRequiredError until the password is given", async () => {
+  const bytes = await pdf(1, { password: "open" });
+  const pool = createWorkerPool({ size: 1, spawn: () => inlineWorker() });
+  const err = await pool.run(job(bytes)).catch(e => e);
+  expect(err).toBeInstanceOf(PasswordRequiredError);
+  expect(err.wrongPassword).toBe(false);
+  expect((await pool.run(job(bytes, { sourcePassword: "nope" })).catch(e => e)).wrongPassword).toBe(true);
+  expect((await pool.run(job(bytes, { sourcePassword: "open" }))).pages).toBe(1);
+  pool.close();
+});
+
+test("cancel rejects running and queued jobs and terminates the workers", async () => {
+  const workers = [];
+  const spawn = () => {
+    const w = { onmessage: null, postMessage: jest.fn(), terminate: jest.fn() }; // never answers
+    workers.push(w);
+    return w;
+  };
+  const pool = createWorkerPool({ size: 2, spawn });
+  const runs = [1, 2, 3].map(n => pool.run({ n }));
+  expect(workers).toHaveLength(2);
+  pool.cancel();
+  const settled = await Promise.allSettled(runs);
+  expect(settled.every(s => s.reason instanceof JobCancelledError)).toBe(true);
+  expect(workers.every(w => w.terminate.mock.calls.length === 1)).toBe(true);
+
+  // Usable again with fresh workers
+  const again = pool.run({ n: 4 }).catch(e => e);
+  expect(workers).toHaveLength(3);
+  expect(workers[2].postMessage).toHaveBeenCalledWith({ id: 4, job: { n: 4 } }, []);
+  pool.cancel();
+  expect(await again).toBeInstanceOf(JobCancelledError);
+});
+
+test("copies that share recipient, file and issue time differ only by nonce, and get distinct RIDs", async () => {
+  const bytes = await pdf(1);
+  const pool = createWorkerPool({ size: 2, spawn: () => inlineWorker() });
+  const issuedAt = "2024-05-01T10:00:00.000Z";
+  const [a, b, c] = await Promise.all(["n1", "n2", "n1"].map(nonce => pool.run(job(bytes.slice(), { issuedAt, nonce }))));
+  pool.close();
+  expect(a.rid).not.toBe(b.rid);
+  expect(a.rid).toBe(c.rid);
+});